@@ -2371,6 +2371,9 @@ import AccessDenied from "./components/AccessDenied"; // Оставляем
 // --- 1. ИМПОРТИРУЕМ НАШИ НОВЫЕ КОМПОНЕНТЫ ---
 import AdminLogin from "./components/AdminLogin";
 import { EnhancedAdminPanel } from "./components/EnhancedAdminPanel"; // Используем наш файл
+import CashierRedemption from "./components/CashierRedemption";
+import CustomerPortal from "./components/CustomerPortal";
+import { getDeviceId } from "./lib/deviceId";
 
 // --- Типы для формы регистрации (из вашего файла) ---
 type RegistrationFormState = {
@@ -2410,21 +2413,66 @@ const defaultFormState: RegistrationFormState = {
 };
 // --- (Конец типов) ---
 
+// Результат перехода по ссылке подтверждения из письма: сервер редиректит на
+// /verified?code=...&name=... (верификация завершена) или /verified?status=...
+type EmailLinkResult = { code: string; name: string } | { status: string } | null;
+
+function readEmailLinkResult(): EmailLinkResult {
+  if (!window.location.pathname.startsWith('/verified')) return null;
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get('code');
+  if (code) return { code, name: params.get('name') || '' };
+  return { status: params.get('status') || 'LINK_INVALID' };
+}
+
 export default function App() {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   
+  const [emailLinkResult] = useState(readEmailLinkResult);
+
   // --- Состояния для формы регистрации (из вашего файла) ---
-  const [formState, setFormState] = useState<RegistrationFormState>(defaultFormState);
+  const [formState, setFormState] = useState<RegistrationFormState>(() =>
+    emailLinkResult && 'code' in emailLinkResult
+      ? { ...defaultFormState, discountCode: emailLinkResult.code, firstName: emailLinkResult.name }
+      : defaultFormState
+  );
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [status, setStatus] = useState<StatusState | null>(null);
-  const [showThankYou, setShowThankYou] = useState(false);
+  const [status, setStatus] = useState<StatusState | null>(() => {
+    if (!emailLinkResult || !('status' in emailLinkResult)) return null;
+    switch (emailLinkResult.status) {
+      case 'PHONE_PENDING':
+        return { type: 'success', message: t('emailLink.phonePending', 'Email подтвержден. Осталось подтвердить номер телефона кодом из SMS.') };
+      case 'ALREADY_VERIFIED':
+        return { type: 'success', message: t('emailLink.alreadyVerified', 'Этот email уже подтвержден.') };
+      case 'LINK_EXPIRED':
+        return { type: 'error', message: t('emailLink.expired', 'Срок действия ссылки истек. Запросите новый код подтверждения.') };
+      case 'LINK_USED':
+        return { type: 'error', message: t('emailLink.used', 'Ссылка уже использована. Запросите новый код подтверждения.') };
+      default:
+        return { type: 'error', message: t('emailLink.invalid', 'Не удалось подтвердить email по ссылке. Попробуйте ввести код из письма.') };
+    }
+  });
+  const [showThankYou, setShowThankYou] = useState(() => Boolean(emailLinkResult && 'code' in emailLinkResult));
   const [draftId, setDraftId] = useState<string | null>(null);
   const [addressValidation, setAddressValidation] = useState({
     isValid: false,
     errors: [] as string[]
   });
   const [fieldErrors, setFieldErrors] = useState<Partial<Record<keyof RegistrationFormState, string>>>({});
+  // Реферальная ссылка друга: /?ref=RC10-XXXXXXXX
+  const [referralCode, setReferralCode] = useState<string | null>(
+    () => new URLSearchParams(window.location.search).get('ref')
+  );
+  // Согласие на рекламные рассылки: без галочки клиент не получает ни SMS, ни письма
+  const [consent, setConsent] = useState({ consentSms: false, consentEmail: false });
   // --- (Конец состояний формы регистрации) ---
+
+  // Убираем /verified?... из адресной строки, чтобы обновление страницы не показывало результат повторно
+  useEffect(() => {
+    if (emailLinkResult) {
+      window.history.replaceState(null, '', '/');
+    }
+  }, [emailLinkResult]);
   
   // --- 2. НОВАЯ ЛОГИКА АДМИН-ПАНЕЛИ (JWT) ---
   const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(false);
@@ -2515,10 +2563,30 @@ export default function App() {
       const response = await fetch("/api/register", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(formState),
+        // locale - язык интерфейса: на нем сервер будет писать клиенту SMS и письма;
+        // timezone - пояс браузера: ночью по местному времени SMS-рассылки не приходят
+        body: JSON.stringify({
+          ...formState,
+          ...consent,
+          referralCode: referralCode || undefined,
+          deviceId: getDeviceId(),
+          locale: i18n.language,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }),
       });
       const data = await response.json();
-      if (response.ok) {
+      if (data.error === 'REFERRAL_CODE_NOT_FOUND' || data.error === 'SELF_REFERRAL') {
+        // Ошибку реферального кода показываем, а не маскируем резервным промокодом; повторная отправка пройдет без него
+        setReferralCode(null);
+        setStatus({ type: "error", message: data.message });
+      } else if (data.error === 'PHONE_INVALID' || data.error === 'PHONE_NOT_MOBILE') {
+        // Номер не прошел проверку на сервере - клиенту нужно его исправить, резервный промокод не выдаем
+        setFieldErrors(prev => ({ ...prev, phoneNumber: data.message }));
+        setStatus({ type: "error", message: data.message });
+      } else if (data.error === 'EMAIL_DISPOSABLE' || data.error === 'EMAIL_DOMAIN_INVALID') {
+        setFieldErrors(prev => ({ ...prev, email: data.message }));
+        setStatus({ type: "error", message: data.message });
+      } else if (response.ok) {
         if (draftId) {
           try {
             await fetch(`/api/form-draft/${draftId}`, { method: 'DELETE' });
@@ -2528,7 +2596,10 @@ export default function App() {
         setStatus({
           type: "success",
           message: t("registration.success.message"),
-          details: data.discountCode ? t("registration.success.discountCode", { code: data.discountCode }) : undefined,
+          // Подсказки сервера (например, опечатка в домене email) показываем вместо промокода, которого еще нет
+          details: data.discountCode
+            ? t("registration.success.discountCode", { code: data.discountCode })
+            : (data.warnings as { message: string }[] | undefined)?.map(warning => warning.message).join(' ') || undefined,
         });
         setShowThankYou(true);
         setFormState(prev => ({
@@ -2589,7 +2660,7 @@ export default function App() {
     } finally {
       setIsSubmitting(false);
     }
-  }, [formState, t, validateForm, draftId]);
+  }, [formState, consent, t, i18n.language, validateForm, draftId, referralCode]);
 
   // Автосохранение черновика (из вашего файла)
   useEffect(() => {
@@ -2625,6 +2696,16 @@ export default function App() {
   
   // --- 3. НОВЫЙ РЕНДЕРИНГ (return) ---
 
+  // Отдельный экран для кассиров: /cashier
+  if (window.location.pathname.startsWith('/cashier')) {
+    return <CashierRedemption />;
+  }
+
+  // Личный кабинет клиента: /me
+  if (window.location.pathname.replace(/\/$/, '') === '/me') {
+    return <CustomerPortal />;
+  }
+
   if (showThankYou) {
     return <ThankYouPage customerData={formState} onClose={() => setShowThankYou(false)} />;
   }
@@ -2832,6 +2913,17 @@ export default function App() {
                       required
                     />
                   </div>
+
+                  <div className="form__row">
+                    <label style={{ display: 'flex', gap: '8px', fontSize: '14px' }}>
+                      <input type="checkbox" checked={consent.consentSms} onChange={(e) => setConsent(prev => ({ ...prev, consentSms: e.target.checked }))} />
+                      {t('registration.consent.sms', 'Получать предложения по SMS')}
+                    </label>
+                    <label style={{ display: 'flex', gap: '8px', fontSize: '14px' }}>
+                      <input type="checkbox" checked={consent.consentEmail} onChange={(e) => setConsent(prev => ({ ...prev, consentEmail: e.target.checked }))} />
+                      {t('registration.consent.email', 'Получать предложения по email')}
+                    </label>
+                  </div>
                   
                   <div className="form__actions">
                     <InteractiveHoverButton 
@@ -0,0 +1,336 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { normalizePromoCode, validatePromoCode } from '../lib/promoCode';
+
+// Экран кассира: ввод/сканирование промокода -> проверка -> погашение в одно нажатие.
+// Работает с токеном кассира (роль CASHIER), админский токен тоже подходит.
+
+interface PromoCustomer {
+  id: string;
+  firstName: string;
+  lastName: string;
+  isVerified: boolean;
+}
+
+interface PromoLookup {
+  code: string;
+  customer: PromoCustomer | null;
+  // null - код можно погасить, иначе машиночитаемая причина с сервера
+  error: string | null;
+  message?: string;
+  expiresAt?: string | null;
+  discountType?: 'PERCENT' | 'FIXED';
+  discountValue?: number;
+  redemption?: { redeemedAt: string; staffMember: string } | null;
+  // null - код введен вручную, false - QR с чужой/поддельной подписью
+  signatureValid?: boolean | null;
+}
+
+// QR промокода содержит ссылку вида /cashier?code=...&sig=...; сканер "печатает" ее целиком
+const parseScannedInput = (value: string): { code: string; sig: string | null } => {
+  const trimmed = value.trim();
+  if (trimmed.includes('?')) {
+    const params = new URLSearchParams(trimmed.slice(trimmed.indexOf('?') + 1));
+    const code = params.get('code');
+    if (code) return { code: normalizePromoCode(code), sig: params.get('sig') };
+  }
+  return { code: normalizePromoCode(trimmed), sig: null };
+};
+
+const inputStyle: React.CSSProperties = {
+  width: '100%', padding: '14px', border: '1px solid #ddd', borderRadius: '6px',
+  fontSize: '20px', boxSizing: 'border-box', textAlign: 'center', letterSpacing: '0.1em',
+};
+
+const buttonStyle = (color: string, disabled: boolean): React.CSSProperties => ({
+  padding: '16px 24px', backgroundColor: color, color: 'white', border: 'none', borderRadius: '6px',
+  fontSize: '18px', fontWeight: 600, cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.6 : 1,
+});
+
+const CashierRedemption: React.FC = () => {
+  const { t } = useTranslation();
+  const [token, setToken] = useState<string | null>(localStorage.getItem('cashierToken'));
+  const [credentials, setCredentials] = useState({ login: '', password: '' });
+  const [codeInput, setCodeInput] = useState('');
+  const [lookup, setLookup] = useState<PromoLookup | null>(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const codeInputRef = useRef<HTMLInputElement>(null);
+
+  const handleLogout = useCallback(() => {
+    localStorage.removeItem('cashierToken');
+    setToken(null);
+    setLookup(null);
+  }, []);
+
+  const resetForNextCode = () => {
+    setCodeInput('');
+    setLookup(null);
+    codeInputRef.current?.focus();
+  };
+
+  const handleLogin = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch('/api/staff/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || t('cashier.loginError', 'Не удалось войти'));
+
+      localStorage.setItem('cashierToken', data.token);
+      setToken(data.token);
+      setCredentials({ login: '', password: '' });
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : t('cashier.loginError', 'Не удалось войти'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const lookupCode = useCallback(async (input: string) => {
+    setError('');
+    setSuccess('');
+    setLookup(null);
+
+    // Опечатку ловим сразу, без запроса к серверу
+    const { code, sig } = parseScannedInput(input);
+    const format = validatePromoCode(code);
+    if (!format.valid) {
+      setError(t('cashier.malformed', 'Код введен с ошибкой - проверьте символы.'));
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const query = sig ? `?sig=${encodeURIComponent(sig)}` : '';
+      const response = await fetch(`/api/promo/${encodeURIComponent(format.code)}${query}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (response.status === 401 || response.status === 403) {
+        handleLogout();
+        return;
+      }
+      const data = await response.json();
+      if (!response.ok && !data.error) throw new Error(data.message);
+
+      setLookup({ ...data, code: format.code, error: response.ok ? null : data.error });
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : t('cashier.lookupError', 'Ошибка проверки кода'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [t, token, handleLogout]);
+
+  // Сканер штрихкодов "печатает" код и нажимает Enter - поэтому это обычная форма
+  const handleLookup = (e: React.FormEvent) => {
+    e.preventDefault();
+    lookupCode(codeInput);
+  };
+
+  // QR, открытый камерой телефона кассира, ведет прямо сюда - проверяем код сразу
+  useEffect(() => {
+    if (!token) return;
+    const params = new URLSearchParams(window.location.search);
+    if (!params.get('code')) return;
+    const scanned = `?${params}`;
+    setCodeInput(scanned);
+    lookupCode(scanned);
+    window.history.replaceState(null, '', window.location.pathname);
+  }, [token, lookupCode]);
+
+  const handleRedeem = async () => {
+    if (!lookup) return;
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch('/api/promo/redeem', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ code: lookup.code }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        // Код мог погасить другой кассир, пока мы смотрели на экран
+        setLookup({ ...lookup, ...data, error: data.error || 'UNKNOWN' });
+        return;
+      }
+
+      setSuccess(t('cashier.redeemed', 'Промокод {{code}} погашен.', { code: lookup.code }));
+      resetForNextCode();
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : t('cashier.redeemError', 'Ошибка погашения'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Баллы лояльности за визит - независимо от того, можно ли погасить сам код
+  const handleAwardPoints = async () => {
+    if (!lookup) return;
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch('/api/points/award', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ code: lookup.code }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+
+      const issued = data.issuedCodes.length > 0
+        ? ` ${t('cashier.tierCodes', 'Новый уровень! Подарочный код: {{codes}}', { codes: data.issuedCodes.map((c: { code: string }) => c.code).join(', ') })}`
+        : '';
+      setSuccess(`${t('cashier.pointsAwarded', 'Начислено {{points}} баллов, баланс: {{balance}}.', { points: data.entry.points, balance: data.balance })}${issued}`);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : t('cashier.pointsError', 'Ошибка начисления баллов'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatDiscount = (data: PromoLookup) => {
+    if (data.discountValue === undefined) return '';
+    return data.discountType === 'FIXED' ? `€${data.discountValue}` : `${data.discountValue}%`;
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '20px', backgroundColor: '#f5f5f5' }}>
+      <div style={{ backgroundColor: 'white', padding: '32px', borderRadius: '8px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)', maxWidth: '440px', width: '100%' }}>
+        <h1 style={{ fontSize: '24px', fontWeight: 'bold', color: '#333', margin: '0 0 24px 0', textAlign: 'center' }}>
+          {t('cashier.title', 'Касса: погашение промокода')}
+        </h1>
+
+        {!token ? (
+          <form onSubmit={handleLogin} style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+            <input
+              type="text"
+              value={credentials.login}
+              onChange={(e) => setCredentials(prev => ({ ...prev, login: e.target.value }))}
+              placeholder={t('cashier.login', 'Логин')}
+              autoComplete="username"
+              required
+              style={{ ...inputStyle, fontSize: '16px', letterSpacing: 'normal' }}
+            />
+            <input
+              type="password"
+              value={credentials.password}
+              onChange={(e) => setCredentials(prev => ({ ...prev, password: e.target.value }))}
+              placeholder={t('cashier.password', 'Пароль')}
+              autoComplete="current-password"
+              required
+              style={{ ...inputStyle, fontSize: '16px', letterSpacing: 'normal' }}
+            />
+            <button type="submit" disabled={isLoading} style={buttonStyle('#007bff', isLoading)}>
+              {isLoading ? t('admin.auth.loading') : t('admin.auth.loginButton')}
+            </button>
+          </form>
+        ) : (
+          <>
+            <form onSubmit={handleLookup} style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+              <input
+                ref={codeInputRef}
+                type="text"
+                value={codeInput}
+                onChange={(e) => setCodeInput(e.target.value.includes('?') ? e.target.value : normalizePromoCode(e.target.value))}
+                placeholder="RC10-XXXXXXXX"
+                autoFocus
+                autoComplete="off"
+                style={inputStyle}
+              />
+              <button type="submit" disabled={isLoading || !codeInput} style={buttonStyle('#007bff', isLoading || !codeInput)}>
+                {t('cashier.check', 'Проверить')}
+              </button>
+            </form>
+
+            {lookup && (
+              <div style={{
+                marginTop: '20px', padding: '16px', borderRadius: '6px',
+                border: `2px solid ${lookup.error ? '#e74c3c' : '#2ecc71'}`,
+                backgroundColor: lookup.error ? '#fdecea' : '#eafaf1',
+              }}>
+                {lookup.customer && (
+                  <p style={{ margin: '0 0 8px 0', fontSize: '20px', fontWeight: 600, color: '#333' }}>
+                    {lookup.customer.firstName} {lookup.customer.lastName}
+                  </p>
+                )}
+                {lookup.customer && (
+                  <p style={{ margin: '0 0 4px 0', color: '#555' }}>
+                    {lookup.customer.isVerified
+                      ? `✅ ${t('cashier.verified', 'Клиент верифицирован')}`
+                      : `⚠️ ${t('cashier.notVerified', 'Клиент не верифицирован')}`}
+                  </p>
+                )}
+                {lookup.signatureValid === false && (
+                  <p style={{ margin: '0 0 4px 0', color: '#c0392b' }}>
+                    ⚠️ {t('cashier.badSignature', 'Подпись QR-кода не совпадает - код мог быть изменен.')}
+                  </p>
+                )}
+                {lookup.expiresAt && (
+                  <p style={{ margin: '0 0 4px 0', color: '#555' }}>
+                    {t('cashier.validUntil', 'Действует до')}: {new Date(lookup.expiresAt).toLocaleDateString('ru-RU')}
+                  </p>
+                )}
+                {lookup.redemption && (
+                  <p style={{ margin: '0 0 4px 0', color: '#555' }}>
+                    {t('cashier.redeemedAt', 'Погашен')}: {new Date(lookup.redemption.redeemedAt).toLocaleString('ru-RU')} · {lookup.redemption.staffMember}
+                  </p>
+                )}
+
+                {lookup.error ? (
+                  <p style={{ margin: '8px 0 0 0', color: '#c0392b', fontWeight: 600 }}>❌ {lookup.message}</p>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={handleRedeem}
+                    disabled={isLoading}
+                    style={{ ...buttonStyle('#27ae60', isLoading), width: '100%', marginTop: '12px' }}
+                  >
+                    {t('cashier.redeem', 'Погасить')} {formatDiscount(lookup)}
+                  </button>
+                )}
+                {lookup.customer?.isVerified && (
+                  <button
+                    type="button"
+                    onClick={handleAwardPoints}
+                    disabled={isLoading}
+                    style={{ ...buttonStyle('#8e44ad', isLoading), width: '100%', marginTop: '8px', fontSize: '15px', padding: '10px' }}
+                  >
+                    ⭐ {t('cashier.awardPoints', 'Начислить баллы за визит')}
+                  </button>
+                )}
+              </div>
+            )}
+
+            <button
+              type="button"
+              onClick={handleLogout}
+              style={{ marginTop: '24px', padding: '6px 12px', fontSize: '12px', background: '#f0f0f0', border: '1px solid #ccc', borderRadius: '4px', cursor: 'pointer' }}
+            >
+              {t('admin.auth.logout')}
+            </button>
+          </>
+        )}
+
+        {success && (
+          <div style={{ padding: '12px', backgroundColor: '#eafaf1', border: '1px solid #b7e4c7', borderRadius: '4px', color: '#1e7e34', fontSize: '14px', marginTop: '20px' }}>
+            {success}
+          </div>
+        )}
+        {error && (
+          <div style={{ padding: '12px', backgroundColor: '#fee', border: '1px solid #fcc', borderRadius: '4px', color: '#c33', fontSize: '14px', marginTop: '20px' }}>
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CashierRedemption;
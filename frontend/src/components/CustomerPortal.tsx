@@ -0,0 +1,449 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+
+// Личный кабинет клиента: вход по SMS-коду (/api/me/login/*), просмотр и изменение профиля (/api/me).
+// Новый телефон или email подтверждается кодом через обычные /api/verify/send и /api/verify/confirm.
+
+type Channel = 'phone' | 'email';
+
+interface CustomerCode {
+  code: string;
+  discountType?: 'PERCENT' | 'FIXED';
+  discountValue?: number;
+  expiresAt: string | null;
+  redeemedAt: string | null;
+}
+
+interface CustomerProfile {
+  id: string;
+  firstName: string;
+  lastName: string;
+  phoneNumber: string;
+  email: string | null;
+  country: string | null;
+  city: string | null;
+  street: string | null;
+  postalCode: string | null;
+  houseNumber: string | null;
+  preferredFood: string | null;
+  locale: string | null;
+  consentEmail: boolean;
+  consentSms: boolean;
+  isPhoneVerified: boolean;
+  isEmailVerified: boolean;
+  emailBounced: boolean;
+  verificationChannels: Channel[];
+  discountCode: CustomerCode & { status: string };
+  bonusCodes: (CustomerCode & { reason: string })[];
+}
+
+type ProfileForm = {
+  firstName: string;
+  lastName: string;
+  phoneNumber: string;
+  email: string;
+  city: string;
+  street: string;
+  postalCode: string;
+  houseNumber: string;
+  preferredFood: string;
+  consentEmail: boolean;
+  consentSms: boolean;
+};
+
+const TOKEN_KEY = 'customerToken';
+
+const toForm = (profile: CustomerProfile): ProfileForm => ({
+  firstName: profile.firstName,
+  lastName: profile.lastName,
+  phoneNumber: profile.phoneNumber,
+  email: profile.email ?? '',
+  city: profile.city ?? '',
+  street: profile.street ?? '',
+  postalCode: profile.postalCode ?? '',
+  houseNumber: profile.houseNumber ?? '',
+  preferredFood: profile.preferredFood ?? '',
+  consentEmail: profile.consentEmail,
+  consentSms: profile.consentSms,
+});
+
+// На сервер уходят только измененные поля: так лишний раз не сбрасывается подтверждение телефона/email
+const diffForm = (form: ProfileForm, initial: ProfileForm) => {
+  const changes: Record<string, string | boolean | null> = {};
+  (Object.keys(form) as (keyof ProfileForm)[]).forEach((key) => {
+    if (form[key] === initial[key]) return;
+    const value = form[key];
+    changes[key] = typeof value === 'string' ? (value.trim() || null) : value;
+  });
+  return changes;
+};
+
+const inputStyle: React.CSSProperties = {
+  width: '100%', padding: '10px', border: '1px solid #ddd', borderRadius: '6px', fontSize: '15px', boxSizing: 'border-box',
+};
+
+const buttonStyle = (color: string, disabled: boolean): React.CSSProperties => ({
+  padding: '12px 20px', backgroundColor: color, color: 'white', border: 'none', borderRadius: '6px',
+  fontSize: '16px', fontWeight: 600, cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.6 : 1,
+});
+
+const sectionStyle: React.CSSProperties = { marginTop: '24px', paddingTop: '16px', borderTop: '1px solid #eee' };
+
+const CustomerPortal: React.FC = () => {
+  const { t, i18n } = useTranslation();
+  const [token, setToken] = useState<string | null>(localStorage.getItem(TOKEN_KEY));
+  const [login, setLogin] = useState({ phoneNumber: '', code: '' });
+  const [codeRequested, setCodeRequested] = useState(false);
+  const [profile, setProfile] = useState<CustomerProfile | null>(null);
+  const [form, setForm] = useState<ProfileForm | null>(null);
+  const [verificationCodes, setVerificationCodes] = useState<Partial<Record<Channel, string>>>({});
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleLogout = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY);
+    setToken(null);
+    setProfile(null);
+    setForm(null);
+    setCodeRequested(false);
+    setLogin({ phoneNumber: '', code: '' });
+  }, []);
+
+  const applyProfile = (data: CustomerProfile) => {
+    setProfile(data);
+    setForm(toForm(data));
+  };
+
+  // Токен живет час: по 401 возвращаемся к входу
+  const authorizedFetch = useCallback(async (url: string, init: RequestInit = {}) => {
+    const response = await fetch(url, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}`, ...init.headers },
+    });
+    if (response.status === 401 || response.status === 403) {
+      handleLogout();
+      throw new Error(t('portal.sessionExpired', 'Сессия истекла. Войдите снова.'));
+    }
+    return response;
+  }, [token, handleLogout, t]);
+
+  useEffect(() => {
+    if (!token) return;
+    (async () => {
+      try {
+        const response = await authorizedFetch('/api/me');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+        applyProfile(data);
+      } catch (err: unknown) {
+        setError(err instanceof Error ? err.message : t('portal.loadError', 'Не удалось загрузить профиль'));
+      }
+    })();
+  }, [token, authorizedFetch, t]);
+
+  const handleRequestCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch('/api/me/login/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phoneNumber: login.phoneNumber }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      setCodeRequested(true);
+      setSuccess(data.message);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : t('portal.requestError', 'Не удалось отправить код'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleConfirmCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch('/api/me/login/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(login),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      localStorage.setItem(TOKEN_KEY, data.token);
+      setToken(data.token);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : t('portal.loginError', 'Не удалось войти'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!profile || !form) return;
+    const changes = diffForm(form, toForm(profile));
+    if (Object.keys(changes).length === 0) return;
+
+    setIsLoading(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await authorizedFetch('/api/me', {
+        method: 'PATCH',
+        body: JSON.stringify({ ...changes, locale: i18n.language }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      applyProfile(data);
+
+      const messages = [t('portal.saved', 'Изменения сохранены.')];
+      Object.entries(data.verification as Partial<Record<Channel, string>>).forEach(([type, status]) => {
+        messages.push(status === 'SENT'
+          ? t('portal.codeSent', 'Мы отправили код подтверждения на новый {{channel}}.', { channel: type === 'phone' ? t('portal.phone', 'телефон') : 'email' })
+          : t('portal.codeNotSent', 'Код подтверждения пока не отправлен - запросите его ниже.'));
+      });
+      (data.warnings as { message: string }[]).forEach((warning) => messages.push(warning.message));
+      setSuccess(messages.join(' '));
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : t('portal.saveError', 'Не удалось сохранить изменения'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleResend = async (type: Channel) => {
+    if (!profile) return;
+    setError('');
+    try {
+      const response = await fetch('/api/verify/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ customerId: profile.id, type }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      setSuccess(data.message);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : t('verification.errors.generic', 'Ошибка верификации'));
+    }
+  };
+
+  const handleVerify = async (type: Channel) => {
+    if (!profile) return;
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await fetch('/api/verify/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ customerId: profile.id, type, code: verificationCodes[type] }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+
+      setVerificationCodes(prev => ({ ...prev, [type]: '' }));
+      setSuccess(t('portal.verified', 'Подтверждено.'));
+      const refreshed = await authorizedFetch('/api/me');
+      if (refreshed.ok) applyProfile(await refreshed.json());
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : t('verification.errors.generic', 'Ошибка верификации'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatDiscount = (code: CustomerCode) => {
+    if (code.discountValue === undefined) return '';
+    return code.discountType === 'FIXED' ? `€${code.discountValue}` : `${code.discountValue}%`;
+  };
+
+  const describeCode = (code: CustomerCode & { status?: string }) => {
+    if (code.redeemedAt) return `${t('portal.codeRedeemed', 'Использован')} ${new Date(code.redeemedAt).toLocaleDateString(i18n.language)}`;
+    if (code.status === 'CODE_NOT_VERIFIED') return t('portal.codeNotVerified', 'Станет активным после подтверждения');
+    if (code.status && code.status !== 'VALID') return t('portal.codeInactive', 'Недействителен');
+    if (code.expiresAt && new Date(code.expiresAt) <= new Date()) return t('portal.codeInactive', 'Недействителен');
+    return code.expiresAt
+      ? `${t('cashier.validUntil', 'Действует до')} ${new Date(code.expiresAt).toLocaleDateString(i18n.language)}`
+      : t('portal.codeActive', 'Действует');
+  };
+
+  const textField = (name: keyof ProfileForm, label: string, type = 'text') => (
+    <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '13px', color: '#555' }}>
+      {label}
+      <input
+        type={type}
+        value={form?.[name] as string}
+        onChange={(e) => setForm(prev => prev && { ...prev, [name]: e.target.value })}
+        style={inputStyle}
+      />
+    </label>
+  );
+
+  const pendingChannels = profile
+    ? profile.verificationChannels.filter(type => (type === 'phone' ? !profile.isPhoneVerified : !profile.isEmailVerified))
+    : [];
+
+  return (
+    <div style={{ minHeight: '100vh', display: 'flex', justifyContent: 'center', padding: '20px', backgroundColor: '#f5f5f5' }}>
+      <div style={{ backgroundColor: 'white', padding: '32px', borderRadius: '8px', boxShadow: '0 2px 10px rgba(0,0,0,0.1)', maxWidth: '520px', width: '100%', alignSelf: 'flex-start' }}>
+        <h1 style={{ fontSize: '24px', fontWeight: 'bold', color: '#333', margin: '0 0 24px 0', textAlign: 'center' }}>
+          {t('portal.title', 'Личный кабинет')}
+        </h1>
+
+        {!token ? (
+          <form onSubmit={codeRequested ? handleConfirmCode : handleRequestCode} style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+            <input
+              type="tel"
+              value={login.phoneNumber}
+              onChange={(e) => setLogin(prev => ({ ...prev, phoneNumber: e.target.value }))}
+              placeholder={t('portal.phonePlaceholder', 'Номер телефона')}
+              autoComplete="tel"
+              disabled={codeRequested}
+              required
+              style={inputStyle}
+            />
+            {codeRequested && (
+              <input
+                type="text"
+                inputMode="numeric"
+                maxLength={4}
+                value={login.code}
+                onChange={(e) => setLogin(prev => ({ ...prev, code: e.target.value.replace(/\D/g, '') }))}
+                placeholder={t('portal.codePlaceholder', 'Код из SMS')}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                style={{ ...inputStyle, textAlign: 'center', letterSpacing: '0.3em', fontSize: '20px' }}
+              />
+            )}
+            <button type="submit" disabled={isLoading} style={buttonStyle('#007bff', isLoading)}>
+              {codeRequested ? t('admin.auth.loginButton') : t('portal.sendCode', 'Получить код')}
+            </button>
+            {codeRequested && (
+              <button type="button" onClick={() => setCodeRequested(false)} style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer' }}>
+                {t('portal.changePhone', 'Другой номер')}
+              </button>
+            )}
+          </form>
+        ) : profile && form ? (
+          <>
+            <div style={{ padding: '16px', borderRadius: '6px', border: '2px solid #4ecdc4', textAlign: 'center' }}>
+              <p style={{ margin: 0, color: '#555' }}>{t('portal.yourCode', 'Ваш промокод')}</p>
+              <p style={{ margin: '8px 0', fontSize: '24px', fontWeight: 'bold', letterSpacing: '2px' }}>
+                {profile.discountCode.code} {formatDiscount(profile.discountCode)}
+              </p>
+              {profile.discountCode.status === 'VALID' && (
+                <img src={`/api/promo/${encodeURIComponent(profile.discountCode.code)}/qr?format=svg`} alt={profile.discountCode.code} width={160} height={160} />
+              )}
+              <p style={{ margin: '8px 0 0 0', color: '#555', fontSize: '14px' }}>{describeCode(profile.discountCode)}</p>
+            </div>
+
+            {profile.bonusCodes.length > 0 && (
+              <div style={sectionStyle}>
+                <h2 style={{ fontSize: '16px', margin: '0 0 8px 0' }}>{t('portal.bonusCodes', 'Бонусные коды')}</h2>
+                {profile.bonusCodes.map(bonusCode => (
+                  <p key={bonusCode.code} style={{ margin: '4px 0', fontSize: '14px' }}>
+                    <strong>{bonusCode.code}</strong> {formatDiscount(bonusCode)} · {describeCode(bonusCode)}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            {pendingChannels.length > 0 && (
+              <div style={sectionStyle}>
+                <h2 style={{ fontSize: '16px', margin: '0 0 8px 0' }}>{t('portal.confirmContacts', 'Подтвердите контакты')}</h2>
+                {pendingChannels.map(type => (
+                  <div key={type} style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px' }}>
+                    <span style={{ flex: '0 0 auto', fontSize: '14px' }}>{type === 'phone' ? profile.phoneNumber : profile.email}</span>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      maxLength={4}
+                      value={verificationCodes[type] ?? ''}
+                      onChange={(e) => setVerificationCodes(prev => ({ ...prev, [type]: e.target.value.replace(/\D/g, '') }))}
+                      placeholder="0000"
+                      style={{ ...inputStyle, width: '90px', textAlign: 'center' }}
+                    />
+                    <button type="button" onClick={() => handleVerify(type)} disabled={isLoading || (verificationCodes[type] ?? '').length !== 4} style={buttonStyle('#27ae60', isLoading)}>
+                      {t('portal.confirm', 'OK')}
+                    </button>
+                    <button type="button" onClick={() => handleResend(type)} style={{ background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', fontSize: '13px' }}>
+                      {t('portal.resend', 'Отправить снова')}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <form onSubmit={handleSave} style={{ ...sectionStyle, display: 'flex', flexDirection: 'column', gap: '12px' }}>
+              <h2 style={{ fontSize: '16px', margin: 0 }}>{t('portal.profile', 'Мои данные')}</h2>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                {textField('firstName', t('registration.fields.firstName', 'Имя'))}
+                {textField('lastName', t('registration.fields.lastName', 'Фамилия'))}
+              </div>
+              {textField('phoneNumber', t('registration.fields.phone', 'Телефон'), 'tel')}
+              {textField('email', t('registration.fields.email', 'Email'), 'email')}
+              {profile.emailBounced && (
+                <p style={{ margin: 0, color: '#c0392b', fontSize: '13px' }}>
+                  ⚠️ {t('portal.emailBounced', 'Письма на этот адрес не доходят. Проверьте email или укажите другой.')}
+                </p>
+              )}
+              <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '12px' }}>
+                {textField('street', t('registration.fields.street', 'Улица'))}
+                {textField('houseNumber', t('registration.fields.houseNumber', 'Дом'))}
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '12px' }}>
+                {textField('postalCode', t('registration.fields.postalCode', 'Индекс'))}
+                {textField('city', t('registration.fields.city', 'Город'))}
+              </div>
+              {textField('preferredFood', t('registration.fields.preferredFood', 'Любимые блюда'))}
+
+              <label style={{ display: 'flex', gap: '8px', fontSize: '14px' }}>
+                <input type="checkbox" checked={form.consentSms} onChange={(e) => setForm(prev => prev && { ...prev, consentSms: e.target.checked })} />
+                {t('portal.consentSms', 'Получать предложения по SMS')}
+              </label>
+              <label style={{ display: 'flex', gap: '8px', fontSize: '14px' }}>
+                <input type="checkbox" checked={form.consentEmail} onChange={(e) => setForm(prev => prev && { ...prev, consentEmail: e.target.checked })} />
+                {t('portal.consentEmail', 'Получать предложения по email')}
+              </label>
+
+              <button type="submit" disabled={isLoading} style={buttonStyle('#007bff', isLoading)}>
+                {t('portal.save', 'Сохранить')}
+              </button>
+            </form>
+
+            <button
+              type="button"
+              onClick={handleLogout}
+              style={{ marginTop: '24px', padding: '6px 12px', fontSize: '12px', background: '#f0f0f0', border: '1px solid #ccc', borderRadius: '4px', cursor: 'pointer' }}
+            >
+              {t('admin.auth.logout')}
+            </button>
+          </>
+        ) : (
+          !error && <p style={{ textAlign: 'center', color: '#555' }}>{t('admin.auth.loading')}</p>
+        )}
+
+        {success && (
+          <div style={{ padding: '12px', backgroundColor: '#eafaf1', border: '1px solid #b7e4c7', borderRadius: '4px', color: '#1e7e34', fontSize: '14px', marginTop: '20px' }}>
+            {success}
+          </div>
+        )}
+        {error && (
+          <div style={{ padding: '12px', backgroundColor: '#fee', border: '1px solid #fcc', borderRadius: '4px', color: '#c33', fontSize: '14px', marginTop: '20px' }}>
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerPortal;
@@ -3,6 +3,25 @@ import { useTranslation } from 'react-i18next';
 import AdminLogin from './AdminLogin';
 import QRCode from 'react-qr-code'; // <-- ИСПРАВЛЕН ИМПОРТ
 
+// Пояс браузера админа: в нем задается время запланированных рассылок
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Дерево приглашений: у каждого клиента - приглашенные им друзья и выданный за них бонус
+const ReferralTree: React.FC<{ nodes: ReferralNode[] }> = ({ nodes }) => (
+  <ul style={{ listStyle: 'none', margin: 0, paddingLeft: '20px', borderLeft: '1px solid rgba(255,255,255,0.2)' }}>
+    {nodes.map((node) => (
+      <li key={node.id} style={{ margin: '6px 0' }}>
+        <strong>{node.firstName} {node.lastName}</strong>{' '}
+        <span className="badge badge--promo">{node.discountCode}</span>{' '}
+        {node.isVerified ? '✅' : '⏳'}
+        {node.referralCount > 0 && ` · ${node.verifiedReferralCount}/${node.referralCount}`}
+        {node.rewardCode && <span className="badge badge--success" style={{ marginLeft: '6px' }}>🎁 {node.rewardCode}</span>}
+        {node.referrals.length > 0 && <ReferralTree nodes={node.referrals} />}
+      </li>
+    ))}
+  </ul>
+);
+
 // --- ИНТЕРФЕЙСЫ (из вашего файла) ---
 interface Customer {
   id: string;
@@ -18,8 +37,97 @@ interface Customer {
   preferredFood?: string;
   feedback?: string;
   discountCode: string;
+  redemption?: PromoRedemption | null;
+  referredBy?: { id: string; firstName: string; lastName: string; discountCode: string } | null;
+  referralCount?: number;
+  createdAt: string;
+}
+interface ReferralNode {
+  id: string;
+  firstName: string;
+  lastName: string;
+  discountCode: string;
+  isVerified: boolean;
+  createdAt: string;
+  rewardCode: string | null;
+  referralCount: number;
+  verifiedReferralCount: number;
+  referrals: ReferralNode[];
+}
+interface ReferralReport {
+  totals: { referredCustomers: number; verifiedReferredCustomers: number; bonusCodesIssued: number };
+  topReferrers: Omit<ReferralNode, 'referrals'>[];
+  tree: ReferralNode[];
+}
+interface SmsOutboxMessage {
+  id: string;
+  to: string;
+  body: string;
   createdAt: string;
 }
+interface SmsOutboxReport {
+  provider: string | null;
+  messages: SmsOutboxMessage[];
+}
+// Прогресс рассылки из очереди (GET /api/broadcasts/:id)
+interface BroadcastProgress {
+  id: string;
+  title: string;
+  channel: 'SMS' | 'EMAIL';
+  status: 'SCHEDULED' | 'QUEUED' | 'SENDING' | 'COMPLETED' | 'CANCELLED' | 'FAILED';
+  total: number;
+  processed: number;
+  percent: number;
+  counts: { PENDING: number; SENT: number; FAILED: number; SKIPPED: number };
+  // Причины пропуска: NO_CONSENT, UNSUBSCRIBED, NOT_VERIFIED... -> количество
+  skippedReasons?: Record<string, number>;
+  nextRetryAt: string | null;
+}
+// Запланированная рассылка (GET /api/broadcasts?status=SCHEDULED)
+interface ScheduledBroadcast {
+  id: string;
+  title: string;
+  channel: 'SMS' | 'EMAIL';
+  scheduledFor: string;
+  timezone: string | null;
+  total: number;
+  segment: { id: string; name: string } | null;
+}
+// Сохраненный сегмент аудитории (GET /api/admin/segments)
+interface AudienceSegment {
+  id: string;
+  name: string;
+  description: string | null;
+}
+// Сохраненный шаблон рассылки (GET /api/admin/message-templates)
+interface MessageTemplate {
+  id: string;
+  name: string;
+  channel: 'SMS' | 'EMAIL' | null;
+  title: string;
+  body: string;
+}
+// Текст для тестового получателя и длина SMS (POST /api/admin/message-templates/preview)
+interface MessagePreview {
+  body: string;
+  sms: { encoding: 'GSM-7' | 'UCS-2'; length: number; segments: number; perSegment: number };
+}
+// Текущий состав сегмента (GET /api/admin/segments/:id/preview)
+interface SegmentPreview {
+  count: number;
+  withEmail: number;
+  // Сколько клиентов получат рассылку с учетом согласий и подписки
+  eligible: { SMS: number; EMAIL: number };
+  sample: { id: string; firstName: string; lastName: string; country: string | null }[];
+}
+interface PromoRedemption {
+  id: string;
+  code: string;
+  amount?: number | null;
+  staffMember: string;
+  location?: string | null;
+  redeemedAt: string;
+}
 interface LoginSession {
   id: string;
   loginAt: string;
@@ -122,11 +230,24 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
   const [isLoading, setIsLoading] = useState(true); 
   const [lastSync, setLastSync] = useState<Date>(new Date());
   const [autoSync, setAutoSync] = useState(true);
-  const [selectedTab, setSelectedTab] = useState<'customers' | 'sessions' | 'device' | 'broadcast' | 'synced' | 'security'>('customers');
+  const [selectedTab, setSelectedTab] = useState<'customers' | 'sessions' | 'device' | 'broadcast' | 'synced' | 'referrals' | 'outbox' | 'security'>('customers');
+  const [referralReport, setReferralReport] = useState<ReferralReport | null>(null);
+  const [smsOutbox, setSmsOutbox] = useState<SmsOutboxReport | null>(null);
   const [broadcastMessage, setBroadcastMessage] = useState({ title: '', body: '' });
   const [isBroadcasting, setIsBroadcasting] = useState(false);
   const [syncedFormData, setSyncedFormData] = useState<SyncedFormData[]>([]);
   const [broadcastChannel, setBroadcastChannel] = useState<'sms' | 'email'>('sms');
+  const [broadcastProgress, setBroadcastProgress] = useState<BroadcastProgress | null>(null);
+  const [broadcastScheduledFor, setBroadcastScheduledFor] = useState(''); // datetime-local; пусто - отправить сейчас
+  const [scheduledBroadcasts, setScheduledBroadcasts] = useState<ScheduledBroadcast[]>([]);
+  const [rescheduleTimes, setRescheduleTimes] = useState<Record<string, string>>({});
+  const [segments, setSegments] = useState<AudienceSegment[]>([]);
+  const [broadcastSegmentId, setBroadcastSegmentId] = useState(''); // Пусто - выбранные вручную клиенты
+  const [segmentPreview, setSegmentPreview] = useState<SegmentPreview | null>(null);
+  const [messageTemplates, setMessageTemplates] = useState<MessageTemplate[]>([]);
+  const [templateVariables, setTemplateVariables] = useState<string[]>([]);
+  const [messagePreview, setMessagePreview] = useState<MessagePreview | null>(null);
+  const [messagePreviewError, setMessagePreviewError] = useState<string | null>(null);
   const [selectedRecipients, setSelectedRecipients] = useState<string[]>([]);
 
   // --- 3. ДОБАВЛЕНЫ СОСТОЯНИЯ ДЛЯ 2FA ---
@@ -173,6 +294,25 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
       if (deviceRes.ok) setCurrentDeviceInfo(await deviceRes.json());
       if (syncedRes.ok) setSyncedFormData(await syncedRes.json());
 
+      const referralsRes = await fetch('/api/admin/referrals', { headers });
+      if (referralsRes.ok) setReferralReport(await referralsRes.json());
+
+      const outboxRes = await fetch('/api/admin/sms-outbox', { headers });
+      if (outboxRes.ok) setSmsOutbox(await outboxRes.json());
+
+      const scheduledRes = await fetch('/api/broadcasts?status=SCHEDULED', { headers });
+      if (scheduledRes.ok) setScheduledBroadcasts(await scheduledRes.json());
+
+      const segmentsRes = await fetch('/api/admin/segments', { headers });
+      if (segmentsRes.ok) setSegments(await segmentsRes.json());
+
+      const templatesRes = await fetch('/api/admin/message-templates', { headers });
+      if (templatesRes.ok) {
+        const { templates, variables } = await templatesRes.json();
+        setMessageTemplates(templates);
+        setTemplateVariables(Object.keys(variables));
+      }
+
       // Проверка на протухший токен
       if ([customersRes.status, sessionsRes.status, deviceRes.status, syncedRes.status].includes(401) ||
           [customersRes.status, sessionsRes.status, deviceRes.status, syncedRes.status].includes(403)) {
@@ -207,7 +347,7 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
   // --- 6. ИСПРАВЛЕННЫЙ handleBroadcast (использует JWT) ---
   const handleBroadcast = async () => {
     if (!broadcastMessage.title.trim() || !broadcastMessage.body.trim()) return;
-    if (selectedRecipients.length === 0) return;
+    if (!broadcastSegmentId && selectedRecipients.length === 0) return;
 
     const token = adminToken; // Берем из 'useState'
     if (!token) {
@@ -228,7 +368,11 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
         body: JSON.stringify({
           title: broadcastMessage.title,
           body: broadcastMessage.body,
-          recipientIds: selectedRecipients,
+          // Сегмент - состав на момент отправки; иначе выбранные вручную клиенты
+          ...(broadcastSegmentId ? { segmentId: broadcastSegmentId } : { recipientIds: selectedRecipients }),
+          // Время задается в поясе браузера админа
+          scheduledFor: broadcastScheduledFor || undefined,
+          timezone: broadcastScheduledFor ? browserTimeZone : undefined,
         })
       });
 
@@ -236,6 +380,16 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
       if (response.ok) {
         setBroadcastMessage({ title: '', body: '' });
         setSelectedRecipients([]);
+        setBroadcastScheduledFor('');
+        if (result.status === 'SCHEDULED') {
+          fetchData();
+        } else if (result.broadcastId) {
+          setBroadcastProgress({
+            id: result.broadcastId, title: broadcastMessage.title, channel: broadcastChannel === 'sms' ? 'SMS' : 'EMAIL',
+            status: 'QUEUED', total: result.total, processed: 0, percent: 0,
+            counts: { PENDING: result.total, SENT: 0, FAILED: 0, SKIPPED: 0 }, nextRetryAt: null,
+          });
+        }
         alert(result.message || t('admin.broadcast.success'));
       } else {
         alert(result.message || t('admin.broadcast.error'));
@@ -248,6 +402,134 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
     }
   };
 
+  // Перенос запланированной рассылки на другое время
+  const handleReschedule = async (id: string) => {
+    const scheduledFor = rescheduleTimes[id];
+    if (!scheduledFor || !adminToken) return;
+    try {
+      const response = await fetch(`/api/broadcasts/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${adminToken}` },
+        body: JSON.stringify({ scheduledFor, timezone: browserTimeZone }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.message || t('admin.broadcast.error'));
+        return;
+      }
+      setRescheduleTimes(prev => ({ ...prev, [id]: '' }));
+      fetchData();
+    } catch (error) {
+      console.error('Ошибка переноса рассылки:', error);
+    }
+  };
+
+  const handleCancelBroadcast = async (id: string) => {
+    if (!adminToken || !window.confirm(t('admin.broadcast.scheduled.confirmCancel', 'Отменить рассылку?'))) return;
+    try {
+      const response = await fetch(`/api/broadcasts/${id}/cancel`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${adminToken}` },
+      });
+      if (response.ok) {
+        setScheduledBroadcasts(prev => prev.filter(broadcast => broadcast.id !== id));
+      } else {
+        const result = await response.json();
+        alert(result.message || t('admin.broadcast.error'));
+      }
+    } catch (error) {
+      console.error('Ошибка отмены рассылки:', error);
+    }
+  };
+
+  // Текст рассылки - шаблон: показываем, как он выглядит для тестового клиента и сколько SMS займет
+  useEffect(() => {
+    setMessagePreviewError(null);
+    if (!broadcastMessage.body.trim() || !adminToken) {
+      setMessagePreview(null);
+      return;
+    }
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/admin/message-templates/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${adminToken}` },
+          body: JSON.stringify({ body: broadcastMessage.body }),
+        });
+        const result = await response.json();
+        if (response.ok) {
+          setMessagePreview(result);
+        } else {
+          setMessagePreview(null);
+          setMessagePreviewError(result.errors?.fieldErrors?.body?.[0] ?? result.message);
+        }
+      } catch (error) {
+        console.error('Ошибка предпросмотра шаблона:', error);
+      }
+    }, 500);
+    return () => clearTimeout(timeout);
+  }, [broadcastMessage.body, adminToken]);
+
+  const handleSaveTemplate = async () => {
+    const name = window.prompt(t('admin.broadcast.templates.namePrompt', 'Название шаблона'));
+    if (!name?.trim() || !adminToken) return;
+    try {
+      const response = await fetch('/api/admin/message-templates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${adminToken}` },
+        body: JSON.stringify({ name: name.trim(), title: broadcastMessage.title, body: broadcastMessage.body }),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        setMessageTemplates(prev => [...prev, result].sort((a, b) => a.name.localeCompare(b.name)));
+      } else {
+        alert(result.errors?.fieldErrors?.body?.[0] ?? result.message ?? t('admin.broadcast.error'));
+      }
+    } catch (error) {
+      console.error('Ошибка сохранения шаблона:', error);
+    }
+  };
+
+  // Состав выбранного сегмента для рассылки: сколько клиентов получат сообщение сейчас
+  useEffect(() => {
+    setSegmentPreview(null);
+    if (!broadcastSegmentId || !adminToken) return;
+    fetch(`/api/admin/segments/${broadcastSegmentId}/preview`, { headers: { 'Authorization': `Bearer ${adminToken}` } })
+      .then(response => (response.ok ? response.json() : null))
+      .then(setSegmentPreview)
+      .catch(error => console.error('Ошибка предпросмотра сегмента:', error));
+  }, [broadcastSegmentId, adminToken]);
+
+  // Рассылка отправляется в фоне: опрашиваем ее статус, пока очередь не обработает всех получателей
+  useEffect(() => {
+    if (!broadcastProgress || ['COMPLETED', 'CANCELLED', 'FAILED'].includes(broadcastProgress.status) || !adminToken) return;
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/broadcasts/${broadcastProgress.id}`, {
+          headers: { 'Authorization': `Bearer ${adminToken}` },
+        });
+        if (response.ok) setBroadcastProgress(await response.json());
+      } catch (error) {
+        console.error('Ошибка получения статуса рассылки:', error);
+      }
+    }, 2000);
+    return () => clearTimeout(timeout);
+  }, [broadcastProgress, adminToken]);
+
+  // Очистка SMS outbox (драйвер для разработки)
+  const handleClearOutbox = async () => {
+    if (!adminToken || !window.confirm(t('admin.outbox.confirmClear', 'Удалить все сообщения из outbox?'))) return;
+    try {
+      const response = await fetch('/api/admin/sms-outbox', {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${adminToken}` },
+      });
+      if (response.ok) setSmsOutbox(prev => prev && { ...prev, messages: [] });
+    } catch (error) {
+      console.error('Ошибка очистки outbox:', error);
+    }
+  };
+
   // --- 7. ДОБАВЛЕНЫ ФУНКЦИИ ДЛЯ 2FA ---
   const getAdminToken = (): string | null => {
     const token = adminToken;
@@ -590,6 +872,18 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
         >
           {t('admin.tabs.synced', { filtered: filteredSyncedData.length, total: syncedFormData.length })}
         </button>
+        <button 
+          className={`admin-tab ${selectedTab === 'referrals' ? 'active' : ''}`}
+          onClick={() => setSelectedTab('referrals')}
+        >
+          {t('admin.tabs.referrals', 'Рефералы')}
+        </button>
+        <button 
+          className={`admin-tab ${selectedTab === 'outbox' ? 'active' : ''}`}
+          onClick={() => setSelectedTab('outbox')}
+        >
+          {t('admin.tabs.outbox', 'SMS outbox')} ({smsOutbox?.messages.length ?? 0})
+        </button>
         {/* --- 9. ДОБАВЛЕНА КНОПКА ВКЛАДКИ 2FA --- */}
         <button 
           className={`admin-tab ${selectedTab === 'security' ? 'active' : ''}`}
@@ -637,6 +931,8 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
                     <th>{t('admin.customers.table.preferences')}</th>
                     <th>{t('admin.customers.table.feedback')}</th>
                     <th>{t('admin.customers.table.promoCode')}</th>
+                    <th>{t('admin.customers.table.redemption', 'Погашен')}</th>
+                    <th>{t('admin.customers.table.referrals', 'Рефералы')}</th>
                     <th>{t('admin.customers.table.registrationDate')}</th>
                   </tr>
                 </thead>
@@ -664,6 +960,21 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
                       <td className="customer-promo">
                         <span className="badge badge--promo">{customer.discountCode}</span>
                       </td>
+                      <td className="customer-redemption">
+                        {customer.redemption ? (
+                          <span className="badge badge--success" title={customer.redemption.location || undefined}>
+                            {formatDate(customer.redemption.redeemedAt)} · {customer.redemption.staffMember}
+                          </span>
+                        ) : '-'}
+                      </td>
+                      <td className="customer-referrals">
+                        {customer.referralCount || 0}
+                        {customer.referredBy && (
+                          <div title={`${customer.referredBy.firstName} ${customer.referredBy.lastName}`}>
+                            ← {customer.referredBy.discountCode}
+                          </div>
+                        )}
+                      </td>
                       <td className="customer-date">{formatDate(customer.createdAt)}</td>
                     </tr>
                   ))}
@@ -673,6 +984,109 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
           </div>
         )}
 
+        {/* === Вкладка 'referrals' === */}
+        {selectedTab === 'referrals' && (
+          <div className="referrals-section">
+            <h3>{t('admin.referrals.title', 'Реферальная программа')}</h3>
+            {!referralReport ? (
+              <p>{t('admin.referrals.empty', 'Нет данных о приглашениях.')}</p>
+            ) : (
+              <>
+                <div className="stats-grid">
+                  <div className="stat-card">
+                    <div className="stat-icon">🤝</div>
+                    <div className="stat-content">
+                      <div className="stat-number">{referralReport.totals.referredCustomers}</div>
+                      <div className="stat-label">{t('admin.referrals.referred', 'Приглашено')}</div>
+                    </div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-icon">✅</div>
+                    <div className="stat-content">
+                      <div className="stat-number">{referralReport.totals.verifiedReferredCustomers}</div>
+                      <div className="stat-label">{t('admin.referrals.verified', 'Верифицировано')}</div>
+                    </div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-icon">🎁</div>
+                    <div className="stat-content">
+                      <div className="stat-number">{referralReport.totals.bonusCodesIssued}</div>
+                      <div className="stat-label">{t('admin.referrals.bonuses', 'Выдано бонусов')}</div>
+                    </div>
+                  </div>
+                </div>
+
+                <h4>{t('admin.referrals.top', 'Лучшие амбассадоры')}</h4>
+                <div className="table-container">
+                  <table className="enhanced-table">
+                    <thead>
+                      <tr>
+                        <th>{t('admin.customers.table.name')}</th>
+                        <th>{t('admin.customers.table.promoCode')}</th>
+                        <th>{t('admin.referrals.referred', 'Приглашено')}</th>
+                        <th>{t('admin.referrals.verified', 'Верифицировано')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {referralReport.topReferrers.map((referrer) => (
+                        <tr key={referrer.id}>
+                          <td><strong>{referrer.firstName} {referrer.lastName}</strong></td>
+                          <td><span className="badge badge--promo">{referrer.discountCode}</span></td>
+                          <td>{referrer.referralCount}</td>
+                          <td>{referrer.verifiedReferralCount}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <h4>{t('admin.referrals.tree', 'Дерево приглашений')}</h4>
+                <ReferralTree nodes={referralReport.tree} />
+              </>
+            )}
+          </div>
+        )}
+
+        {/* === Вкладка 'outbox' === */}
+        {selectedTab === 'outbox' && (
+          <div className="outbox-section">
+            <h3>{t('admin.outbox.title', 'SMS outbox')}</h3>
+            <p>
+              {t('admin.outbox.provider', 'Драйвер SMS')}: <strong>{smsOutbox?.provider ?? t('admin.outbox.notConfigured', 'не настроен')}</strong>
+              {smsOutbox?.provider !== 'outbox' && ` — ${t('admin.outbox.hint', 'сообщения попадают сюда только при SMS_PROVIDER=outbox')}`}
+            </p>
+            {!smsOutbox || smsOutbox.messages.length === 0 ? (
+              <p>{t('admin.outbox.empty', 'Outbox пуст.')}</p>
+            ) : (
+              <>
+                <button onClick={handleClearOutbox} className="clear-filters-btn">
+                  {t('admin.outbox.clear', 'Очистить')}
+                </button>
+                <div className="table-container">
+                  <table className="enhanced-table">
+                    <thead>
+                      <tr>
+                        <th>{t('admin.outbox.createdAt', 'Время')}</th>
+                        <th>{t('admin.customers.table.phone')}</th>
+                        <th>{t('admin.outbox.body', 'Текст')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {smsOutbox.messages.map((message) => (
+                        <tr key={message.id}>
+                          <td className="customer-date">{formatDate(message.createdAt)}</td>
+                          <td>{message.to}</td>
+                          <td style={{ whiteSpace: 'pre-wrap' }}>{message.body}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
         {/* === Вкладка 'sessions' (Ваш код) === */}
         {selectedTab === 'sessions' && (
           <div className="sessions-section">
@@ -821,6 +1235,24 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
                 </label>
               </div>
             </div>
+              {messageTemplates.length > 0 && (
+                <div className="form-group">
+                  <label htmlFor="broadcast-template">{t('admin.broadcast.templates.label', 'Шаблон')}</label>
+                  <select
+                    id="broadcast-template"
+                    value=""
+                    onChange={(e) => {
+                      const template = messageTemplates.find(item => item.id === e.target.value);
+                      if (template) setBroadcastMessage({ title: template.title, body: template.body });
+                    }}
+                  >
+                    <option value="">{t('admin.broadcast.templates.choose', 'Подставить сохраненный шаблон…')}</option>
+                    {messageTemplates
+                      .filter(template => !template.channel || template.channel === (broadcastChannel === 'sms' ? 'SMS' : 'EMAIL'))
+                      .map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+                  </select>
+                </div>
+              )}
               <div className="form-group">
                 <label htmlFor="broadcast-title">{t('admin.broadcast.titleLabel')}</label>
                 <input
@@ -842,8 +1274,59 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
                   className="form-textarea"
                   rows={6}
                 />
+                {templateVariables.length > 0 && (
+                  <p style={{ margin: '4px 0 0 0', fontSize: 13, color: '#666' }}>
+                    {t('admin.broadcast.templates.hint', 'Подстановки: {{variables}}; запасной текст - {{example}}; условие - {{condition}}', {
+                      variables: templateVariables.map(name => `{{${name}}}`).join(' '),
+                      example: '{{firstName|друг}}',
+                      condition: '{{#if discountCode}}…{{else}}…{{/if}}',
+                      interpolation: { escapeValue: false },
+                    })}
+                  </p>
+                )}
+                {messagePreviewError && (
+                  <p style={{ margin: '4px 0 0 0', fontSize: 13, color: '#ff6b6b' }}>{messagePreviewError}</p>
+                )}
+                {messagePreview && (
+                  <div style={{ marginTop: 8, padding: 8, border: '1px dashed #e5e7eb', borderRadius: 6, fontSize: 13 }}>
+                    <p style={{ margin: 0, whiteSpace: 'pre-wrap' }}>{messagePreview.body}</p>
+                    {broadcastChannel === 'sms' && (
+                      <p style={{ margin: '4px 0 0 0', color: '#666' }}>
+                        {t('admin.broadcast.templates.smsLength', '{{length}} символов ({{encoding}}), SMS частей: {{segments}}', messagePreview.sms)}
+                      </p>
+                    )}
+                  </div>
+                )}
+                <button
+                  className="button"
+                  style={{ marginTop: 8 }}
+                  onClick={handleSaveTemplate}
+                  disabled={!broadcastMessage.title.trim() || !broadcastMessage.body.trim() || Boolean(messagePreviewError)}
+                >
+                  {t('admin.broadcast.templates.save', 'Сохранить как шаблон')}
+                </button>
               </div>
 
+            <div className="form-group">
+              <label htmlFor="broadcast-segment">{t('admin.broadcast.segment', 'Сегмент')}</label>
+              <select id="broadcast-segment" value={broadcastSegmentId} onChange={(e) => setBroadcastSegmentId(e.target.value)}>
+                <option value="">{t('admin.broadcast.manualSelection', 'Выбрать клиентов вручную')}</option>
+                {segments.map(segment => (
+                  <option key={segment.id} value={segment.id}>{segment.name}</option>
+                ))}
+              </select>
+              {segmentPreview && (
+                <p style={{ margin: '4px 0 0 0', fontSize: 13, color: '#666' }}>
+                  {t('admin.broadcast.segmentPreview', 'Сейчас в сегменте: {{count}}, получат рассылку: {{eligible}} (с согласием и подпиской). Состав определится в момент отправки.', {
+                    count: segmentPreview.count,
+                    eligible: segmentPreview.eligible[broadcastChannel === 'sms' ? 'SMS' : 'EMAIL'],
+                  })}
+                  {segmentPreview.sample.length > 0 && ` ${segmentPreview.sample.map(c => `${c.firstName} ${c.lastName}`).join(', ')}${segmentPreview.count > segmentPreview.sample.length ? '…' : ''}`}
+                </p>
+              )}
+            </div>
+
+            {!broadcastSegmentId && (
             <div className="form-group">
               <label>{t('admin.broadcast.recipients')}</label>
               <div className="recipients-list" style={{ maxHeight: 240, overflow: 'auto', border: '1px solid #e5e7eb', borderRadius: 8, padding: 10 }}>
@@ -870,18 +1353,101 @@ export const EnhancedAdminPanel: React.FC<{ onLogout: () => void }> = ({ onLogou
                 <button className="button" onClick={() => setSelectedRecipients([])}>{t('admin.broadcast.clearSelection')}</button>
               </div>
             </div>
+            )}
               
               <div className="loyalty-program-section">
                 <h2 className="loyalty-program-title">{t('sushi.animation.loyaltyProgram')}</h2>
               </div>
               
+              <div className="form-group">
+                <label htmlFor="broadcast-scheduled-for">
+                  {t('admin.broadcast.scheduleLabel', 'Отправить позже')} ({browserTimeZone})
+                </label>
+                <input
+                  id="broadcast-scheduled-for"
+                  type="datetime-local"
+                  value={broadcastScheduledFor}
+                  onChange={(e) => setBroadcastScheduledFor(e.target.value)}
+                />
+                {broadcastChannel === 'sms' && (
+                  <p style={{ margin: '4px 0 0 0', fontSize: 13, color: '#666' }}>
+                    {t('admin.broadcast.quietHoursHint', 'Ночью по местному времени клиента SMS не отправляются: они уйдут утром.')}
+                  </p>
+                )}
+              </div>
+
             <button 
                 className="button button--primary"
                 onClick={handleBroadcast}
-                disabled={isBroadcasting || !broadcastMessage.title.trim() || !broadcastMessage.body.trim() || selectedRecipients.length===0}
+                disabled={isBroadcasting || !broadcastMessage.title.trim() || !broadcastMessage.body.trim() || (!broadcastSegmentId && selectedRecipients.length===0)}
               >
-                {isBroadcasting ? t('admin.broadcast.sending') : t('admin.broadcast.sendButton')}
+                {isBroadcasting
+                  ? t('admin.broadcast.sending')
+                  : broadcastScheduledFor ? t('admin.broadcast.scheduleButton', 'Запланировать') : t('admin.broadcast.sendButton')}
               </button>
+
+              {broadcastProgress && (
+                <div className="broadcast-progress" style={{ marginTop: 16, padding: 12, border: '1px solid #e5e7eb', borderRadius: 8 }}>
+                  <p style={{ margin: '0 0 8px 0', fontWeight: 600 }}>
+                    {broadcastProgress.title} ({broadcastProgress.channel}) — {broadcastProgress.status === 'COMPLETED'
+                      ? t('admin.broadcast.progress.completed', 'завершена')
+                      : t('admin.broadcast.progress.sending', 'отправляется')}
+                  </p>
+                  <div style={{ height: 8, background: '#e5e7eb', borderRadius: 4, overflow: 'hidden' }}>
+                    <div style={{ width: `${broadcastProgress.percent}%`, height: '100%', background: '#4ecdc4' }} />
+                  </div>
+                  <p style={{ margin: '8px 0 0 0', fontSize: 14 }}>
+                    {t('admin.broadcast.progress.counts', 'Отправлено: {{sent}} из {{total}}, ошибок: {{failed}}, пропущено: {{skipped}}', {
+                      sent: broadcastProgress.counts.SENT,
+                      total: broadcastProgress.total,
+                      failed: broadcastProgress.counts.FAILED,
+                      skipped: broadcastProgress.counts.SKIPPED,
+                    })}
+                  </p>
+                  {broadcastProgress.skippedReasons && Object.keys(broadcastProgress.skippedReasons).length > 0 && (
+                    <p style={{ margin: '4px 0 0 0', fontSize: 13, color: '#666' }}>
+                      {t('admin.broadcast.progress.skippedReasons', 'Причины пропуска')}: {Object.entries(broadcastProgress.skippedReasons)
+                        .map(([reason, count]) => `${t(`admin.broadcast.skipReasons.${reason}`, reason)}: ${count}`)
+                        .join(', ')}
+                    </p>
+                  )}
+                  {broadcastProgress.nextRetryAt && broadcastProgress.status !== 'COMPLETED' && (
+                    <p style={{ margin: '4px 0 0 0', fontSize: 13, color: '#666' }}>
+                      {t('admin.broadcast.progress.nextRetry', 'Следующий повтор')}: {new Date(broadcastProgress.nextRetryAt).toLocaleTimeString()}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {scheduledBroadcasts.length > 0 && (
+                <div className="scheduled-broadcasts" style={{ marginTop: 24 }}>
+                  <h4>{t('admin.broadcast.scheduled.title', 'Запланированные рассылки')}</h4>
+                  {scheduledBroadcasts.map((broadcast) => (
+                    <div key={broadcast.id} style={{ padding: 12, marginBottom: 8, border: '1px solid #e5e7eb', borderRadius: 8 }}>
+                      <p style={{ margin: '0 0 8px 0', fontWeight: 600 }}>
+                        {broadcast.title} ({broadcast.channel}) — {new Date(broadcast.scheduledFor).toLocaleString()}
+                        {broadcast.timezone && broadcast.timezone !== browserTimeZone && ` (${broadcast.timezone})`}
+                        , {broadcast.segment
+                          ? t('admin.broadcast.scheduled.segment', 'сегмент: {{name}}', { name: broadcast.segment.name })
+                          : t('admin.broadcast.scheduled.recipients', 'получателей: {{count}}', { count: broadcast.total })}
+                      </p>
+                      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                        <input
+                          type="datetime-local"
+                          value={rescheduleTimes[broadcast.id] ?? ''}
+                          onChange={(e) => setRescheduleTimes(prev => ({ ...prev, [broadcast.id]: e.target.value }))}
+                        />
+                        <button className="button" onClick={() => handleReschedule(broadcast.id)} disabled={!rescheduleTimes[broadcast.id]}>
+                          {t('admin.broadcast.scheduled.reschedule', 'Перенести')}
+                        </button>
+                        <button className="button" onClick={() => handleCancelBroadcast(broadcast.id)}>
+                          {t('admin.broadcast.scheduled.cancel', 'Отменить')}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -18,6 +18,8 @@ const ThankYouPage: React.FC<ThankYouPageProps> = ({ customerData, onClose }) =>
   const [isAnimating, setIsAnimating] = useState(false);
   const [showPromoCode, setShowPromoCode] = useState(false);
   const [showInstructions, setShowInstructions] = useState(false);
+  // QR отдается только для активированного кода - если сервер не ответил, просто прячем картинку
+  const [showQr, setShowQr] = useState(true);
 
   useEffect(() => {
     // Запускаем анимацию при загрузке
@@ -43,8 +45,18 @@ const ThankYouPage: React.FC<ThankYouPageProps> = ({ customerData, onClose }) =>
     }
   };
 
-  const handleShareToInstagram = () => {
-    const message = `Привет! Я зарегистрировался в SUSHI ICON и получил скидку 10%! 🍣✨ Мой промокод: ${customerData.discountCode}. Присоединяйся и ты! #SushiIcon #Скидка10%`;
+  // Промокод одновременно реферальный: за друга, зарегистрировавшегося по ссылке, начисляется бонус
+  const referralLink = `${window.location.origin}/?ref=${encodeURIComponent(customerData.discountCode)}`;
+
+  const handleShareToInstagram = async () => {
+    const message = `Привет! Я зарегистрировался в SUSHI ICON и получил скидку 10%! 🍣✨ Присоединяйся по моей ссылке: ${referralLink} #SushiIcon #Скидка10%`;
+
+    // Текст с реферальной ссылкой кладем в буфер обмена, чтобы вставить его в пост
+    try {
+      await navigator.clipboard.writeText(message);
+    } catch (err) {
+      console.error('Ошибка копирования:', err);
+    }
     
     // Открываем Instagram в новом окне
     window.open(`https://www.instagram.com/`, '_blank');
@@ -87,6 +99,22 @@ const ThankYouPage: React.FC<ThankYouPageProps> = ({ customerData, onClose }) =>
                   📋
                 </button>
               </div>
+              {showQr && (
+                <img
+                  className="promo-code-qr"
+                  src={`/api/promo/${encodeURIComponent(customerData.discountCode)}/qr`}
+                  alt={`QR ${customerData.discountCode}`}
+                  onError={() => setShowQr(false)}
+                />
+              )}
+              <div className="promo-code-wallet">
+                <a href={`/api/promo/${encodeURIComponent(customerData.discountCode)}/pass`} download>
+                  📲 Добавить в Wallet
+                </a>
+                <a href={`/api/promo/${encodeURIComponent(customerData.discountCode)}/pass?format=json`} download>
+                  💾 Сохранить пасс (JSON)
+                </a>
+              </div>
               <p className="promo-code-description">
                 Используйте этот код для получения <strong>10% скидки</strong> на ваш первый заказ!
               </p>
@@ -15,9 +15,19 @@ interface Customer {
   preferredFood?: string;
   feedback?: string;
   discountCode: string;
+  redemption?: PromoRedemption | null;
   createdAt: string;
 }
 
+interface PromoRedemption {
+  id: string;
+  code: string;
+  amount?: number | null;
+  staffMember: string;
+  location?: string | null;
+  redeemedAt: string;
+}
+
 interface LoginSession {
   id: string;
   loginAt: string;
@@ -823,6 +833,18 @@ const UnifiedAdminPanel: React.FC<UnifiedAdminPanelProps> = ({ onLogout }) => {
                     }}>
                       Промокод
                     </th>
+                    <th style={{
+                      padding: '15px',
+                      textAlign: 'left',
+                      fontWeight: '700',
+                      fontSize: '14px',
+                      color: 'white',
+                      borderBottom: '1px solid rgba(255, 255, 255, 0.3)',
+                      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+                      textShadow: '0 1px 2px rgba(0,0,0,0.3)'
+                    }}>
+                      Погашен
+                    </th>
                     <th style={{
                       padding: '15px',
                       textAlign: 'left',
@@ -934,6 +956,18 @@ const UnifiedAdminPanel: React.FC<UnifiedAdminPanelProps> = ({ onLogout }) => {
                       }}>
                         {customer.discountCode}
                       </td>
+                      <td style={{ 
+                        padding: '15px', 
+                        fontSize: '14px', 
+                        color: '#333',
+                        background: 'rgba(255, 255, 255, 0.8)',
+                        borderBottom: '1px solid rgba(0, 0, 0, 0.1)',
+                        transition: 'background-color 0.2s ease'
+                      }}>
+                        {customer.redemption
+                          ? `${new Date(customer.redemption.redeemedAt).toLocaleString('ru-RU')} (${customer.redemption.staffMember})`
+                          : '-'}
+                      </td>
                       <td style={{ 
                         padding: '15px', 
                         fontSize: '14px', 
@@ -1,12 +1,34 @@
 // Содержимое для frontend/src/components/VerificationPage.tsx
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
 
 interface VerificationPageProps {
   customerId: string;
 }
 
+type Channel = 'phone' | 'email';
+
+// Ответ сервера с машиночитаемой ошибкой верификации
+interface VerificationErrorResponse {
+  message?: string;
+  error?: 'RESEND_COOLDOWN' | 'VERIFICATION_LOCKED' | 'CODE_NOT_SENT' | 'CODE_EXPIRED' | 'CODE_INVALID' | 'CHANNEL_NOT_ALLOWED' | 'PHONE_NOT_MOBILE';
+  retryAfterSeconds?: number;
+  attemptsLeft?: number;
+}
+
+// Настройки верификации с сервера: политика и каналы, которые нужно подтвердить этому клиенту
+interface VerificationConfig {
+  policy: 'both' | 'phone' | 'email' | 'any';
+  channels: Channel[];
+}
+
+// 75 -> "1:15"
+const formatCountdown = (ms: number) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
 export function VerificationPage({ customerId }: VerificationPageProps) {
   const { t } = useTranslation();
   const [phoneCode, setPhoneCode] = useState('');
@@ -22,9 +44,46 @@ export function VerificationPage({ customerId }: VerificationPageProps) {
     isFullyVerified: false,
     discountCode: null as string | null,
   });
+  // Таймеры (метки времени в мс): когда истекает код, когда можно запросить новый, до когда заблокировано
+  const [codeExpiresAt, setCodeExpiresAt] = useState<Partial<Record<Channel, number>>>({});
+  const [resendAvailableAt, setResendAvailableAt] = useState<Partial<Record<Channel, number>>>({});
+  const [lockedUntil, setLockedUntil] = useState<number | null>(null);
+  const [config, setConfig] = useState<VerificationConfig | null>(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const isLocked = lockedUntil !== null && lockedUntil > now;
+
+  // Разбирает ошибку сервера: запускает нужный таймер и возвращает текст для пользователя
+  const applyVerificationError = useCallback((type: Channel, result: VerificationErrorResponse) => {
+    const retryAt = Date.now() + (result.retryAfterSeconds ?? 0) * 1000;
+    switch (result.error) {
+      case 'RESEND_COOLDOWN':
+        setResendAvailableAt(prev => ({ ...prev, [type]: retryAt }));
+        return t('verification.errors.cooldown', 'Код уже отправлен. Новый можно запросить чуть позже.');
+      case 'VERIFICATION_LOCKED':
+        setLockedUntil(retryAt);
+        return t('verification.errors.locked', 'Слишком много неверных попыток. Верификация временно заблокирована.');
+      case 'CODE_EXPIRED':
+        setCodeExpiresAt(prev => ({ ...prev, [type]: undefined }));
+        return t('verification.errors.expired', 'Срок действия кода истек. Запросите новый код.');
+      case 'CHANNEL_NOT_ALLOWED':
+        return t('verification.errors.channelNotAllowed', 'Этот способ подтверждения сейчас не используется.');
+      case 'PHONE_NOT_MOBILE':
+        return t('verification.errors.phoneNotMobile', 'На этот номер нельзя отправить SMS. Укажите мобильный номер.');
+      case 'CODE_INVALID':
+        return t('verification.errors.invalid', 'Неверный код. Осталось попыток: {{count}}', { count: result.attemptsLeft ?? 0 });
+      default:
+        return result.message || t('verification.errors.generic', 'Ошибка верификации');
+    }
+  }, [t]);
 
   // Функция для запроса кода
-  const handleSendCode = async (type: 'phone' | 'email') => {
+  const handleSendCode = useCallback(async (type: Channel) => {
     setError('');
     setMessage(`Отправка кода на ${type}...`);
     setIsLoading(true);
@@ -35,10 +94,16 @@ export function VerificationPage({ customerId }: VerificationPageProps) {
         body: JSON.stringify({ customerId, type }),
       });
       const result = await response.json();
-      if (!response.ok) throw new Error(result.message || `Ошибка отправки кода на ${type}`);
+      if (!response.ok) throw new Error(applyVerificationError(type, result));
       
       setMessage(result.message);
       setVerificationStatus(prev => ({ ...prev, [`${type}Sent`]: true }));
+      if (result.expiresInSeconds) {
+        setCodeExpiresAt(prev => ({ ...prev, [type]: Date.now() + result.expiresInSeconds * 1000 }));
+      }
+      if (result.resendAvailableInSeconds) {
+        setResendAvailableAt(prev => ({ ...prev, [type]: Date.now() + result.resendAvailableInSeconds * 1000 }));
+      }
 
     } catch (err: any) {
       setError(err.message);
@@ -46,10 +111,10 @@ export function VerificationPage({ customerId }: VerificationPageProps) {
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [customerId, applyVerificationError]);
   
    // Функция для подтверждения кода
-  const handleConfirmCode = async (type: 'phone' | 'email') => {
+  const handleConfirmCode = async (type: Channel) => {
       setError('');
       setMessage(`Проверка кода для ${type}...`);
       setIsLoading(true);
@@ -68,7 +133,7 @@ export function VerificationPage({ customerId }: VerificationPageProps) {
               body: JSON.stringify({ customerId, type, code }),
           });
           const result = await response.json();
-          if (!response.ok) throw new Error(result.message || `Ошибка подтверждения ${type}`);
+          if (!response.ok) throw new Error(applyVerificationError(type, result));
 
           setMessage(result.message);
           setVerificationStatus(prev => ({
@@ -91,12 +156,63 @@ export function VerificationPage({ customerId }: VerificationPageProps) {
       }
   };
 
-  // Запрашиваем коды при первой загрузке (опционально)
+  // Для какого клиента коды уже запрошены автоматически: при смене языка эффект перезапускается,
+  // но повторно слать коды не нужно
+  const autoSentFor = useRef<string | null>(null);
+
+  // Загружаем политику верификации и запрашиваем коды только для нужных шагов
   useEffect(() => {
-    handleSendCode('phone');
-    // Можно добавить задержку перед запросом email-кода, если нужно
-    setTimeout(() => handleSendCode('email'), 1000); 
-  }, [customerId]); // Зависимость от customerId
+    const loadConfig = async () => {
+      try {
+        const response = await fetch(`/api/config/verification?customerId=${encodeURIComponent(customerId)}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message);
+
+        setConfig({ policy: result.policy, channels: result.channels });
+        setVerificationStatus(prev => ({
+          ...prev,
+          phoneVerified: result.isPhoneVerified ?? prev.phoneVerified,
+          emailVerified: result.isEmailVerified ?? prev.emailVerified,
+          isFullyVerified: result.isFullyVerified ?? prev.isFullyVerified,
+        }));
+        if (result.isFullyVerified || autoSentFor.current === customerId) return;
+        autoSentFor.current = customerId;
+
+        // При политике "любой канал" достаточно одного кода - второй клиент запросит сам, если нужно
+        const autoSend: Channel[] = result.policy === 'any' ? result.channels.slice(0, 1) : result.channels;
+        autoSend.forEach((type, index) => setTimeout(() => handleSendCode(type), index * 1000));
+      } catch (err: unknown) {
+        setError(err instanceof Error ? err.message : t('verification.errors.generic', 'Ошибка верификации'));
+      }
+    };
+    loadConfig();
+  }, [customerId, handleSendCode, t]);
+
+  const showChannel = (type: Channel) => config?.channels.includes(type) ?? false;
+
+  // Срок действия кода и кнопка повторной отправки с обратным отсчетом
+  const renderCodeTimers = (type: Channel) => {
+    const expiresAt = codeExpiresAt[type];
+    const resendAt = resendAvailableAt[type] ?? 0;
+    return (
+      <>
+        {expiresAt && expiresAt > now && (
+          <p className="text-xs text-gray-400 mt-2">
+            {t('verification.expiresIn', 'Код действителен еще {{time}}', { time: formatCountdown(expiresAt - now) })}
+          </p>
+        )}
+        <button
+          onClick={() => handleSendCode(type)}
+          disabled={isLoading || isLocked || resendAt > now}
+          className="text-xs text-blue-400 hover:underline mt-2 disabled:opacity-50"
+        >
+          {resendAt > now
+            ? t('verification.resendIn', 'Отправить код повторно через {{time}}', { time: formatCountdown(resendAt - now) })
+            : t('verification.resendCode')}
+        </button>
+      </>
+    );
+  };
 
   return (
     <div className="max-w-md mx-auto mt-10 p-8 bg-gray-800 rounded-lg shadow-xl text-white">
@@ -104,8 +220,20 @@ export function VerificationPage({ customerId }: VerificationPageProps) {
 
       {message && <p className="text-green-400 mb-4">{message}</p>}
       {error && <p className="text-red-400 mb-4">{error}</p>}
+      {isLocked && (
+        <p className="text-yellow-400 mb-4">
+          {t('verification.lockedFor', 'Повторить попытку можно через {{time}}', { time: formatCountdown(lockedUntil - now) })}
+        </p>
+      )}
+
+      {config?.policy === 'any' && config.channels.length > 1 && !verificationStatus.isFullyVerified && (
+        <p className="text-sm text-gray-400 mb-4">
+          {t('verification.anyChannelHint', 'Достаточно подтвердить телефон или email - любой на выбор.')}
+        </p>
+      )}
 
       {/* Верификация Телефона */}
+      {showChannel('phone') && (
       <div className="mb-6 p-4 border border-gray-600 rounded">
         <h3 className="font-semibold mb-2">{t('verification.phoneTitle')} {verificationStatus.phoneVerified && '✅'}</h3>
         {!verificationStatus.phoneVerified ? (
@@ -123,33 +251,28 @@ export function VerificationPage({ customerId }: VerificationPageProps) {
               />
               <button
                 onClick={() => handleConfirmCode('phone')}
-                disabled={isLoading || phoneCode.length !== 4}
+                disabled={isLoading || isLocked || phoneCode.length !== 4}
                 className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-50"
               >
                 {t('verification.confirmButton')}
               </button>
             </div>
-            {!verificationStatus.phoneSent && (
-                 <button 
-                    onClick={() => handleSendCode('phone')} 
-                    disabled={isLoading} 
-                    className="text-xs text-blue-400 hover:underline mt-2 disabled:opacity-50"
-                 >
-                     {t('verification.resendCode')}
-                 </button>
-            )}
+            {renderCodeTimers('phone')}
           </>
         ) : (
           <p className="text-green-500">{t('verification.verified')}</p>
         )}
       </div>
+      )}
 
       {/* Верификация Email */}
+      {showChannel('email') && (
       <div className="mb-6 p-4 border border-gray-600 rounded">
          <h3 className="font-semibold mb-2">{t('verification.emailTitle')} {verificationStatus.emailVerified && '✅'}</h3>
         {!verificationStatus.emailVerified ? (
           <>
             <p className="text-sm text-gray-400 mb-2">{t('verification.emailPrompt')}</p>
+            <p className="text-xs text-gray-500 mb-2">{t('verification.emailLinkHint', 'Вместо ввода кода можно нажать кнопку «Подтвердить email» в письме.')}</p>
              <div className="flex items-center space-x-2">
               <input
                 type="text"
@@ -162,26 +285,19 @@ export function VerificationPage({ customerId }: VerificationPageProps) {
               />
               <button
                 onClick={() => handleConfirmCode('email')}
-                disabled={isLoading || emailCode.length !== 4}
+                disabled={isLoading || isLocked || emailCode.length !== 4}
                 className="px-4 py-2 bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-50"
               >
                 {t('verification.confirmButton')}
                </button>
             </div>
-             {!verificationStatus.emailSent && (
-                 <button 
-                    onClick={() => handleSendCode('email')} 
-                    disabled={isLoading} 
-                    className="text-xs text-blue-400 hover:underline mt-2 disabled:opacity-50"
-                 >
-                     {t('verification.resendCode')}
-                 </button>
-             )}
+            {renderCodeTimers('email')}
           </>
          ) : (
            <p className="text-green-500">{t('verification.verified')}</p>
          )}
       </div>
+      )}
       
       {/* Отображение промокода после полной верификации */}
       {verificationStatus.isFullyVerified && verificationStatus.discountCode && (
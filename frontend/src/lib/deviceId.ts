@@ -0,0 +1,12 @@
+// Случайный идентификатор браузера: сервер сравнивает его с устройством пригласившего,
+// чтобы клиент не мог пригласить сам себя.
+const STORAGE_KEY = 'deviceId';
+
+export function getDeviceId(): string {
+  let deviceId = localStorage.getItem(STORAGE_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(STORAGE_KEY, deviceId);
+  }
+  return deviceId;
+}
@@ -0,0 +1,8 @@
+// Проверка формата промокода на клиенте - тот же модуль, что использует server.js,
+// поэтому опечатку кассира видно сразу, без запроса к серверу.
+export {
+  PROMO_CODE_ALPHABET,
+  normalizePromoCode,
+  validatePromoCode,
+  type PromoCodeValidation,
+} from "../../../shared/promoCode.js";
@@ -19,6 +19,10 @@ export default defineConfig({
     https: false,
     port: 5190,
     strictPort: false,
+    fs: {
+      // shared/ (формат промокодов) лежит рядом с frontend/ и используется и сервером
+      allow: [".."],
+    },
     proxy: {
       "/api": "http://127.0.0.1:3000",
     },
@@ -0,0 +1,75 @@
+// Разовая миграция: приводит Customer.phoneNumber к E.164 и ищет дубликаты.
+//   node normalize_phone_numbers.js          - только отчет, база не меняется
+//   node normalize_phone_numbers.js --apply  - обновить номера без конфликтов
+// Клиенты, чьи номера сводятся к одному и тому же E.164, не трогаются - их нужно объединить вручную.
+
+import { PrismaClient } from './generated/prisma/index.js';
+import { normalizePhoneNumber } from './services/phoneNumber.js';
+
+const prisma = new PrismaClient();
+const apply = process.argv.includes('--apply');
+
+const describe = (customer) =>
+  `${customer.id} ${customer.firstName} ${customer.lastName} "${customer.phoneNumber}" (${customer.country})`
+  + `${customer.isVerified ? ' ✓ верифицирован' : ''}, создан ${customer.createdAt.toISOString().slice(0, 10)}`;
+
+async function normalizePhoneNumbers() {
+  try {
+    console.log(`📞 Нормализация телефонов клиентов${apply ? '' : ' (пробный запуск, без --apply ничего не меняется)'}...\n`);
+
+    const customers = await prisma.customer.findMany({
+      select: { id: true, firstName: true, lastName: true, phoneNumber: true, country: true, isVerified: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const invalid = [];
+    const landlines = [];
+    /** @type {Map<string, typeof customers>} */
+    const byE164 = new Map();
+
+    for (const customer of customers) {
+      const phone = normalizePhoneNumber(customer.phoneNumber, customer.country);
+      if (!phone) {
+        invalid.push(customer);
+        continue;
+      }
+      if (!phone.smsCapable) landlines.push({ customer, type: phone.type });
+      byE164.set(phone.e164, [...(byE164.get(phone.e164) ?? []), customer]);
+    }
+
+    const collisions = [...byE164.entries()].filter(([, group]) => group.length > 1);
+    const updates = [...byE164.entries()]
+      .filter(([e164, group]) => group.length === 1 && group[0].phoneNumber !== e164)
+      .map(([e164, [customer]]) => ({ customer, e164 }));
+
+    console.log(`👥 Клиентов: ${customers.length}`);
+    console.log(`✏️  К обновлению: ${updates.length}`);
+    updates.forEach(({ customer, e164 }) => console.log(`   ${describe(customer)} → ${e164}`));
+
+    console.log(`\n⚠️  Конфликты (один номер у нескольких клиентов): ${collisions.length}`);
+    collisions.forEach(([e164, group]) => {
+      console.log(`   ${e164}:`);
+      group.forEach((customer) => console.log(`     - ${describe(customer)}`));
+    });
+
+    console.log(`\n❌ Некорректные номера (оставлены как есть): ${invalid.length}`);
+    invalid.forEach((customer) => console.log(`   ${describe(customer)}`));
+
+    console.log(`\n☎️  Не мобильные (SMS-верификация невозможна): ${landlines.length}`);
+    landlines.forEach(({ customer, type }) => console.log(`   ${describe(customer)} - ${type}`));
+
+    if (apply) {
+      for (const { customer, e164 } of updates) {
+        await prisma.customer.update({ where: { id: customer.id }, data: { phoneNumber: e164 } });
+      }
+      console.log(`\n✅ Обновлено номеров: ${updates.length}`);
+    }
+  } catch (error) {
+    console.error('❌ Ошибка:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+normalizePhoneNumbers();
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "PromoRedemption" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "amount" REAL,
+    "staffMember" TEXT NOT NULL,
+    "location" TEXT,
+    "redeemedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PromoRedemption_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoRedemption_code_key" ON "PromoRedemption"("code");
@@ -0,0 +1,56 @@
+-- CreateTable
+CREATE TABLE "Campaign" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "discountType" TEXT NOT NULL DEFAULT 'PERCENT',
+    "discountValue" REAL NOT NULL,
+    "startsAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endsAt" DATETIME,
+    "maxRedemptions" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Customer" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "firstName" TEXT NOT NULL,
+    "lastName" TEXT NOT NULL,
+    "phoneNumber" TEXT NOT NULL,
+    "email" TEXT,
+    "isVerified" BOOLEAN NOT NULL DEFAULT false,
+    "phoneVerificationCode" TEXT,
+    "emailVerificationCode" TEXT,
+    "isPhoneVerified" BOOLEAN NOT NULL DEFAULT false,
+    "isEmailVerified" BOOLEAN NOT NULL DEFAULT false,
+    "consentEmail" BOOLEAN NOT NULL DEFAULT false,
+    "consentSms" BOOLEAN NOT NULL DEFAULT false,
+    "consentGivenAt" DATETIME,
+    "birthDate" DATETIME,
+    "city" TEXT,
+    "street" TEXT,
+    "postalCode" TEXT,
+    "houseNumber" TEXT,
+    "preferredFood" TEXT,
+    "feedback" TEXT,
+    "country" TEXT,
+    "discountCode" TEXT NOT NULL,
+    "campaignId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Customer_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Customer" ("birthDate", "city", "consentEmail", "consentGivenAt", "consentSms", "country", "createdAt", "discountCode", "email", "emailVerificationCode", "feedback", "firstName", "houseNumber", "id", "isEmailVerified", "isPhoneVerified", "isVerified", "lastName", "phoneNumber", "phoneVerificationCode", "postalCode", "preferredFood", "street", "updatedAt") SELECT "birthDate", "city", "consentEmail", "consentGivenAt", "consentSms", "country", "createdAt", "discountCode", "email", "emailVerificationCode", "feedback", "firstName", "houseNumber", "id", "isEmailVerified", "isPhoneVerified", "isVerified", "lastName", "phoneNumber", "phoneVerificationCode", "postalCode", "preferredFood", "street", "updatedAt" FROM "Customer";
+DROP TABLE "Customer";
+ALTER TABLE "new_Customer" RENAME TO "Customer";
+CREATE UNIQUE INDEX "Customer_phoneNumber_key" ON "Customer"("phoneNumber");
+CREATE UNIQUE INDEX "Customer_discountCode_key" ON "Customer"("discountCode");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Campaign_prefix_key" ON "Campaign"("prefix");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "codeValidityDays" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN "discountCodeExpiresAt" DATETIME;
+ALTER TABLE "Customer" ADD COLUMN "expiryReminderSentAt" DATETIME;
@@ -0,0 +1,64 @@
+-- CreateTable
+CREATE TABLE "BonusCode" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "discountType" TEXT NOT NULL DEFAULT 'PERCENT',
+    "discountValue" REAL NOT NULL,
+    "expiresAt" DATETIME,
+    "referredCustomerId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "BonusCode_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "BonusCode_referredCustomerId_fkey" FOREIGN KEY ("referredCustomerId") REFERENCES "Customer" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Customer" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "firstName" TEXT NOT NULL,
+    "lastName" TEXT NOT NULL,
+    "phoneNumber" TEXT NOT NULL,
+    "email" TEXT,
+    "isVerified" BOOLEAN NOT NULL DEFAULT false,
+    "phoneVerificationCode" TEXT,
+    "emailVerificationCode" TEXT,
+    "isPhoneVerified" BOOLEAN NOT NULL DEFAULT false,
+    "isEmailVerified" BOOLEAN NOT NULL DEFAULT false,
+    "consentEmail" BOOLEAN NOT NULL DEFAULT false,
+    "consentSms" BOOLEAN NOT NULL DEFAULT false,
+    "consentGivenAt" DATETIME,
+    "birthDate" DATETIME,
+    "city" TEXT,
+    "street" TEXT,
+    "postalCode" TEXT,
+    "houseNumber" TEXT,
+    "preferredFood" TEXT,
+    "feedback" TEXT,
+    "country" TEXT,
+    "discountCode" TEXT NOT NULL,
+    "discountCodeExpiresAt" DATETIME,
+    "expiryReminderSentAt" DATETIME,
+    "campaignId" TEXT,
+    "deviceId" TEXT,
+    "referredById" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Customer_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Customer_referredById_fkey" FOREIGN KEY ("referredById") REFERENCES "Customer" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Customer" ("birthDate", "campaignId", "city", "consentEmail", "consentGivenAt", "consentSms", "country", "createdAt", "discountCode", "discountCodeExpiresAt", "email", "emailVerificationCode", "expiryReminderSentAt", "feedback", "firstName", "houseNumber", "id", "isEmailVerified", "isPhoneVerified", "isVerified", "lastName", "phoneNumber", "phoneVerificationCode", "postalCode", "preferredFood", "street", "updatedAt") SELECT "birthDate", "campaignId", "city", "consentEmail", "consentGivenAt", "consentSms", "country", "createdAt", "discountCode", "discountCodeExpiresAt", "email", "emailVerificationCode", "expiryReminderSentAt", "feedback", "firstName", "houseNumber", "id", "isEmailVerified", "isPhoneVerified", "isVerified", "lastName", "phoneNumber", "phoneVerificationCode", "postalCode", "preferredFood", "street", "updatedAt" FROM "Customer";
+DROP TABLE "Customer";
+ALTER TABLE "new_Customer" RENAME TO "Customer";
+CREATE UNIQUE INDEX "Customer_phoneNumber_key" ON "Customer"("phoneNumber");
+CREATE UNIQUE INDEX "Customer_discountCode_key" ON "Customer"("discountCode");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BonusCode_code_key" ON "BonusCode"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BonusCode_referredCustomerId_key" ON "BonusCode"("referredCustomerId");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "BirthdayReward" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "customerId" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "bonusCodeId" TEXT NOT NULL,
+    "channels" TEXT NOT NULL,
+    "sentAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "BirthdayReward_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "BirthdayReward_bonusCodeId_fkey" FOREIGN KEY ("bonusCodeId") REFERENCES "BonusCode" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BirthdayReward_bonusCodeId_key" ON "BirthdayReward"("bonusCodeId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BirthdayReward_customerId_year_key" ON "BirthdayReward"("customerId", "year");
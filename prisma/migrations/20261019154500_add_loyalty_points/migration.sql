@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "BonusCode" ADD COLUMN "loyaltyTier" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN "loginCode" TEXT;
+ALTER TABLE "Customer" ADD COLUMN "loginCodeAttempts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Customer" ADD COLUMN "loginCodeExpiresAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "PointsEntry" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "customerId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "points" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "staffId" TEXT,
+    "staffName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PointsEntry_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PointsEntry_customerId_idx" ON "PointsEntry"("customerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BonusCode_customerId_loyaltyTier_key" ON "BonusCode"("customerId", "loyaltyTier");
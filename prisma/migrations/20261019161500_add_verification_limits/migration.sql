@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN "emailCodeAttempts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Customer" ADD COLUMN "emailCodeSentAt" DATETIME;
+ALTER TABLE "Customer" ADD COLUMN "phoneCodeAttempts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Customer" ADD COLUMN "phoneCodeSentAt" DATETIME;
+ALTER TABLE "Customer" ADD COLUMN "verificationLockedUntil" DATETIME;
@@ -0,0 +1,65 @@
+-- CreateTable
+CREATE TABLE "VerificationChallenge" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "customerId" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "purpose" TEXT NOT NULL DEFAULT 'VERIFICATION',
+    "recipient" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "consumedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "VerificationChallenge_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Customer" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "firstName" TEXT NOT NULL,
+    "lastName" TEXT NOT NULL,
+    "phoneNumber" TEXT NOT NULL,
+    "email" TEXT,
+    "isVerified" BOOLEAN NOT NULL DEFAULT false,
+    "isPhoneVerified" BOOLEAN NOT NULL DEFAULT false,
+    "isEmailVerified" BOOLEAN NOT NULL DEFAULT false,
+    "consentEmail" BOOLEAN NOT NULL DEFAULT false,
+    "consentSms" BOOLEAN NOT NULL DEFAULT false,
+    "consentGivenAt" DATETIME,
+    "phoneCodeAttempts" INTEGER NOT NULL DEFAULT 0,
+    "emailCodeAttempts" INTEGER NOT NULL DEFAULT 0,
+    "verificationLockedUntil" DATETIME,
+    "birthDate" DATETIME,
+    "city" TEXT,
+    "street" TEXT,
+    "postalCode" TEXT,
+    "houseNumber" TEXT,
+    "preferredFood" TEXT,
+    "feedback" TEXT,
+    "country" TEXT,
+    "discountCode" TEXT NOT NULL,
+    "discountCodeExpiresAt" DATETIME,
+    "expiryReminderSentAt" DATETIME,
+    "campaignId" TEXT,
+    "deviceId" TEXT,
+    "referredById" TEXT,
+    "loginCodeAttempts" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Customer_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Customer_referredById_fkey" FOREIGN KEY ("referredById") REFERENCES "Customer" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Customer" ("birthDate", "campaignId", "city", "consentEmail", "consentGivenAt", "consentSms", "country", "createdAt", "deviceId", "discountCode", "discountCodeExpiresAt", "email", "emailCodeAttempts", "expiryReminderSentAt", "feedback", "firstName", "houseNumber", "id", "isEmailVerified", "isPhoneVerified", "isVerified", "lastName", "loginCodeAttempts", "phoneCodeAttempts", "phoneNumber", "postalCode", "preferredFood", "referredById", "street", "updatedAt", "verificationLockedUntil") SELECT "birthDate", "campaignId", "city", "consentEmail", "consentGivenAt", "consentSms", "country", "createdAt", "deviceId", "discountCode", "discountCodeExpiresAt", "email", "emailCodeAttempts", "expiryReminderSentAt", "feedback", "firstName", "houseNumber", "id", "isEmailVerified", "isPhoneVerified", "isVerified", "lastName", "loginCodeAttempts", "phoneCodeAttempts", "phoneNumber", "postalCode", "preferredFood", "referredById", "street", "updatedAt", "verificationLockedUntil" FROM "Customer";
+DROP TABLE "Customer";
+ALTER TABLE "new_Customer" RENAME TO "Customer";
+CREATE UNIQUE INDEX "Customer_phoneNumber_key" ON "Customer"("phoneNumber");
+CREATE UNIQUE INDEX "Customer_discountCode_key" ON "Customer"("discountCode");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "VerificationChallenge_customerId_channel_purpose_idx" ON "VerificationChallenge"("customerId", "channel", "purpose");
+
+-- CreateIndex
+CREATE INDEX "VerificationChallenge_recipient_createdAt_idx" ON "VerificationChallenge"("recipient", "createdAt");
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "SmsOutboxMessage" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "to" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "SmsOutboxMessage_to_createdAt_idx" ON "SmsOutboxMessage"("to", "createdAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN "emailBouncedAt" DATETIME;
+ALTER TABLE "Customer" ADD COLUMN "emailBounceReason" TEXT;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "BroadcastMessage" ADD COLUMN "channel" TEXT NOT NULL DEFAULT 'SMS';
+ALTER TABLE "BroadcastMessage" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'QUEUED';
+ALTER TABLE "BroadcastMessage" ADD COLUMN "startedAt" DATETIME;
+ALTER TABLE "BroadcastMessage" ADD COLUMN "completedAt" DATETIME;
+
+-- Рассылки до появления очереди отправлялись сразу
+UPDATE "BroadcastMessage" SET "status" = 'COMPLETED', "startedAt" = "createdAt", "completedAt" = "createdAt";
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_MessageDelivery" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "messageId" TEXT NOT NULL,
+    "subscriptionId" TEXT,
+    "customerId" TEXT,
+    "recipient" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" DATETIME,
+    "sentAt" DATETIME,
+    "errorMessage" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "MessageDelivery_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "BroadcastMessage" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "MessageDelivery_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "MessageSubscription" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "MessageDelivery_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_MessageDelivery" ("id", "messageId", "subscriptionId", "customerId", "recipient", "status", "attempts", "nextAttemptAt", "sentAt", "errorMessage", "createdAt", "updatedAt")
+SELECT "d"."id", "d"."messageId", "d"."subscriptionId", "s"."customerId", "d"."phoneNumber", "d"."status", 1, "d"."createdAt", "d"."sentAt", "d"."errorMessage", "d"."createdAt", "d"."updatedAt"
+FROM "MessageDelivery" "d" LEFT JOIN "MessageSubscription" "s" ON "s"."id" = "d"."subscriptionId";
+DROP TABLE "MessageDelivery";
+ALTER TABLE "new_MessageDelivery" RENAME TO "MessageDelivery";
+CREATE INDEX "MessageDelivery_status_nextAttemptAt_idx" ON "MessageDelivery"("status", "nextAttemptAt");
+CREATE INDEX "MessageDelivery_messageId_status_idx" ON "MessageDelivery"("messageId", "status");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "BroadcastMessage" ADD COLUMN "timezone" TEXT;
+
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN "timezone" TEXT;
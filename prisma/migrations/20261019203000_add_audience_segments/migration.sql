@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "AudienceSegment" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "filters" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_BroadcastMessage" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "title" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "channel" TEXT NOT NULL DEFAULT 'SMS',
+    "status" TEXT NOT NULL DEFAULT 'QUEUED',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "scheduledFor" DATETIME,
+    "timezone" TEXT,
+    "startedAt" DATETIME,
+    "completedAt" DATETIME,
+    "segmentId" TEXT,
+    CONSTRAINT "BroadcastMessage_segmentId_fkey" FOREIGN KEY ("segmentId") REFERENCES "AudienceSegment" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_BroadcastMessage" ("id", "title", "body", "channel", "status", "createdAt", "scheduledFor", "timezone", "startedAt", "completedAt")
+SELECT "id", "title", "body", "channel", "status", "createdAt", "scheduledFor", "timezone", "startedAt", "completedAt" FROM "BroadcastMessage";
+DROP TABLE "BroadcastMessage";
+ALTER TABLE "new_BroadcastMessage" RENAME TO "BroadcastMessage";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AudienceSegment_name_key" ON "AudienceSegment"("name");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "BroadcastMessage" ADD COLUMN "bodyHtml" TEXT;
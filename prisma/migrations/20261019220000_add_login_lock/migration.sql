@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN "loginLockedUntil" DATETIME;
@@ -0,0 +1,28 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_PromoRedemption" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "bonusCodeId" TEXT,
+    "amount" REAL,
+    "staffMember" TEXT NOT NULL,
+    "location" TEXT,
+    "redeemedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PromoRedemption_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "PromoRedemption_bonusCodeId_fkey" FOREIGN KEY ("bonusCodeId") REFERENCES "BonusCode" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_PromoRedemption" ("id", "code", "customerId", "amount", "staffMember", "location", "redeemedAt")
+SELECT "id", "code", "customerId", "amount", "staffMember", "location", "redeemedAt" FROM "PromoRedemption";
+DROP TABLE "PromoRedemption";
+ALTER TABLE "new_PromoRedemption" RENAME TO "PromoRedemption";
+CREATE UNIQUE INDEX "PromoRedemption_code_key" ON "PromoRedemption"("code");
+CREATE UNIQUE INDEX "PromoRedemption_bonusCodeId_key" ON "PromoRedemption"("bonusCodeId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Уже погашенные бонусные коды не должны расходовать лимит кампании
+UPDATE "PromoRedemption"
+SET "bonusCodeId" = (SELECT "id" FROM "BonusCode" WHERE "BonusCode"."code" = "PromoRedemption"."code")
+WHERE "code" IN (SELECT "code" FROM "BonusCode");
@@ -3,16 +3,49 @@ import cors from "cors";
 import dotenv from "dotenv";
 import { PrismaClient, Prisma } from "./generated/prisma/index.js";
 import { z } from "zod";
-import twilio from "twilio";
-import nodemailer from "nodemailer";
 import crypto from "crypto";
+import { promisify } from "util";
 import { UAParser } from "ua-parser-js";
 import geoip from "geoip-lite";
 import https from "https";
 import http from "http";
-import { sendPromotionalEmail } from './services/emailService.js';
+import { sendTemplatedMail, isMailConfigured, isHardBounce, MAIL_TRANSPORT } from './services/emailService.js';
+import { checkEmailAddress } from './services/emailCheck.js';
+import { renderMailTemplate, escapeHtml, MAIL_TEMPLATES } from './services/mailTemplates.js';
+import { resolveLocale, hasMessages, SUPPORTED_LOCALES } from './services/i18n.js';
+import { normalizePhoneNumber } from './services/phoneNumber.js';
+import { buildPkPass, buildGenericPass, WalletPassConfigError } from './services/walletPass.js';
+import { createSmsProvider, isPermanentSmsError } from './services/smsProvider.js';
+import {
+  enqueueBroadcast,
+  createBroadcastWorker,
+  getBroadcastProgress,
+  releaseDueBroadcasts,
+  cancelBroadcast,
+  BROADCAST_RATE_PER_SECOND,
+} from './services/broadcastQueue.js';
+import {
+  parseTemplate,
+  renderMessageTemplate,
+  getCustomerTemplateVariables,
+  TemplateSyntaxError,
+  TEMPLATE_SAMPLE_VARIABLES,
+} from './services/messageTemplates.js';
+import { estimateSmsSegments } from './services/smsSegments.js';
+import { segmentFiltersSchema, parseSegmentFilters, findSegmentCustomers } from './services/audienceSegments.js';
+import { isValidTimeZone, resolveCustomerTimeZone, zonedTimeToUtc, getQuietHoursEnd, DEFAULT_TIMEZONE } from './services/timezone.js';
+import {
+  PROMO_CODE_ALPHABET,
+  PROMO_CODE_MIN_LENGTH,
+  PROMO_CODE_MAX_LENGTH,
+  computeCheckCharacter,
+  normalizePromoCode,
+  validatePromoCode,
+} from './shared/promoCode.js';
 import speakeasy from 'speakeasy';
+import QRCode from 'qrcode';
 import jwt from 'jsonwebtoken';
+import { createAuthMiddlewares, signEmailLinkToken, verifyEmailLinkToken, TOKEN_ROLES } from './services/authTokens.js';
 dotenv.config();
 
 const app = express();
@@ -24,22 +57,68 @@ const OWNER_TOKEN = process.env.OWNER_TOKEN;
 // const __dirname = path.dirname(__filename);
 
 
-const twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN
-  ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
-  : null;
+// Драйвер SMS (twilio / http / outbox), см. services/smsProvider.js
+const smsProvider = createSmsProvider(prisma);
 
-// Email транспорт (SMTP)
-const smtpEnabled = !!(process.env.SMTP_HOST && process.env.SMTP_PORT && process.env.SMTP_USER && process.env.SMTP_PASS && process.env.SMTP_FROM);
-const mailTransporter = smtpEnabled
-  ? nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: Number(process.env.SMTP_PORT),
-      secure: Number(process.env.SMTP_PORT) === 465,
-      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
-    })
-  : null;
 
-  // ... после настройки twilioClient и mailTransporter
+  // ... после настройки smsProvider (почта - services/emailService.js)
+
+// Адрес фронтенда: на него ведут ссылки в QR-кодах (экран кассира /cashier)
+const PUBLIC_APP_URL = (process.env.PUBLIC_APP_URL || "http://localhost:5190").replace(/\/$/, "");
+// Секрет подписи QR-кодов промокодов. Без него подпись (HMAC с пустым ключом) подделывается -
+// такой сервер не запускаем
+const PROMO_SIGNING_SECRET = process.env.PROMO_SIGNING_SECRET || process.env.JWT_SECRET;
+if (!PROMO_SIGNING_SECRET) {
+  throw new Error("PROMO_SIGNING_SECRET (или JWT_SECRET) не задан: подписывать QR-коды промокодов нечем.");
+}
+
+// ===================================================
+// === QR-КОДЫ ПРОМОКОДОВ ===
+// ===================================================
+
+/**
+ * Подписывает промокод, чтобы кассир мог отличить QR, выданный сервером, от самодельного.
+ * @param {string} code
+ * @returns {string} короткая подпись (base64url)
+ */
+function signPromoCode(code) {
+  return crypto.createHmac("sha256", PROMO_SIGNING_SECRET).update(code).digest("base64url").slice(0, 22);
+}
+
+/**
+ * Проверяет подпись из QR-кода за постоянное время.
+ * @returns {boolean}
+ */
+function verifyPromoCodeSignature(code, signature) {
+  const expected = Buffer.from(signPromoCode(code));
+  const actual = Buffer.from(String(signature || ""));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Содержимое QR-кода: ссылка на экран кассира с кодом и подписью.
+ * Телефон клиента откроет ее как обычную ссылку, сканер кассы - введет в поле поиска.
+ * @param {string} code
+ * @returns {string}
+ */
+function buildPromoQrPayload(code) {
+  const params = new URLSearchParams({ code, sig: signPromoCode(code) });
+  return `${PUBLIC_APP_URL}/cashier?${params}`;
+}
+
+/**
+ * Рисует QR-код промокода локально, без внешних сервисов.
+ * @param {string} code
+ * @param {'svg' | 'png'} format
+ * @returns {Promise<string | Buffer>} SVG-разметка или PNG
+ */
+async function renderPromoQr(code, format = "svg") {
+  const payload = buildPromoQrPayload(code);
+  const options = { errorCorrectionLevel: "M", margin: 2, width: 320 };
+  return format === "png"
+    ? QRCode.toBuffer(payload, { ...options, type: "png" })
+    : QRCode.toString(payload, { ...options, type: "svg" });
+}
 
 // ===================================================
 // === ФУНКЦИИ ВЕРИФИКАЦИИ ===
@@ -59,44 +138,74 @@ function generateVerificationCode() {
  * @param {string} type - 'phone' или 'email'
  * @param {string} recipient - номер телефона или email
  * @param {string} code - 4-значный код
+ * @param {{ discountCode?: string, verificationLink?: string, locale?: string | null }} [options] - промокод,
+ *   QR которого вложить в письмо, одноразовая ссылка подтверждения email (код остается запасным вариантом)
+ *   и язык клиента
  * @returns {Promise<void>}
  */
-async function sendVerificationCode(type, recipient, code) {
-  const subject = "Ваш код подтверждения для Sushi Icon";
-  const body = `Ваш код подтверждения: ${code}. Используйте его для завершения регистрации.`;
+async function sendVerificationCode(type, recipient, code, { discountCode, verificationLink, locale } = {}) {
+  const vars = {
+    code,
+    ttlMinutes: VERIFICATION_CODE_TTL_MINUTES,
+    verificationLink,
+    linkTtlMinutes: VERIFICATION_LINK_TTL_MINUTES,
+    discountCode,
+  };
 
   if (type === 'phone') {
-    if (!twilioClient || !process.env.TWILIO_MESSAGING_SERVICE_SID) {
+    if (!smsProvider) {
       console.error("Server: SMS отправка не настроена.");
       throw new Error("SMS_NOT_CONFIGURED");
     }
     
-    // Twilio (используем уже настроенный twilioClient)
-    await twilioClient.messages.create({
-      to: recipient,
-      messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
-      body: body,
-    });
-    console.log(`Server: SMS с кодом отправлен на ${recipient}`);
+    await smsProvider.send({ to: recipient, body: renderMailTemplate('verification', vars, locale).text });
+    console.log(`Server: SMS с кодом отправлен на ${recipient} (${smsProvider.name})`);
     
   } else if (type === 'email') {
-    if (!mailTransporter || !process.env.SMTP_FROM) {
+    if (!isMailConfigured()) {
       console.error("Server: Email отправка не настроена.");
       throw new Error("EMAIL_NOT_CONFIGURED");
     }
 
-    // Nodemailer (используем уже настроенный mailTransporter)
-    await mailTransporter.sendMail({
-      from: process.env.SMTP_FROM,
-      to: recipient,
-      subject: subject,
-      text: body,
-      html: `<p>${body}</p><p>Код действителен в течение 5 минут.</p>`,
-    });
+    // QR промокода встраиваем картинкой (cid), чтобы его можно было показать на кассе прямо из письма
+    const attachments = discountCode
+      ? [{ filename: `${discountCode}.png`, content: await renderPromoQr(discountCode, "png"), cid: "promo-qr" }]
+      : [];
+
+    try {
+      await sendTemplatedMail({ to: recipient, template: 'verification', vars, locale, attachments });
+    } catch (error) {
+      await recordEmailBounce(recipient, error);
+      throw error;
+    }
     console.log(`Server: Email с кодом отправлен на ${recipient}`);
   }
 }
 
+/**
+ * Отмечает email недоставляемым, если сервер получателя окончательно отказал (isHardBounce).
+ * Помечаются все клиенты с этим адресом; рассылки по почте их пропускают до нового подтверждения email.
+ * @param {string} email
+ * @param {Error | string} errorOrReason - ошибка отправки или причина из отчета о недоставке
+ * @returns {Promise<number>} сколько клиентов отмечено
+ */
+async function recordEmailBounce(email, errorOrReason) {
+  if (typeof errorOrReason !== 'string' && !isHardBounce(errorOrReason)) return 0;
+
+  const reason = typeof errorOrReason === 'string' ? errorOrReason : errorOrReason.response || errorOrReason.message;
+  try {
+    const { count } = await prisma.customer.updateMany({
+      where: { email },
+      data: { emailBouncedAt: new Date(), emailBounceReason: reason?.slice(0, 500) },
+    });
+    if (count > 0) console.warn(`Server: Email ${email} недоставляем (${reason}), клиентов: ${count}`);
+    return count;
+  } catch (error) {
+    console.error(`Ошибка отметки отказа для ${email}:`, error.message);
+    return 0;
+  }
+}
+
 // Функция для получения реального местоположения через внешние API
 async function getRealLocationInfo(ipAddress) {
   return new Promise((resolve) => {
@@ -493,28 +602,250 @@ const registrationSchema = z.object({
   houseNumber: z.string().optional(),
   preferredFood: z.string().optional(),
   feedback: z.string().optional(),
+  referralCode: z.string().max(32).optional(), // Промокод пригласившего клиента
+  deviceId: z.string().max(100).optional(), // Идентификатор устройства из localStorage
+  locale: z.string().max(10).optional(), // Язык интерфейса (i18next) - на нем клиенту пишем SMS и письма
+  timezone: z.string().max(64).optional(), // Часовой пояс браузера (IANA) - для тихих часов SMS-рассылок
+  consentEmail: z.boolean().optional(), // Согласие на рассылки; без него клиент рекламу не получает
+  consentSms: z.boolean().optional(),
 });
 
-async function generateUniqueDiscountCode() {
-  const prefix = "RC10-";
-  for (let i = 0; i < 5; i += 1) {
-    const code = `${prefix}${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
-    const existing = await prisma.customer.findUnique({ where: { discountCode: code } });
-    if (!existing) {
+// Префикс и скидка по умолчанию, если ни одна кампания сейчас не активна
+const DEFAULT_PROMO_PREFIX = "RC10-";
+const DEFAULT_DISCOUNT = { discountType: "PERCENT", discountValue: 10 };
+
+// Срок действия промокода, если у кампании не задан свой (в днях)
+const PROMO_CODE_VALIDITY_DAYS = Number(process.env.PROMO_CODE_VALIDITY_DAYS) || 90;
+// За сколько дней до истечения напоминать клиенту о промокоде
+const PROMO_EXPIRY_REMINDER_DAYS = Number(process.env.PROMO_EXPIRY_REMINDER_DAYS) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Вычисляет дату истечения промокода, выдаваемого прямо сейчас.
+ * Срок берется из кампании, к которой относится префикс кода, иначе из настройки сервера.
+ * @param {object | null} campaign
+ * @param {Date} [issuedAt]
+ * @returns {Date}
+ */
+function computeDiscountCodeExpiry(campaign, issuedAt = new Date()) {
+  const days = campaign?.codeValidityDays || PROMO_CODE_VALIDITY_DAYS;
+  return new Date(issuedAt.getTime() + days * DAY_MS);
+}
+
+/**
+ * Находит кампанию, которая сейчас выдает промокоды.
+ * Если одновременно активны несколько, берется начавшаяся последней.
+ * @param {Date} [now]
+ * @returns {Promise<object | null>}
+ */
+async function findActiveCampaign(now = new Date()) {
+  return prisma.campaign.findFirst({
+    where: {
+      isActive: true,
+      startsAt: { lte: now },
+      OR: [{ endsAt: null }, { endsAt: { gt: now } }],
+    },
+    orderBy: { startsAt: "desc" },
+  });
+}
+
+/**
+ * Описание скидки для промокода: из кампании или значение по умолчанию (RC10 = 10%).
+ * @param {object | null} campaign
+ * @returns {{ discountType: string, discountValue: number }}
+ */
+function describeDiscount(campaign) {
+  if (!campaign) return DEFAULT_DISCOUNT;
+  return { discountType: campaign.discountType, discountValue: campaign.discountValue };
+}
+
+// Длина тела промокода вместе с контрольным символом (без префикса)
+const PROMO_CODE_LENGTH = Math.min(
+  Math.max(Number(process.env.PROMO_CODE_LENGTH) || 8, PROMO_CODE_MIN_LENGTH),
+  PROMO_CODE_MAX_LENGTH
+);
+
+/**
+ * Генерирует криптостойкий промокод с контрольным символом: PREFIX + тело + check.
+ * @param {string} prefix
+ * @param {number} length - длина тела вместе с контрольным символом
+ * @returns {string}
+ */
+function generateDiscountCode(prefix, length) {
+  let body = "";
+  for (let i = 0; i < length - 1; i += 1) {
+    body += PROMO_CODE_ALPHABET[crypto.randomInt(PROMO_CODE_ALPHABET.length)];
+  }
+  return `${prefix}${body}${computeCheckCharacter(body)}`;
+}
+
+async function generateUniqueDiscountCode(prefix = DEFAULT_PROMO_PREFIX) {
+  // При повторных коллизиях удлиняем код - пространство кодов растет в 32 раза на символ
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const length = Math.min(PROMO_CODE_LENGTH + Math.floor(attempt / 3), PROMO_CODE_MAX_LENGTH);
+    const code = generateDiscountCode(prefix, length);
+    const [existing, existingBonus] = await Promise.all([
+      prisma.customer.findUnique({ where: { discountCode: code } }),
+      prisma.bonusCode.findUnique({ where: { code } }),
+    ]);
+    if (!existing && !existingBonus) {
       return code;
     }
   }
   throw new Error("Не удалось сгенерировать уникальный промокод. Попробуйте позже.");
 }
 
+// ===================================================
+// === РЕФЕРАЛЬНАЯ ПРОГРАММА ===
+// ===================================================
+
+// Промокод клиента одновременно служит его реферальным кодом.
+// За каждого приглашенного, прошедшего верификацию, пригласивший получает бонусный код.
+const REFERRAL_PROMO_PREFIX = "REF-";
+const REFERRAL_BONUS = {
+  discountType: "PERCENT",
+  discountValue: Number(process.env.REFERRAL_BONUS_PERCENT) || 10,
+};
+
+const REFERRAL_ERRORS = {
+  REFERRAL_CODE_NOT_FOUND: "Реферальный код не найден.",
+  SELF_REFERRAL: "Нельзя использовать собственный реферальный код.",
+};
+
+const normalizePhoneDigits = (phone) => String(phone || "").replace(/\D/g, "");
+
+/**
+ * Находит пригласившего по реферальному коду и отсекает само-рефералы
+ * (тот же телефон, email или устройство).
+ * @param {string} referralCode
+ * @param {{ phoneNumber: string, email?: string, deviceId?: string }} registrant
+ * @returns {Promise<{ referrer: object | null, error: string | null }>}
+ */
+async function resolveReferrer(referralCode, { phoneNumber, email, deviceId }) {
+  const referrer = await prisma.customer.findUnique({
+    where: { discountCode: normalizePromoCode(referralCode) },
+  });
+  // Приглашать могут только клиенты, прошедшие верификацию
+  if (!referrer || !referrer.isVerified) {
+    return { referrer: null, error: "REFERRAL_CODE_NOT_FOUND" };
+  }
+
+  const samePhone = normalizePhoneDigits(referrer.phoneNumber) === normalizePhoneDigits(phoneNumber);
+  const sameEmail = Boolean(email && referrer.email && referrer.email.toLowerCase() === email.toLowerCase());
+  const sameDevice = Boolean(deviceId && referrer.deviceId === deviceId);
+  if (samePhone || sameEmail || sameDevice) {
+    return { referrer: null, error: "SELF_REFERRAL" };
+  }
+
+  return { referrer, error: null };
+}
+
+/**
+ * Выдает пригласившему бонусный код за верифицированного клиента (не более одного за каждого).
+ * @param {{ id: string, firstName: string, referredById: string | null }} referee
+ * @returns {Promise<object | null>} созданный бонусный код
+ */
+async function rewardReferrer(referee) {
+  if (!referee.referredById) return null;
+
+  const referrer = await prisma.customer.findUnique({ where: { id: referee.referredById } });
+  if (!referrer) return null;
+
+  let bonusCode;
+  try {
+    bonusCode = await prisma.bonusCode.create({
+      data: {
+        code: await generateUniqueDiscountCode(REFERRAL_PROMO_PREFIX),
+        customerId: referrer.id,
+        reason: "REFERRAL",
+        ...REFERRAL_BONUS,
+        expiresAt: new Date(Date.now() + PROMO_CODE_VALIDITY_DAYS * DAY_MS),
+        referredCustomerId: referee.id,
+      },
+    });
+  } catch (error) {
+    // Бонус за этого клиента уже выдан
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") return null;
+    throw error;
+  }
+
+  console.log(`Server: Реферальный бонус ${bonusCode.code} выдан клиенту ${referrer.id} за ${referee.id}`);
+
+  await notifyCustomer(referrer, {
+    template: 'promo',
+    vars: {
+      reason: 'REFERRAL',
+      firstName: referrer.firstName,
+      friendName: referee.firstName,
+      code: bonusCode.code,
+      discount: `${REFERRAL_BONUS.discountValue}%`,
+    },
+  });
+
+  return bonusCode;
+}
+
 // ... в server.js, строка ~360 (или где начинается app.post("/api/register", ...) )
 
+const PHONE_ERRORS = {
+  PHONE_INVALID: "Некорректный номер телефона для выбранной страны.",
+  PHONE_NOT_MOBILE: "На этот номер нельзя отправить SMS. Укажите мобильный номер.",
+};
+
+const EMAIL_ERRORS = {
+  EMAIL_DISPOSABLE: "Одноразовые почтовые ящики не принимаются. Укажите постоянный email.",
+  EMAIL_DOMAIN_INVALID: "Почтовый домен указан с ошибкой: на этот адрес письма не дойдут.",
+};
+
+/**
+ * Ищет клиента по телефону в любой записи. Номера в базе хранятся в E.164.
+ * @param {string} phoneNumber
+ * @param {string} [country] - страна для номеров без кода страны (иначе DEFAULT_PHONE_COUNTRY)
+ */
+function findCustomerByPhone(phoneNumber, country) {
+  const e164 = normalizePhoneNumber(phoneNumber, country)?.e164;
+  return e164 ? prisma.customer.findUnique({ where: { phoneNumber: e164 } }) : null;
+}
+
 app.post("/api/register", async (req, res) => {
   try {
     console.log('Server: Получены данные регистрации:', req.body);
     
     const data = registrationSchema.parse(req.body);
 
+    // При верификации только по email без адреса промокод получить невозможно
+    if (VERIFICATION_POLICY === 'email' && !data.email) {
+      return res.status(400).json({ message: "Для регистрации требуется email.", error: "EMAIL_REQUIRED" });
+    }
+
+    // Один номер в разной записи (+31 6..., 06..., +316...) должен давать одного клиента
+    const phone = normalizePhoneNumber(data.phoneNumber, data.country);
+    if (!phone) {
+      return res.status(400).json({ message: PHONE_ERRORS.PHONE_INVALID, error: "PHONE_INVALID" });
+    }
+    if (!phone.smsCapable && getVerificationChannels(data).includes('phone')) {
+      return res.status(400).json({ message: PHONE_ERRORS.PHONE_NOT_MOBILE, error: "PHONE_NOT_MOBILE" });
+    }
+    data.phoneNumber = phone.e164;
+
+    // Опечатку в популярном домене не блокируем (адрес может быть настоящим), а подсказываем
+    const warnings = [];
+    if (data.email) {
+      const emailCheck = checkEmailAddress(data.email);
+      if (emailCheck.error) {
+        return res.status(400).json({ message: EMAIL_ERRORS[emailCheck.error], error: emailCheck.error });
+      }
+      if (emailCheck.suggestion) {
+        warnings.push({
+          field: "email",
+          code: "EMAIL_TYPO",
+          suggestion: emailCheck.suggestion,
+          message: `Возможно, вы имели в виду ${emailCheck.suggestion}?`,
+        });
+      }
+    }
+
     const birthDate = data.birthDate ? new Date(data.birthDate) : undefined;
     
     if (birthDate && Number.isNaN(birthDate.getTime())) {
@@ -540,12 +871,24 @@ app.post("/api/register", async (req, res) => {
           message: "Продолжите верификацию.",
           customerId: existingCustomer.id,
           status: "pending_verification",
+          warnings,
         });
       }
     }
 
-    // Промокод Генерируем, но пока НЕ возвращаем пользователю
-    const discountCode = await generateUniqueDiscountCode();
+    // Реферальный код проверяем до создания клиента, чтобы ошибку можно было исправить в форме
+    let referrer = null;
+    if (data.referralCode) {
+      const referral = await resolveReferrer(data.referralCode, data);
+      if (referral.error) {
+        return res.status(400).json({ message: REFERRAL_ERRORS[referral.error], error: referral.error });
+      }
+      referrer = referral.referrer;
+    }
+
+    // Промокод Генерируем по активной кампании, но пока НЕ возвращаем пользователю
+    const campaign = await findActiveCampaign();
+    const discountCode = await generateUniqueDiscountCode(campaign?.prefix);
     
     // Создаем пользователя в состоянии "НЕ ВЕРИФИЦИРОВАН"
     const customer = await prisma.customer.create({
@@ -563,6 +906,11 @@ app.post("/api/register", async (req, res) => {
         preferredFood: data.preferredFood,
         feedback: data.feedback,
         discountCode,
+        campaignId: campaign?.id,
+        deviceId: data.deviceId,
+        referredById: referrer?.id,
+        locale: resolveLocale(data.locale),
+        timezone: isValidTimeZone(data.timezone) ? data.timezone : null,
         
         // НОВЫЕ ПОЛЯ СОГЛАСИЯ - сохраняем их как есть
         consentEmail: data.consentEmail || false,
@@ -578,6 +926,7 @@ app.post("/api/register", async (req, res) => {
       message: "Регистрация прошла успешно. Требуется верификация.",
       customerId: customer.id,
       status: "verification_required",
+      warnings,
     });
   } catch (error) {
     // ... (остальной код error handling)
@@ -588,7 +937,7 @@ app.post("/api/register", async (req, res) => {
     if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
        // ... (логика для существующего номера)
        const existing = await prisma.customer.findUnique({
-        where: { phoneNumber: req.body.phoneNumber },
+        where: { phoneNumber: normalizePhoneNumber(req.body.phoneNumber, req.body.country)?.e164 ?? req.body.phoneNumber },
       });
       return res.status(200).json({
         message: "Вы уже зарегистрированы.",
@@ -608,6 +957,247 @@ app.post("/api/register", async (req, res) => {
 // === API: ОТПРАВКА КОДА ВЕРИФИКАЦИИ ===
 // ===================================================
 
+// Ограничения кодов верификации (настраиваются через .env)
+const VERIFICATION_CODE_TTL_MINUTES = Number(process.env.VERIFICATION_CODE_TTL_MINUTES) || 5;
+const VERIFICATION_MAX_ATTEMPTS = Number(process.env.VERIFICATION_MAX_ATTEMPTS) || 5;
+const VERIFICATION_LOCK_MINUTES = Number(process.env.VERIFICATION_LOCK_MINUTES) || 15;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+/**
+ * Политика верификации - какие каналы нужно подтвердить, чтобы получить промокод:
+ *   both  - телефон и email (если клиент указал email при регистрации)
+ *   phone - только телефон
+ *   email - только email (email при регистрации обязателен)
+ *   any   - любой один из каналов
+ */
+const VERIFICATION_POLICIES = ['both', 'phone', 'email', 'any'];
+const VERIFICATION_POLICY = VERIFICATION_POLICIES.includes(process.env.VERIFICATION_POLICY)
+  ? process.env.VERIFICATION_POLICY
+  : 'both';
+
+/**
+ * Каналы, которые клиент может подтвердить при текущей политике.
+ * @param {{ email?: string | null }} customer
+ * @returns {Array<'phone' | 'email'>}
+ */
+function getVerificationChannels(customer) {
+  const hasEmail = Boolean(customer.email);
+  switch (VERIFICATION_POLICY) {
+    case 'phone': return ['phone'];
+    case 'email': return hasEmail ? ['email'] : [];
+    default: return hasEmail ? ['phone', 'email'] : ['phone'];
+  }
+}
+
+/**
+ * Выполнены ли требования политики верификации.
+ * @param {{ email?: string | null, isPhoneVerified: boolean, isEmailVerified: boolean }} customer
+ * @returns {boolean}
+ */
+function isVerificationComplete(customer) {
+  const channels = getVerificationChannels(customer);
+  const verified = { phone: customer.isPhoneVerified, email: customer.isEmailVerified };
+  if (channels.length === 0) return false;
+  return VERIFICATION_POLICY === 'any'
+    ? channels.some((channel) => verified[channel])
+    : channels.every((channel) => verified[channel]);
+}
+
+// Машиночитаемые ошибки верификации: фронтенд показывает по ним таймеры и счетчики попыток
+const VERIFICATION_ERRORS = {
+  RESEND_COOLDOWN: { status: 429, message: "Код уже отправлен. Повторная отправка будет доступна позже." },
+  VERIFICATION_LOCKED: { status: 429, message: "Слишком много неверных попыток. Верификация временно заблокирована." },
+  CODE_NOT_SENT: { status: 400, message: "Сначала запросите код подтверждения." },
+  CODE_EXPIRED: { status: 410, message: "Срок действия кода истек. Запросите новый код." },
+  CODE_INVALID: { status: 400, message: "Неверный код." },
+  CHANNEL_NOT_ALLOWED: { status: 400, message: "Этот способ подтверждения сейчас не используется." },
+  PHONE_NOT_MOBILE: { status: 400, message: "На этот номер нельзя отправить SMS. Укажите мобильный номер." },
+};
+
+// Канал кода верификации и соответствующие поля клиента
+const VERIFICATION_FIELDS = {
+  phone: { channel: 'PHONE', attempts: 'phoneCodeAttempts', recipient: 'phoneNumber' },
+  email: { channel: 'EMAIL', attempts: 'emailCodeAttempts', recipient: 'email' },
+};
+
+// Секрет, подмешиваемый в хеш кода: 4 цифры без него перебираются по дампу базы мгновенно
+const VERIFICATION_CODE_PEPPER = process.env.VERIFICATION_CODE_PEPPER || process.env.JWT_SECRET;
+if (!VERIFICATION_CODE_PEPPER) {
+  throw new Error("VERIFICATION_CODE_PEPPER (или JWT_SECRET) не задан: хеши кодов верификации были бы без секрета.");
+}
+// Сколько последних кодов канала проверяется при подтверждении
+const MAX_OUTSTANDING_CHALLENGES = 3;
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// Срок действия ссылки подтверждения email (до письма доходят дольше, чем до SMS)
+const VERIFICATION_LINK_TTL_MINUTES = Number(process.env.VERIFICATION_LINK_TTL_MINUTES) || 30;
+
+/**
+ * Подписанная ссылка подтверждения email. Токен ссылается на выданный код (challenge):
+ * одноразовость обеспечивается его погашением, срок - exp токена.
+ * @param {{ id: string, customerId: string }} challenge
+ * @returns {string}
+ */
+function buildVerificationLink(challenge) {
+  const token = signEmailLinkToken(
+    { challengeId: challenge.id, customerId: challenge.customerId },
+    VERIFICATION_LINK_TTL_MINUTES
+  );
+  return `${PUBLIC_APP_URL}/api/verify/email/${token}`;
+}
+
+/**
+ * Хеширует код верификации с солью (scrypt).
+ * @param {string} code
+ * @returns {Promise<string>} "salt:hash" в hex
+ */
+async function hashVerificationCode(code) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scryptAsync(`${code}${VERIFICATION_CODE_PEPPER}`, salt, 32);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Сравнивает код с сохраненным хешем за постоянное время.
+ * @returns {Promise<boolean>}
+ */
+async function matchesVerificationCode(code, stored) {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scryptAsync(`${code}${VERIFICATION_CODE_PEPPER}`, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Выдает новый код: в базу пишется только хеш, сам код возвращается для отправки.
+ * Ранее выданные коды остаются действующими до истечения срока.
+ * @param {string} customerId
+ * @param {{ channel: 'PHONE' | 'EMAIL', purpose?: 'VERIFICATION' | 'LOGIN', recipient: string }} params
+ * @returns {Promise<{ code: string, challenge: object }>} код и запись о нем (для ссылки подтверждения)
+ */
+async function issueVerificationChallenge(customerId, { channel, purpose = 'VERIFICATION', recipient }) {
+  const code = generateVerificationCode();
+  const challenge = await prisma.verificationChallenge.create({
+    data: {
+      customerId,
+      channel,
+      purpose,
+      recipient,
+      codeHash: await hashVerificationCode(code),
+      expiresAt: new Date(Date.now() + VERIFICATION_CODE_TTL_MINUTES * 60 * 1000),
+    },
+  });
+  return { code, challenge };
+}
+
+/**
+ * Проверяет код против последних действующих кодов канала. При совпадении гасит их все.
+ * @returns {Promise<'OK' | 'CODE_NOT_SENT' | 'CODE_EXPIRED' | 'CODE_INVALID'>}
+ */
+async function consumeVerificationChallenge(customerId, { channel, purpose = 'VERIFICATION' }, code) {
+  const where = { customerId, channel, purpose, consumedAt: null };
+  const challenges = await prisma.verificationChallenge.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    take: MAX_OUTSTANDING_CHALLENGES,
+  });
+  if (challenges.length === 0) return 'CODE_NOT_SENT';
+
+  const now = new Date();
+  const active = challenges.filter((challenge) => challenge.expiresAt > now);
+  if (active.length === 0) return 'CODE_EXPIRED';
+
+  // Проверяем все коды без досрочного выхода, чтобы время ответа не зависело от того, какой совпал
+  const matches = await Promise.all(active.map((challenge) => matchesVerificationCode(code, challenge.codeHash)));
+  if (!matches.includes(true)) return 'CODE_INVALID';
+
+  await prisma.verificationChallenge.updateMany({ where, data: { consumedAt: now } });
+  return 'OK';
+}
+
+/**
+ * Аннулирует все действующие коды канала (например, при блокировке после неверных попыток).
+ */
+async function revokeVerificationChallenges(customerId, { channel, purpose = 'VERIFICATION' }) {
+  await prisma.verificationChallenge.updateMany({
+    where: { customerId, channel, purpose, consumedAt: null },
+    data: { consumedAt: new Date() },
+  });
+}
+
+/**
+ * Сколько секунд ждать до следующей отправки кода на этот телефон/email (0 - можно отправлять).
+ * Пауза считается по получателю: повторная регистрация с тем же номером/email ее не обходит.
+ */
+async function getResendCooldown(recipient) {
+  const recent = await prisma.verificationChallenge.findFirst({
+    where: { recipient, createdAt: { gt: new Date(Date.now() - VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000) } },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!recent) return 0;
+  return secondsUntil(new Date(recent.createdAt.getTime() + VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000));
+}
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Отправляет ошибку верификации в едином формате ({ message, error, ...детали }).
+ * Для 429 дополнительно выставляет заголовок Retry-After.
+ */
+function sendVerificationError(res, error, details = {}) {
+  const { status, message } = VERIFICATION_ERRORS[error];
+  if (details.retryAfterSeconds) {
+    res.setHeader("Retry-After", String(details.retryAfterSeconds));
+  }
+  return res.status(status).json({ message, error, ...details });
+}
+
+/**
+ * Проверяет блокировку клиента после неверных попыток.
+ * @returns {object | null} детали ошибки VERIFICATION_LOCKED или null
+ */
+function getVerificationLock(customer) {
+  if (!customer.verificationLockedUntil || customer.verificationLockedUntil <= new Date()) return null;
+  return {
+    lockedUntil: customer.verificationLockedUntil,
+    retryAfterSeconds: secondsUntil(customer.verificationLockedUntil),
+  };
+}
+
+// Публичные настройки верификации для фронтенда (какие шаги показывать и с какими таймерами).
+// С ?customerId=... каналы считаются для конкретного клиента (например, без email).
+app.get("/api/config/verification", async (req, res) => {
+  try {
+    let customer = { email: "placeholder" };
+    if (typeof req.query.customerId === "string") {
+      customer = await prisma.customer.findUnique({
+        where: { id: req.query.customerId },
+        select: { email: true, isPhoneVerified: true, isEmailVerified: true, isVerified: true },
+      });
+      if (!customer) {
+        return res.status(404).json({ message: "Клиент не найден." });
+      }
+    }
+
+    return res.json({
+      policy: VERIFICATION_POLICY,
+      channels: getVerificationChannels(customer),
+      codeTtlSeconds: VERIFICATION_CODE_TTL_MINUTES * 60,
+      resendCooldownSeconds: VERIFICATION_RESEND_COOLDOWN_SECONDS,
+      maxAttempts: VERIFICATION_MAX_ATTEMPTS,
+      ...(customer.isVerified !== undefined && {
+        isPhoneVerified: customer.isPhoneVerified,
+        isEmailVerified: customer.isEmailVerified,
+        isFullyVerified: customer.isVerified,
+      }),
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении настроек верификации." });
+  }
+});
+
 const verificationSendSchema = z.object({
   customerId: z.string().cuid(),
   type: z.enum(['phone', 'email']),
@@ -625,40 +1215,53 @@ app.post("/api/verify/send", async (req, res) => {
       return res.status(404).json({ message: "Клиент не найден." });
     }
     
-    const code = generateVerificationCode();
-    let recipient = '';
-    let updateData = {};
-    let isAlreadyVerified = false;
-
-    if (type === 'phone') {
-      recipient = customer.phoneNumber;
-      updateData = { phoneVerificationCode: code };
-      isAlreadyVerified = customer.isPhoneVerified;
-    } else if (type === 'email') {
-      if (!customer.email) {
-        return res.status(400).json({ message: "Email отсутствует для верификации." });
-      }
-      recipient = customer.email;
-      updateData = { emailVerificationCode: code };
-      isAlreadyVerified = customer.isEmailVerified;
+    const fields = VERIFICATION_FIELDS[type];
+    const recipient = customer[fields.recipient];
+    const isAlreadyVerified = type === 'phone' ? customer.isPhoneVerified : customer.isEmailVerified;
+
+    if (type === 'email' && !customer.email) {
+      return res.status(400).json({ message: "Email отсутствует для верификации." });
     }
 
     if (isAlreadyVerified) {
        return res.status(200).json({ message: `Пользователь уже верифицирован по ${type}.` });
     }
 
-    // 1. Сохраняем код в базу данных
-    await prisma.customer.update({
-      where: { id: customerId },
-      data: updateData,
-    });
+    if (!getVerificationChannels(customer).includes(type)) {
+      return sendVerificationError(res, "CHANNEL_NOT_ALLOWED", { policy: VERIFICATION_POLICY });
+    }
+
+    if (type === 'phone' && normalizePhoneNumber(recipient, customer.country)?.smsCapable === false) {
+      return sendVerificationError(res, "PHONE_NOT_MOBILE");
+    }
+
+    const lock = getVerificationLock(customer);
+    if (lock) {
+      return sendVerificationError(res, "VERIFICATION_LOCKED", lock);
+    }
+
+    const cooldown = await getResendCooldown(recipient);
+    if (cooldown > 0) {
+      return sendVerificationError(res, "RESEND_COOLDOWN", { retryAfterSeconds: cooldown });
+    }
+
+    // 1. Сохраняем хеш кода в базу данных
+    const { code, challenge } = await issueVerificationChallenge(customerId, { channel: fields.channel, recipient });
 
-    // 2. Отправляем код
-    await sendVerificationCode(type, recipient, code);
+    // 2. Отправляем код. В письмо добавляем ссылку подтверждения, а если email - последний шаг,
+    // сразу кладем QR промокода
+    const isLastStep = type === 'email' && isVerificationComplete({ ...customer, isEmailVerified: true });
+    await sendVerificationCode(type, recipient, code, {
+      discountCode: isLastStep ? customer.discountCode : undefined,
+      verificationLink: type === 'email' ? buildVerificationLink(challenge) : undefined,
+      locale: customer.locale,
+    });
 
     return res.status(200).json({ 
       message: `Код подтверждения успешно отправлен на ${type}.`,
       type: type,
+      expiresInSeconds: VERIFICATION_CODE_TTL_MINUTES * 60,
+      resendAvailableInSeconds: VERIFICATION_RESEND_COOLDOWN_SECONDS,
       // ВНИМАНИЕ: Для целей тестирования в разработке можно временно вернуть код
       // В продакшене НИКОГДА не возвращайте код на фронтенд!
       // debugCode: code 
@@ -688,6 +1291,99 @@ app.post("/api/verify/send", async (req, res) => {
 // === API: ПОДТВЕРЖДЕНИЕ КОДА ВЕРИФИКАЦИИ ===
 // ===================================================
 
+/**
+ * Отмечает канал подтвержденным после верного кода или перехода по ссылке.
+ * Если это последний шаг по политике - активирует промокод, оформляет подписку
+ * и награждает пригласившего.
+ * @param {object} customer - клиент с include: { campaign: true }
+ * @param {'phone' | 'email'} type
+ */
+async function completeVerificationStep(customer, type) {
+  const fields = VERIFICATION_FIELDS[type];
+  // Поле для обновления статуса верификации (isPhoneVerified/isEmailVerified)
+  const updateField = type === 'phone' ? 'isPhoneVerified' : 'isEmailVerified';
+
+  let updateData = {
+    [updateField]: true, // Устанавливаем статус верификации для текущего типа
+    [fields.attempts]: 0,
+    verificationLockedUntil: null,
+  };
+
+  // Код или ссылка из письма дошли - прежний отказ доставки больше не актуален
+  if (type === 'email') {
+    updateData.emailBouncedAt = null;
+    updateData.emailBounceReason = null;
+  }
+
+  const select = {
+    firstName: true,
+    email: true,
+    isVerified: true,
+    discountCode: true,
+    discountCodeExpiresAt: true,
+    isPhoneVerified: true,
+    isEmailVerified: true,
+  };
+  const updatedCustomer = await prisma.customer.update({ where: { id: customer.id }, data: updateData, select });
+
+  // Проверяем, является ли это ПОСЛЕДНИМ необходимым подтверждением (по политике верификации) - по состоянию
+  // после обновления: если телефон и email подтверждают одновременно, второй запрос видит и первый канал
+  if (updatedCustomer.isVerified || !isVerificationComplete(updatedCustomer)) {
+    return updatedCustomer;
+  }
+
+  // Завершает верификацию ровно один запрос (условие isVerified: false в самом обновлении),
+  // поэтому подписка создается и пригласивший награждается один раз
+  const { count } = await prisma.customer.updateMany({
+    where: { id: customer.id, isVerified: false },
+    data: {
+      isVerified: true,
+      // Промокод выдается клиенту сейчас - с этого момента идет срок его действия
+      discountCodeExpiresAt: computeDiscountCodeExpiry(customer.campaign),
+      // Регистрируем время согласия, если хотя бы одна галочка была поставлена
+      ...((customer.consentEmail || customer.consentSms) && { consentGivenAt: new Date() }),
+    },
+  });
+
+  if (count === 1) {
+    // Подписка на рассылки создается только после полной верификации
+    const subscriptions = await prisma.messageSubscription.count({ where: { customerId: customer.id } });
+    if (subscriptions === 0) {
+      await prisma.messageSubscription.create({ data: { customerId: customer.id } });
+    }
+
+    // Приглашенный клиент завершил верификацию - награждаем пригласившего.
+    // Сбой отправки бонуса не должен ломать верификацию самого клиента.
+    if (customer.referredById) {
+      try {
+        await rewardReferrer(customer);
+      } catch (error) {
+        console.error(`Ошибка выдачи реферального бонуса за ${customer.id}:`, error);
+      }
+    }
+  }
+
+  return prisma.customer.findUnique({ where: { id: customer.id }, select });
+}
+
+/**
+ * Блокирует верификацию после лимита неверных кодов и сжигает коды канала - подбирать дальше бессмысленно.
+ * Счетчик попыток не сбрасывается до конца блокировки. Если блокировку уже поставил параллельный запрос, она не продлевается.
+ * @returns {Promise<{ lockedUntil: Date, retryAfterSeconds: number }>}
+ */
+async function lockVerification(customerId, channel) {
+  await prisma.customer.updateMany({
+    where: { id: customerId, verificationLockedUntil: null },
+    data: { verificationLockedUntil: new Date(Date.now() + VERIFICATION_LOCK_MINUTES * 60 * 1000) },
+  });
+  await revokeVerificationChallenges(customerId, { channel });
+  const { verificationLockedUntil } = await prisma.customer.findUnique({
+    where: { id: customerId },
+    select: { verificationLockedUntil: true },
+  });
+  return getVerificationLock({ verificationLockedUntil });
+}
+
 const verificationConfirmSchema = z.object({
   customerId: z.string().cuid(),
   type: z.enum(['phone', 'email']),
@@ -701,6 +1397,7 @@ app.post("/api/verify/confirm", async (req, res) => {
     // 1. Находим клиента
     const customer = await prisma.customer.findUnique({
       where: { id: customerId },
+      include: { campaign: true },
     });
 
     if (!customer) {
@@ -708,19 +1405,8 @@ app.post("/api/verify/confirm", async (req, res) => {
     }
     
     // 2. Проверяем, совпадает ли код
-    let storedCode = '';
-    let isAlreadyVerified = false;
-    let updateField = ''; // Поле для обновления статуса верификации (isPhoneVerified/isEmailVerified)
-
-    if (type === 'phone') {
-      storedCode = customer.phoneVerificationCode;
-      isAlreadyVerified = customer.isPhoneVerified;
-      updateField = 'isPhoneVerified';
-    } else if (type === 'email') {
-      storedCode = customer.emailVerificationCode;
-      isAlreadyVerified = customer.isEmailVerified;
-      updateField = 'isEmailVerified';
-    }
+    const fields = VERIFICATION_FIELDS[type];
+    const isAlreadyVerified = type === 'phone' ? customer.isPhoneVerified : customer.isEmailVerified;
 
     if (isAlreadyVerified) {
        return res.status(200).json({ 
@@ -729,58 +1415,55 @@ app.post("/api/verify/confirm", async (req, res) => {
        });
     }
 
-    if (!storedCode || storedCode !== code) {
-      // Здесь можно добавить логику проверки срока действия кода
-      return res.status(400).json({ message: "Неверный или просроченный код." });
+    const lock = getVerificationLock(customer);
+    if (lock) {
+      return sendVerificationError(res, "VERIFICATION_LOCKED", lock);
+    }
+    // Блокировка истекла - считаем попытки заново (условие по старому сроку: сбросит только один запрос)
+    if (customer.verificationLockedUntil) {
+      await prisma.customer.updateMany({
+        where: { id: customerId, verificationLockedUntil: customer.verificationLockedUntil },
+        data: { phoneCodeAttempts: 0, emailCodeAttempts: 0, verificationLockedUntil: null },
+      });
     }
-    
-    // 3. Код совпадает. Обновляем статус верификации.
-    let updateData = {
-        [updateField]: true, // Устанавливаем статус верификации для текущего типа
-    };
 
-    // Очищаем поле кода, чтобы его нельзя было использовать повторно
-    if (type === 'phone') updateData.phoneVerificationCode = null;
-    if (type === 'email') updateData.emailVerificationCode = null;
+    // Попытку резервируем до проверки кода условным updateMany: параллельные неверные коды не обходят лимит
+    const reserved = await prisma.customer.updateMany({
+      where: { id: customerId, [fields.attempts]: { lt: VERIFICATION_MAX_ATTEMPTS } },
+      data: { [fields.attempts]: { increment: 1 } },
+    });
+    if (reserved.count === 0) {
+      return sendVerificationError(res, "VERIFICATION_LOCKED", await lockVerification(customerId, fields.channel));
+    }
 
+    const result = await consumeVerificationChallenge(customerId, { channel: fields.channel }, code);
+    if (result === "CODE_NOT_SENT" || result === "CODE_EXPIRED") {
+      // Это не попытка подбора - возвращаем ее
+      await prisma.customer.update({ where: { id: customerId }, data: { [fields.attempts]: { decrement: 1 } } });
+      return sendVerificationError(res, result);
+    }
 
-    // Проверяем, является ли это ПОСЛЕДНИМ необходимым подтверждением
-    const isPhoneVerifiedAfter = type === 'phone' ? true : customer.isPhoneVerified;
-    const isEmailVerifiedAfter = type === 'email' ? true : customer.isEmailVerified;
+    if (result === "CODE_INVALID") {
+      const { [fields.attempts]: attempts } = await prisma.customer.findUnique({
+        where: { id: customerId },
+        select: { [fields.attempts]: true },
+      });
 
-    if (isPhoneVerifiedAfter && isEmailVerifiedAfter) {
-        updateData.isVerified = true; // Полная верификация завершена
-        
-        // Регистрируем время согласия, если хотя бы одна галочка была поставлена
-        if (customer.consentEmail || customer.consentSms) {
-            updateData.consentGivenAt = new Date();
-        }
-        
-        // Создаем подписку только после полной верификации
-        // Мы предполагаем, что у вас есть модель Subscription, как в предыдущих шагах.
-        // Если нет, просто удалите этот блок, но это ВАЖНО для логики рассылок!
-        if (customer.subscription === undefined) { 
-             updateData.subscriptions = { create: {}, };
-        }
+      if (attempts >= VERIFICATION_MAX_ATTEMPTS) {
+        return sendVerificationError(res, "VERIFICATION_LOCKED", await lockVerification(customerId, fields.channel));
+      }
+      return sendVerificationError(res, "CODE_INVALID", { attemptsLeft: VERIFICATION_MAX_ATTEMPTS - attempts });
     }
+    
+    // 3. Код совпадает (и уже погашен). Обновляем статус верификации.
+    const updatedCustomer = await completeVerificationStep(customer, type);
 
-    // 4. Обновляем клиента
-    const updatedCustomer = await prisma.customer.update({
-      where: { id: customerId },
-      data: updateData,
-      select: { 
-          isVerified: true, 
-          discountCode: true,
-          isPhoneVerified: true,
-          isEmailVerified: true
-      },
-    });
-
-    // 5. Возвращаем результат
+    // 4. Возвращаем результат
     return res.status(200).json({
       message: `Верификация по ${type} успешно завершена.`,
       isFullyVerified: updatedCustomer.isVerified,
       discountCode: updatedCustomer.isVerified ? updatedCustomer.discountCode : undefined,
+      discountCodeExpiresAt: updatedCustomer.isVerified ? updatedCustomer.discountCodeExpiresAt : undefined,
       isPhoneVerified: updatedCustomer.isPhoneVerified,
       isEmailVerified: updatedCustomer.isEmailVerified,
     });
@@ -795,109 +1478,439 @@ app.post("/api/verify/confirm", async (req, res) => {
   }
 });
 
-// ... (остальные маршруты)
-const broadcastSchema = z.object({
-  title: z.string().min(1),
-  body: z.string().min(1),
-});
+// ===================================================
+// === API: ПОДТВЕРЖДЕНИЕ EMAIL ПО ССЫЛКЕ ИЗ ПИСЬМА ===
+// ===================================================
 
-const targetedBroadcastSchema = z.object({
-  title: z.string().min(1),
-  body: z.string().min(1),
-  recipientIds: z.array(z.string()).min(1),
-});
+// Результат перехода по ссылке показывает фронтенд: /verified?code=... (промокод)
+// или /verified?status=... (что-то пошло не так / остался еще шаг)
+function redirectAfterEmailLink(res, params) {
+  return res.redirect(302, `${PUBLIC_APP_URL}/verified?${new URLSearchParams(params)}`);
+}
 
-app.post("/api/broadcast", async (req, res) => {
+app.get("/api/verify/email/:token", async (req, res) => {
+  let payload;
   try {
-    const rawOwnerToken = req.headers["x-owner-token"];
-    const ownerToken = Array.isArray(rawOwnerToken) ? rawOwnerToken[0] : rawOwnerToken;
-    if (!OWNER_TOKEN || ownerToken !== OWNER_TOKEN) {
-      return res.status(401).json({ message: "Нет доступа." });
+    payload = verifyEmailLinkToken(req.params.token);
+  } catch (error) {
+    return redirectAfterEmailLink(res, {
+      status: error instanceof jwt.TokenExpiredError ? "LINK_EXPIRED" : "LINK_INVALID",
+    });
+  }
+
+  try {
+    const customer = await prisma.customer.findUnique({
+      where: { id: payload.customerId },
+      include: { campaign: true },
+    });
+    if (!customer) {
+      return redirectAfterEmailLink(res, { status: "LINK_INVALID" });
     }
 
-    if (!twilioClient || !process.env.TWILIO_MESSAGING_SERVICE_SID) {
-      return res.status(500).json({ message: "СМС отправка не настроена." });
+    // Гасим именно этот код; 0 обновленных строк - ссылку уже открывали (или код ввели вручную)
+    const { count } = await prisma.verificationChallenge.updateMany({
+      where: { id: payload.challengeId, customerId: customer.id, channel: 'EMAIL', consumedAt: null },
+      data: { consumedAt: new Date() },
+    });
+    if (count === 0) {
+      return redirectAfterEmailLink(res, { status: customer.isEmailVerified ? "ALREADY_VERIFIED" : "LINK_USED" });
     }
+    // Остальные коды из писем становятся не нужны - как при вводе верного кода
+    await revokeVerificationChallenges(customer.id, { channel: 'EMAIL' });
 
-    const { title, body } = broadcastSchema.parse(req.body);
+    if (customer.isEmailVerified) {
+      return redirectAfterEmailLink(res, { status: "ALREADY_VERIFIED" });
+    }
 
-    const subscriptions = await prisma.messageSubscription.findMany({
-      where: { subscribed: true },
-      include: {
-        customer: true,
-      },
+    const updatedCustomer = await completeVerificationStep(customer, 'email');
+    if (!updatedCustomer.isVerified) {
+      // Email подтвержден, но политика требует еще и телефон
+      return redirectAfterEmailLink(res, { status: "PHONE_PENDING" });
+    }
+
+    return redirectAfterEmailLink(res, {
+      code: updatedCustomer.discountCode,
+      name: updatedCustomer.firstName,
     });
+  } catch (error) {
+    console.error(error);
+    return redirectAfterEmailLink(res, { status: "SERVER_ERROR" });
+  }
+});
+
+// ===================================================
+// === ПОЛУЧАТЕЛИ РАССЫЛОК: СОГЛАСИЯ И ПОДПИСКА ===
+// ===================================================
+
+// Почему клиент не получает рассылку. Код пишется в MessageDelivery.errorMessage пропущенных
+// и возвращается в ответах маршрутов рассылки (skipped.reasons)
+const BROADCAST_SKIP_REASONS = {
+  NOT_FOUND: "Клиент не найден.",
+  NOT_VERIFIED: "Клиент не прошел верификацию.",
+  NO_CONSENT: "Нет согласия на рассылку по этому каналу.",
+  UNSUBSCRIBED: "Клиент отписался от рассылок.",
+  NO_CONTACT: "Не указан email.",
+  EMAIL_BOUNCED: "Email недоступен (письма возвращаются).",
+  CONTACT_NOT_VERIFIED: "Телефон или email изменен и еще не подтвержден.",
+};
+
+// Поля клиента, нужные для проверки получателя
+const BROADCAST_CANDIDATE_SELECT = {
+  id: true,
+  phoneNumber: true,
+  email: true,
+  isVerified: true,
+  isPhoneVerified: true,
+  isEmailVerified: true,
+  consentSms: true,
+  consentEmail: true,
+  emailBouncedAt: true,
+  subscriptions: { select: { id: true, subscribed: true } },
+};
 
-    if (subscriptions.length === 0) {
-      return res.status(200).json({ message: "Нет подписчиков для рассылки." });
+/**
+ * Можно ли отправить клиенту рассылку по каналу. Одна и та же проверка при выборе получателей
+ * и перед самой отправкой: согласие или подписку могли отозвать, пока рассылка ждала в очереди.
+ * @param {'SMS' | 'EMAIL'} channel
+ * @param {object | null} customer - Customer с subscriptions (см. BROADCAST_CANDIDATE_SELECT)
+ * @returns {keyof typeof BROADCAST_SKIP_REASONS | null} null - отправлять можно
+ */
+function getBroadcastSkipReason(channel, customer) {
+  if (!customer) return "NOT_FOUND";
+  if (!customer.isVerified) return "NOT_VERIFIED";
+  if (!(channel === 'EMAIL' ? customer.consentEmail : customer.consentSms)) return "NO_CONSENT";
+  // Подписка создается при верификации; отписка (subscribed: false) действует на все каналы
+  const subscriptions = customer.subscriptions ?? [];
+  if (subscriptions.length === 0 || subscriptions.some((subscription) => !subscription.subscribed)) return "UNSUBSCRIBED";
+
+  if (channel === 'EMAIL') {
+    if (!customer.email) return "NO_CONTACT";
+    if (customer.emailBouncedAt) return "EMAIL_BOUNCED";
+  }
+
+  // Контакт, измененный в личном кабинете, до повторного подтверждения не используем
+  const contact = channel === 'EMAIL' ? 'email' : 'phone';
+  const isContactVerified = channel === 'EMAIL' ? customer.isEmailVerified : customer.isPhoneVerified;
+  if (getVerificationChannels(customer).includes(contact) && !isContactVerified) return "CONTACT_NOT_VERIFIED";
+
+  return null;
+}
+
+/**
+ * Делит клиентов на получателей рассылки и пропущенных.
+ * @param {'SMS' | 'EMAIL'} channel
+ * @param {object[]} customers - см. BROADCAST_CANDIDATE_SELECT
+ * @param {number} [notFound] - сколько выбранных клиентов не нашлось
+ * @returns {{
+ *   recipients: Array<{ recipient: string, customerId: string, subscriptionId: string }>,
+ *   skipped: { total: number, reasons: Partial<Record<keyof typeof BROADCAST_SKIP_REASONS, number>> },
+ * }}
+ */
+function selectBroadcastRecipients(channel, customers, notFound = 0) {
+  const recipients = [];
+  const reasons = notFound > 0 ? { NOT_FOUND: notFound } : {};
+
+  for (const customer of customers) {
+    const reason = getBroadcastSkipReason(channel, customer);
+    if (reason) {
+      reasons[reason] = (reasons[reason] ?? 0) + 1;
+      continue;
     }
+    recipients.push({
+      recipient: channel === 'EMAIL' ? customer.email : customer.phoneNumber,
+      customerId: customer.id,
+      subscriptionId: customer.subscriptions[0].id,
+    });
+  }
 
-    const message = await prisma.broadcastMessage.create({
-      data: {
-        title,
-        body,
-      },
+  const total = Object.values(reasons).reduce((sum, count) => sum + count, 0);
+  return { recipients, skipped: { total, reasons } };
+}
+
+/**
+ * Получатели рассылки - единственный способ их получить для всех маршрутов рассылки и планировщика:
+ * клиенты без согласия, подписки или верификации в рассылку не попадают.
+ * @param {'SMS' | 'EMAIL'} channel
+ * @param {{ customerIds: string[] } | { filters?: object }} audience
+ *   customerIds - выбранные вручную клиенты; filters - фильтры сегмента (пустые - все клиенты)
+ * @returns {Promise<ReturnType<typeof selectBroadcastRecipients>>}
+ */
+async function resolveBroadcastRecipients(channel, audience) {
+  if ('customerIds' in audience) {
+    const customerIds = [...new Set(audience.customerIds)];
+    const customers = await prisma.customer.findMany({
+      where: { id: { in: customerIds } },
+      select: BROADCAST_CANDIDATE_SELECT,
     });
+    return selectBroadcastRecipients(channel, customers, customerIds.length - customers.length);
+  }
 
-    const deliveries = await Promise.allSettled(
-      subscriptions.map(async (subscription) => {
-        const to = subscription.customer.phoneNumber;
+  const customers = await findSegmentCustomers(prisma, audience.filters ?? {}, { select: BROADCAST_CANDIDATE_SELECT });
+  return selectBroadcastRecipients(channel, customers);
+}
 
-        try {
-          const result = await twilioClient.messages.create({
-            to,
-            messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
-            body,
-          });
+// ===================================================
+// === ОЧЕРЕДЬ РАССЫЛОК ===
+// ===================================================
 
-          await prisma.messageDelivery.create({
-            data: {
-              messageId: message.id,
-              subscriptionId: subscription.id,
-              phoneNumber: to,
-              status: "SENT",
-              sentAt: result.dateCreated ? new Date(result.dateCreated) : new Date(),
-            },
-          });
+/**
+ * Отправляет рассылку одному получателю (вызывается обработчиком очереди).
+ * Согласие, подписку и верификацию проверяем еще раз на момент отправки: за время ожидания они могли измениться.
+ * @param {object} delivery - MessageDelivery с include: { message, customer: { include: { subscriptions } } }
+ */
+async function sendBroadcastDelivery({ message, customer, recipient }) {
+  const skipReason = getBroadcastSkipReason(message.channel, customer);
+  if (skipReason) return { skipped: skipReason };
+
+  // Заголовок и текст - шаблоны: подставляем данные этого клиента
+  const templateVars = getCustomerTemplateVariables(customer);
+  const vars = {
+    title: renderMessageTemplate(message.title, templateVars),
+    body: renderMessageTemplate(message.body, templateVars),
+    // Готовый HTML письма (/api/admin/broadcast/email): значения переменных экранируем
+    ...(message.bodyHtml && { bodyHtml: renderMessageTemplate(message.bodyHtml, templateVars, { escape: escapeHtml }) }),
+    firstName: customer?.firstName,
+  };
 
-          return { status: "sent", to };
-        } catch (smsError) {
-          await prisma.messageDelivery.create({
-            data: {
-              messageId: message.id,
-              subscriptionId: subscription.id,
-              phoneNumber: to,
-              status: "FAILED",
-              errorMessage: smsError.message,
-            },
-          });
+  if (message.channel === 'EMAIL') {
+    if (!isMailConfigured()) throw new Error("EMAIL_NOT_CONFIGURED");
+    try {
+      await sendTemplatedMail({ to: recipient, template: 'broadcast', vars, locale: customer?.locale });
+    } catch (error) {
+      await recordEmailBounce(recipient, error);
+      throw error;
+    }
+    return { sentAt: new Date() };
+  }
 
-          return { status: "failed", to, error: smsError.message };
-        }
-      })
-    );
+  // Ночью по местному времени клиента SMS не отправляем - откладываем до конца тихих часов
+  const quietHoursEnd = getQuietHoursEnd(new Date(), resolveCustomerTimeZone(customer));
+  if (quietHoursEnd) return { deferUntil: quietHoursEnd };
 
-    const summary = deliveries.reduce(
-      (acc, item) => {
-        if (item.status === "fulfilled") {
-          const value = item.value;
-          if (value.status === "sent") {
-            acc.sent += 1;
-          } else {
-            acc.failed += 1;
-          }
-        } else {
-          acc.failed += 1;
-        }
-        return acc;
-      },
-      { sent: 0, failed: 0 }
-    );
+  if (!smsProvider) throw new Error("SMS_NOT_CONFIGURED");
+  const result = await smsProvider.send({ to: recipient, body: renderMailTemplate('broadcast', vars, customer?.locale).text });
+  return { sentAt: result.sentAt };
+}
 
-    return res.status(200).json({
-      message: "Рассылка отправлена.",
-      summary,
+const broadcastWorker = createBroadcastWorker(prisma, {
+  send: sendBroadcastDelivery,
+  isPermanentError: (error, { message }) => error instanceof TemplateSyntaxError
+    || (message.channel === 'EMAIL' ? isHardBounce(error) : isPermanentSmsError(error)),
+});
+
+/**
+ * Ставит рассылку в очередь и будит обработчик.
+ * @param {Parameters<typeof enqueueBroadcast>[1]} broadcast
+ */
+async function queueBroadcast(broadcast) {
+  const message = await enqueueBroadcast(prisma, broadcast);
+  if (message.status === 'SCHEDULED') {
+    console.log(`Server: Рассылка ${message.id} (${broadcast.channel}) запланирована на ${message.scheduledFor.toISOString()}, получателей: ${broadcast.recipients.length}`);
+    return message;
+  }
+  broadcastWorker.wake();
+  console.log(`Server: Рассылка ${message.id} (${broadcast.channel}) в очереди, получателей: ${broadcast.recipients.length}`);
+  return message;
+}
+
+// Планировщик: наступившие запланированные рассылки переходят в очередь
+setInterval(async () => {
+  try {
+    const released = await releaseDueBroadcasts(prisma, {
+      // Сегмента уже нет - рассылка не запускается (FAILED, SEGMENT_NOT_FOUND)
+      resolveRecipients: async (message) => {
+        const segment = await prisma.audienceSegment.findUnique({ where: { id: message.segmentId } });
+        if (!segment) return null;
+        const { recipients } = await resolveBroadcastRecipients(message.channel, { filters: parseSegmentFilters(segment.filters) });
+        return recipients;
+      },
     });
+    if (released > 0) {
+      console.log(`Server: Запланированных рассылок запущено: ${released}`);
+      broadcastWorker.wake();
+    }
+  } catch (error) {
+    console.error('Ошибка запуска запланированных рассылок:', error);
+  }
+}, 30 * 1000); // Каждые 30 секунд
+
+// Ответ маршрутов рассылки: отправка идет в фоне, прогресс - GET /api/broadcasts/:id.
+// skipped - клиенты, не прошедшие проверку согласия и подписки (см. resolveBroadcastRecipients)
+function sendQueuedBroadcast(res, message, recipients, skipped, extra = {}) {
+  const status = message.status === 'SCHEDULED' ? "Рассылка запланирована." : "Рассылка поставлена в очередь.";
+  return res.status(202).json({
+    message: skipped.total > 0 ? `${status} Пропущено получателей: ${skipped.total}.` : status,
+    broadcastId: message.id,
+    status: message.status,
+    scheduledFor: message.scheduledFor,
+    total: recipients.length,
+    // Примерное время отправки при текущем ограничении скорости
+    estimatedSeconds: Math.ceil(recipients.length / BROADCAST_RATE_PER_SECOND),
+    skipped,
+    ...extra,
+  });
+}
+
+const BROADCAST_SCHEDULE_ERRORS = {
+  TIMEZONE_INVALID: "Неизвестный часовой пояс.",
+  SCHEDULE_INVALID: "Некорректная дата отправки.",
+  SCHEDULE_IN_PAST: "Время отправки уже прошло.",
+};
+
+/**
+ * Время отложенной рассылки: scheduledFor - местное время в поясе timezone ("2026-10-20T18:00")
+ * или ISO-строка со смещением. Без scheduledFor рассылка уходит сразу.
+ * @param {{ scheduledFor?: string, timezone?: string }} schedule
+ * @returns {{ scheduledFor?: Date, timezone?: string, error?: keyof typeof BROADCAST_SCHEDULE_ERRORS }}
+ */
+function resolveBroadcastSchedule({ scheduledFor, timezone = DEFAULT_TIMEZONE }) {
+  if (!scheduledFor) return {};
+  if (!isValidTimeZone(timezone)) return { error: "TIMEZONE_INVALID" };
+
+  const date = zonedTimeToUtc(scheduledFor, timezone);
+  if (!date) return { error: "SCHEDULE_INVALID" };
+  if (date <= new Date()) return { error: "SCHEDULE_IN_PAST" };
+  return { scheduledFor: date, timezone };
+}
+
+// Ответ 400, если время отложенной рассылки не подходит
+function sendScheduleError(res, error) {
+  return res.status(400).json({ message: BROADCAST_SCHEDULE_ERRORS[error], error });
+}
+
+// Текст с подстановками (services/messageTemplates.js): ошибку в шаблоне показываем сразу, а не при отправке
+const messageTemplateText = z.string().min(1).superRefine((value, ctx) => {
+  try {
+    parseTemplate(value);
+  } catch (error) {
+    if (!(error instanceof TemplateSyntaxError)) throw error;
+    ctx.addIssue({ code: "custom", message: error.message });
+  }
+});
+
+// Текст рассылки: title + body или сохраненный шаблон (title/body, если переданы, заменяют его части)
+const broadcastContentFields = {
+  title: messageTemplateText.optional(),
+  body: messageTemplateText.optional(),
+  templateId: z.string().optional(),
+};
+
+const hasBroadcastContent = (data) => Boolean(data.templateId || (data.title && data.body));
+const broadcastContentIssue = { message: "Укажите title и body или templateId.", path: ["body"] };
+
+/**
+ * Заголовок и текст рассылки с учетом сохраненного шаблона.
+ * @param {'SMS' | 'EMAIL'} channel
+ * @param {{ title?: string, body?: string, templateId?: string }} content
+ * @returns {Promise<{ title?: string, body?: string, error?: 'TEMPLATE_NOT_FOUND' | 'TEMPLATE_CHANNEL_MISMATCH' }>}
+ */
+async function resolveBroadcastContent(channel, { title, body, templateId }) {
+  if (!templateId) return { title, body };
+
+  const template = await prisma.messageTemplate.findUnique({ where: { id: templateId } });
+  if (!template) return { error: "TEMPLATE_NOT_FOUND" };
+  if (template.channel && template.channel !== channel) return { error: "TEMPLATE_CHANNEL_MISMATCH" };
+  return { title: title ?? template.title, body: body ?? template.body };
+}
+
+function sendContentError(res, error) {
+  return error === "TEMPLATE_NOT_FOUND"
+    ? res.status(404).json({ message: "Шаблон сообщения не найден.", error })
+    : res.status(400).json({ message: "Шаблон предназначен для другого канала рассылки.", error });
+}
+
+const broadcastScheduleFields = {
+  scheduledFor: z.string().optional(), // Отправить позже: местное время в поясе timezone
+  timezone: z.string().max(64).optional(), // IANA, по умолчанию DEFAULT_TIMEZONE
+};
+
+const broadcastSchema = z.object({
+  ...broadcastContentFields,
+  ...broadcastScheduleFields,
+}).refine(hasBroadcastContent, broadcastContentIssue);
+
+const targetedBroadcastSchema = z.object({
+  ...broadcastContentFields,
+  recipientIds: z.array(z.string()).min(1).optional(), // Выбранные вручную клиенты
+  segmentId: z.string().optional(), // ...или сохраненный сегмент
+  ...broadcastScheduleFields,
+}).refine((data) => Boolean(data.recipientIds) !== Boolean(data.segmentId), {
+  message: "Укажите либо recipientIds, либо segmentId.",
+  path: ["recipientIds"],
+}).refine(hasBroadcastContent, broadcastContentIssue);
+
+/**
+ * Получатели таргетированной рассылки: выбранные клиенты или текущий состав сегмента.
+ * @param {'SMS' | 'EMAIL'} channel
+ * @param {{ recipientIds?: string[], segmentId?: string }} audience
+ * @returns {Promise<ReturnType<typeof selectBroadcastRecipients> | null>} null - сегмент не найден
+ */
+async function resolveTargetedRecipients(channel, { recipientIds, segmentId }) {
+  if (segmentId) {
+    const segment = await prisma.audienceSegment.findUnique({ where: { id: segmentId } });
+    return segment && resolveBroadcastRecipients(channel, { filters: parseSegmentFilters(segment.filters) });
+  }
+  return resolveBroadcastRecipients(channel, { customerIds: recipientIds });
+}
+
+// Рассылка по выбранным клиентам или сегменту (общая часть маршрутов /api/owner/broadcast/*)
+async function sendTargetedBroadcast(res, channel, { title, body, templateId, recipientIds, segmentId, ...scheduleInput }) {
+  const schedule = resolveBroadcastSchedule(scheduleInput);
+  if (schedule.error) {
+    return sendScheduleError(res, schedule.error);
+  }
+
+  const content = await resolveBroadcastContent(channel, { title, body, templateId });
+  if (content.error) {
+    return sendContentError(res, content.error);
+  }
+
+  const audience = await resolveTargetedRecipients(channel, { recipientIds, segmentId });
+  if (!audience) {
+    return res.status(404).json({ message: "Сегмент не найден.", error: "SEGMENT_NOT_FOUND" });
+  }
+
+  // Запланированная рассылка по сегменту получит состав на момент отправки; сейчас он нужен только для ответа
+  const recipients = segmentId && schedule.scheduledFor ? [] : audience.recipients;
+  const message = await queueBroadcast({ ...content, channel, recipients, segmentId, ...schedule });
+
+  return sendQueuedBroadcast(res, message, audience.recipients, audience.skipped, {
+    ...(segmentId && { segmentId }),
+  });
+}
+
+app.post("/api/broadcast", async (req, res) => {
+  try {
+    const rawOwnerToken = req.headers["x-owner-token"];
+    const ownerToken = Array.isArray(rawOwnerToken) ? rawOwnerToken[0] : rawOwnerToken;
+    if (!OWNER_TOKEN || ownerToken !== OWNER_TOKEN) {
+      return res.status(401).json({ message: "Нет доступа." });
+    }
+
+    if (!smsProvider) {
+      return res.status(500).json({ message: "СМС отправка не настроена." });
+    }
+
+    const { title, body, templateId, ...scheduleInput } = broadcastSchema.parse(req.body);
+    const schedule = resolveBroadcastSchedule(scheduleInput);
+    if (schedule.error) {
+      return sendScheduleError(res, schedule.error);
+    }
+
+    const content = await resolveBroadcastContent('SMS', { title, body, templateId });
+    if (content.error) {
+      return sendContentError(res, content.error);
+    }
+
+    // Все клиенты, которым можно отправить SMS
+    const { recipients, skipped } = await resolveBroadcastRecipients('SMS', {});
+    if (recipients.length === 0) {
+      return res.status(200).json({ message: "Нет подписчиков для рассылки.", skipped });
+    }
+
+    const message = await queueBroadcast({ ...content, channel: 'SMS', recipients, ...schedule });
+
+    return sendQueuedBroadcast(res, message, recipients, skipped);
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
@@ -1325,7 +2338,7 @@ app.post("/api/owner/login", async (req, res) => {
       console.log(`Login successful (2FA disabled) for user: ${owner.email}`);
       
       // Создаем JWT-токен
-      const jwtPayload = { id: owner.id, email: owner.email, name: owner.name };
+      const jwtPayload = { id: owner.id, email: owner.email, name: owner.name, role: TOKEN_ROLES.OWNER };
       const token = jwt.sign(jwtPayload, process.env.JWT_SECRET, { expiresIn: '1d' });
 
       // Возвращаем токен и данные (вместо старого 'success: true')
@@ -1409,6 +2422,13 @@ app.get("/api/owner/profile", async (req, res) => {
   }
 });
 
+// Связанные данные для списка клиентов в админке
+const CUSTOMER_LIST_INCLUDE = {
+  redemptions: { where: { bonusCodeId: null }, orderBy: { redeemedAt: "desc" }, take: 1 }, // Погашение основного кода
+  referredBy: { select: { id: true, firstName: true, lastName: true, discountCode: true } },
+  _count: { select: { referrals: true } },
+};
+
 app.get("/api/customers", async (req, res) => {
   try {
     const rawOwnerToken = req.headers["x-owner-token"];
@@ -1422,6 +2442,7 @@ app.get("/api/customers", async (req, res) => {
     if (OWNER_TOKEN && ownerToken === OWNER_TOKEN) {
       const customers = await prisma.customer.findMany({
         orderBy: { createdAt: "desc" },
+        include: CUSTOMER_LIST_INCLUDE,
       });
 
       return res.json(
@@ -1440,6 +2461,10 @@ app.get("/api/customers", async (req, res) => {
           preferredFood: customer.preferredFood,
           feedback: customer.feedback,
           discountCode: customer.discountCode,
+          discountCodeExpiresAt: customer.discountCodeExpiresAt,
+          redemption: customer.redemptions[0] || null,
+          referredBy: customer.referredBy,
+          referralCount: customer._count.referrals,
           createdAt: customer.createdAt,
         }))
       );
@@ -1456,6 +2481,7 @@ app.get("/api/customers", async (req, res) => {
 
     const customers = await prisma.customer.findMany({
       orderBy: { createdAt: "desc" },
+      include: CUSTOMER_LIST_INCLUDE,
     });
 
     res.json(
@@ -1474,6 +2500,10 @@ app.get("/api/customers", async (req, res) => {
         preferredFood: customer.preferredFood,
         feedback: customer.feedback,
         discountCode: customer.discountCode,
+        discountCodeExpiresAt: customer.discountCodeExpiresAt,
+        redemption: customer.redemptions[0] || null,
+        referredBy: customer.referredBy,
+        referralCount: customer._count.referrals,
         createdAt: customer.createdAt,
       }))
     );
@@ -1610,6 +2640,230 @@ setInterval(async () => {
   }
 }, 5 * 60 * 1000); // Каждые 5 минут
 
+// Очистка использованных и просроченных кодов верификации (сутки храним для разбора обращений)
+setInterval(async () => {
+  try {
+    const oneDayAgo = new Date(Date.now() - DAY_MS);
+    await prisma.verificationChallenge.deleteMany({
+      where: { OR: [{ expiresAt: { lt: oneDayAgo } }, { consumedAt: { lt: oneDayAgo } }] },
+    });
+  } catch (error) {
+    console.error('Ошибка очистки кодов верификации:', error);
+  }
+}, 60 * 60 * 1000); // Каждый час
+
+/**
+ * Напоминает клиенту, что срок действия его промокода скоро истекает.
+ * Отправляет только по тем каналам, на которые клиент дал согласие.
+ * @returns {Promise<boolean>} true, если хотя бы одно сообщение ушло
+ */
+async function sendExpiryReminder(customer) {
+  const channels = await notifyCustomer(customer, {
+    template: 'promo',
+    vars: {
+      reason: 'EXPIRY_REMINDER',
+      firstName: customer.firstName,
+      code: customer.discountCode,
+      expiresAt: customer.discountCodeExpiresAt,
+    },
+  });
+  return channels.length > 0;
+}
+
+/**
+ * Отправляет клиенту рекламное сообщение (напоминание, подарок, бонус) по тем каналам,
+ * по которым ему можно писать: та же проверка, что у рассылок (getBroadcastSkipReason) -
+ * согласие, подписка, подтвержденный контакт.
+ * Текст SMS - текстовая версия того же шаблона, что и письмо, на языке клиента.
+ * @param {{ id: string }} customer - клиент; согласие и подписка перечитываются из базы
+ * @param {{ template: keyof typeof MAIL_TEMPLATES, vars: object }} message
+ * @returns {Promise<Array<'sms' | 'email'>>} каналы, по которым сообщение ушло
+ */
+async function notifyCustomer(customer, { template, vars }) {
+  const channels = [];
+  const recipient = await prisma.customer.findUnique({
+    where: { id: customer.id },
+    select: { ...BROADCAST_CANDIDATE_SELECT, locale: true },
+  });
+
+  if (smsProvider && !getBroadcastSkipReason('SMS', recipient)) {
+    try {
+      await smsProvider.send({ to: recipient.phoneNumber, body: renderMailTemplate(template, vars, recipient.locale).text });
+      channels.push('sms');
+    } catch (error) {
+      console.error(`Ошибка SMS для ${customer.id}:`, error.message);
+    }
+  }
+
+  if (isMailConfigured() && !getBroadcastSkipReason('EMAIL', recipient)) {
+    try {
+      await sendTemplatedMail({ to: recipient.email, template, vars, locale: recipient.locale });
+      channels.push('email');
+    } catch (error) {
+      console.error(`Ошибка email для ${customer.id}:`, error.message);
+      await recordEmailBounce(recipient.email, error);
+    }
+  }
+
+  return channels;
+}
+
+// Напоминания об истечении промокодов (клиентам с согласием на рассылку)
+setInterval(async () => {
+  try {
+    const now = new Date();
+    const customers = await prisma.customer.findMany({
+      where: {
+        isVerified: true,
+        expiryReminderSentAt: null,
+        discountCodeExpiresAt: { gt: now, lte: new Date(now.getTime() + PROMO_EXPIRY_REMINDER_DAYS * DAY_MS) },
+        redemptions: { none: { bonusCodeId: null } }, // Основной код еще не погашен (бонусные не в счет)
+        OR: [{ consentSms: true }, { consentEmail: true }],
+      },
+    });
+
+    for (const customer of customers) {
+      // Ночью по местному времени не пишем: клиент получит напоминание при одном из следующих запусков
+      if (getQuietHoursEnd(now, resolveCustomerTimeZone(customer))) continue;
+      if (await sendExpiryReminder(customer)) {
+        await prisma.customer.update({
+          where: { id: customer.id },
+          data: { expiryReminderSentAt: new Date() },
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Ошибка отправки напоминаний об истечении промокодов:', error);
+  }
+}, 60 * 60 * 1000); // Каждый час
+
+// ===================================================
+// === ПОДАРКИ НА ДЕНЬ РОЖДЕНИЯ ===
+// ===================================================
+
+// За сколько дней до дня рождения поздравлять (0 - только в сам день рождения)
+const BIRTHDAY_REWARD_WINDOW_DAYS = Number(process.env.BIRTHDAY_REWARD_WINDOW_DAYS ?? 7);
+const BIRTHDAY_PROMO_PREFIX = "BDAY-";
+const BIRTHDAY_BONUS = {
+  discountType: "PERCENT",
+  discountValue: Number(process.env.BIRTHDAY_BONUS_PERCENT) || 15,
+};
+// Сколько дней после дня рождения действует подарочный код
+const BIRTHDAY_CODE_VALIDITY_DAYS = Number(process.env.BIRTHDAY_CODE_VALIDITY_DAYS) || 14;
+
+/**
+ * Ближайший день рождения клиента начиная с сегодняшнего дня (29 февраля в невисокосный год - 28-е).
+ * @param {Date} birthDate
+ * @param {Date} now
+ * @returns {Date} полночь (UTC) дня рождения
+ */
+function getNextBirthday(birthDate, now) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const birthdayIn = (year) => {
+    const date = new Date(Date.UTC(year, birthDate.getUTCMonth(), birthDate.getUTCDate()));
+    // Date.UTC переносит 29.02 на 1 марта - возвращаем на последний день февраля
+    return date.getUTCMonth() === birthDate.getUTCMonth() ? date : new Date(Date.UTC(year, 2, 0));
+  };
+  const thisYear = birthdayIn(now.getUTCFullYear());
+  return thisYear.getTime() >= today ? thisYear : birthdayIn(now.getUTCFullYear() + 1);
+}
+
+/**
+ * Выдает клиенту подарочный код и поздравляет его по каналам с согласием.
+ * Запись BirthdayReward (уникальна по клиенту и году) не дает подарить дважды за год.
+ * @returns {Promise<boolean>} true, если поздравление ушло
+ */
+async function sendBirthdayReward(customer, birthday) {
+  const year = birthday.getUTCFullYear();
+  const code = await generateUniqueDiscountCode(BIRTHDAY_PROMO_PREFIX);
+
+  let reward;
+  try {
+    reward = await prisma.birthdayReward.create({
+      data: {
+        year,
+        channels: "",
+        customer: { connect: { id: customer.id } },
+        bonusCode: {
+          create: {
+            code,
+            customer: { connect: { id: customer.id } },
+            reason: "BIRTHDAY",
+            ...BIRTHDAY_BONUS,
+            expiresAt: new Date(birthday.getTime() + (BIRTHDAY_CODE_VALIDITY_DAYS + 1) * DAY_MS),
+          },
+        },
+      },
+    });
+  } catch (error) {
+    // Параллельный запуск уже поздравил клиента в этом году
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") return false;
+    throw error;
+  }
+
+  const channels = await notifyCustomer(customer, {
+    template: 'birthday',
+    vars: {
+      firstName: customer.firstName,
+      code,
+      discount: `${BIRTHDAY_BONUS.discountValue}%`,
+      birthday,
+      isToday: birthday.getTime() <= Date.now(),
+      validityDays: BIRTHDAY_CODE_VALIDITY_DAYS,
+    },
+  });
+
+  if (channels.length === 0) {
+    // Не дошло ни по одному каналу - откатываем, завтрашний запуск попробует снова
+    await prisma.birthdayReward.delete({ where: { id: reward.id } });
+    await prisma.bonusCode.delete({ where: { id: reward.bonusCodeId } });
+    return false;
+  }
+
+  await prisma.birthdayReward.update({
+    where: { id: reward.id },
+    data: { channels: channels.join(",") },
+  });
+  return true;
+}
+
+async function runBirthdayRewards() {
+  const now = new Date();
+  const customers = await prisma.customer.findMany({
+    where: {
+      isVerified: true,
+      birthDate: { not: null },
+      OR: [{ consentSms: true }, { consentEmail: true }],
+    },
+    include: { birthdayRewards: { select: { year: true } } },
+  });
+
+  let sent = 0;
+  for (const customer of customers) {
+    const birthday = getNextBirthday(customer.birthDate, now);
+    const daysUntil = Math.round((birthday.getTime() - Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())) / DAY_MS);
+    if (daysUntil > BIRTHDAY_REWARD_WINDOW_DAYS) continue;
+    if (customer.birthdayRewards.some((reward) => reward.year === birthday.getUTCFullYear())) continue;
+    // Ночью по местному времени не поздравляем: задача запускается каждый час, клиент получит подарок утром
+    if (getQuietHoursEnd(now, resolveCustomerTimeZone(customer))) continue;
+
+    try {
+      if (await sendBirthdayReward(customer, birthday)) sent += 1;
+    } catch (error) {
+      console.error(`Ошибка поздравления клиента ${customer.id}:`, error);
+    }
+  }
+
+  if (sent > 0) console.log(`🎂 Отправлено поздравлений с днем рождения: ${sent}`);
+}
+
+// Каждый час (и вскоре после старта сервера): BirthdayReward не дает поздравить дважды, а ночные
+// запуски пропускают клиентов с тихими часами - так поздравление уходит днем по их местному времени
+setTimeout(() => runBirthdayRewards().catch((error) => console.error('Ошибка задачи дней рождения:', error)), 60 * 1000);
+setInterval(() => {
+  runBirthdayRewards().catch((error) => console.error('Ошибка задачи дней рождения:', error));
+}, 60 * 60 * 1000);
+
 // Универсальный список заявок для таблицы (публичный рид-онли)
 app.get("/api/submissions", async (_req, res) => {
   try {
@@ -1882,88 +3136,11 @@ app.post("/api/owner/broadcast/sms", async (req, res) => {
       return res.status(401).json({ message: "Неверный токен." });
     }
 
-    if (!twilioClient || !process.env.TWILIO_MESSAGING_SERVICE_SID) {
+    if (!smsProvider) {
       return res.status(500).json({ message: "СМС отправка не настроена." });
     }
 
-    const { title, body, recipientIds } = targetedBroadcastSchema.parse(req.body);
-
-    // Создаем запись сообщения (для истории)
-    const message = await prisma.broadcastMessage.create({
-      data: { title, body },
-    });
-
-    // Получаем подписки для клиентов
-    const customers = await prisma.customer.findMany({
-      where: { id: { in: recipientIds } },
-      select: { id: true, phoneNumber: true },
-    });
-
-    const subscriptions = await prisma.messageSubscription.findMany({
-      where: { customerId: { in: customers.map(c => c.id) } },
-      select: { id: true, customerId: true },
-    });
-
-    const subByCustomerId = new Map(subscriptions.map(s => [s.customerId, s.id]));
-
-    const deliveries = await Promise.allSettled(
-      customers.map(async (c) => {
-        if (!c.phoneNumber) {
-          return { status: "skipped", to: c.id, reason: "no-phone" };
-        }
-        try {
-          const result = await twilioClient.messages.create({
-            to: c.phoneNumber,
-            messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
-            body,
-          });
-          const subscriptionId = subByCustomerId.get(c.id);
-          if (subscriptionId) {
-            await prisma.messageDelivery.create({
-              data: {
-                messageId: message.id,
-                subscriptionId,
-                phoneNumber: c.phoneNumber,
-                status: "SENT",
-                sentAt: result.dateCreated ? new Date(result.dateCreated) : new Date(),
-              },
-            });
-          }
-          return { status: "sent", to: c.phoneNumber };
-        } catch (smsError) {
-          const subscriptionId = subByCustomerId.get(c.id);
-          if (subscriptionId) {
-            await prisma.messageDelivery.create({
-              data: {
-                messageId: message.id,
-                subscriptionId,
-                phoneNumber: c.phoneNumber || "",
-                status: "FAILED",
-                errorMessage: smsError.message,
-              },
-            });
-          }
-          return { status: "failed", to: c.phoneNumber, error: smsError.message };
-        }
-      })
-    );
-
-    const summary = deliveries.reduce(
-      (acc, item) => {
-        if (item.status === "fulfilled") {
-          const value = item.value;
-          if (value.status === "sent") acc.sent += 1;
-          else if (value.status === "failed") acc.failed += 1;
-          else acc.skipped += 1;
-        } else {
-          acc.failed += 1;
-        }
-        return acc;
-      },
-      { sent: 0, failed: 0, skipped: 0 }
-    );
-
-    return res.status(200).json({ message: "Рассылка SMS завершена.", summary });
+    return await sendTargetedBroadcast(res, 'SMS', targetedBroadcastSchema.parse(req.body));
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
@@ -1985,52 +3162,12 @@ app.post("/api/owner/broadcast/email", async (req, res) => {
       return res.status(401).json({ message: "Неверный токен." });
     }
 
-    if (!mailTransporter || !smtpEnabled) {
+    if (!isMailConfigured()) {
       return res.status(500).json({ message: "Почтовая отправка не настроена." });
     }
 
-    const { title, body, recipientIds } = targetedBroadcastSchema.parse(req.body);
-
-    const customers = await prisma.customer.findMany({
-      where: { id: { in: recipientIds } },
-      select: { id: true, email: true, firstName: true, lastName: true },
-    });
-
-    const deliveries = await Promise.allSettled(
-      customers.map(async (c) => {
-        if (!c.email) {
-          return { status: "skipped", to: c.id, reason: "no-email" };
-        }
-        try {
-          await mailTransporter.sendMail({
-            from: process.env.SMTP_FROM,
-            to: c.email,
-            subject: title,
-            text: body,
-          });
-          return { status: "sent", to: c.email };
-        } catch (err) {
-          return { status: "failed", to: c.email, error: err.message };
-        }
-      })
-    );
-
-    const summary = deliveries.reduce(
-      (acc, item) => {
-        if (item.status === "fulfilled") {
-          const value = item.value;
-          if (value.status === "sent") acc.sent += 1;
-          else if (value.status === "failed") acc.failed += 1;
-          else acc.skipped += 1;
-        } else {
-          acc.failed += 1;
-        }
-        return acc;
-      },
-      { sent: 0, failed: 0, skipped: 0 }
-    );
-
-    return res.status(200).json({ message: "Рассылка Email завершена.", summary });
+    // Без email клиента в очередь не ставим; недоставляемые адреса пропустит обработчик
+    return await sendTargetedBroadcast(res, 'EMAIL', targetedBroadcastSchema.parse(req.body));
   } catch (error) {
     if (error instanceof z.ZodError) {
       return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
@@ -2040,90 +3177,52 @@ app.post("/api/owner/broadcast/email", async (req, res) => {
   }
 });
 
-const authenticateOwnerToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-  if (token == null) {
-    return res.status(401).json({ message: 'No token provided' }); // Нет токена
-  }
-
-  // Убедитесь, что JWT_SECRET задан в вашем .env
-  if (!process.env.JWT_SECRET) {
-     console.error('JWT_SECRET is not defined in .env!');
-     return res.status(500).json({ message: 'Server configuration error' });
-  }
+// Middleware авторизации (services/authTokens.js): администратор, касса (кассир или администратор), клиент
+const { authenticateOwnerToken, authenticateStaffToken, authenticateCustomerToken } = createAuthMiddlewares(prisma);
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, owner) => {
-    if (err) {
-      console.error('JWT Error:', err.message);
-      return res.status(403).json({ message: 'Invalid token' }); // Неверный токен
-    }
+// --- Эндпоинт для Email-рассылки готовым HTML (ЗАЩИЩЕННЫЙ) ---
+// Всем клиентам, которым можно писать на email (согласие, подписка, подтвержденный адрес), через общую очередь
+const adminEmailBroadcastSchema = z.object({
+  subject: messageTemplateText,
+  htmlBody: messageTemplateText, // HTML письма; подстановки {{firstName}} и т.п. экранируются
+  ...broadcastScheduleFields,
+});
 
-    // Добавляем данные админа в запрос
-    req.owner = owner; 
-    next(); // Переходим к следующему обработчику
-  });
-};
-// --- Эндпоинт для Email-рассылки (ЗАЩИЩЕННЫЙ) ---
 app.post('/api/admin/broadcast/email', authenticateOwnerToken, async (req, res) => {
-  // 1. Проверяем, что это точно админ (хотя middleware это уже сделал)
-  if (!req.owner) {
-    return res.status(403).json({ message: "Forbidden" });
-  }
-
-  // 2. Получаем данные из админки
-  const { subject, htmlBody } = req.body;
-
-  if (!subject || !htmlBody) {
-    return res.status(400).json({ message: 'Subject and htmlBody are required' });
-  }
-
-  console.log(`Starting email broadcast: "${subject}"`);
-
   try {
-    // 3. Находим ВСЕХ пользователей, кто дал согласие на рассылку
-    const usersToEmail = await prisma.user.findMany({
-      where: {
-        consentPromotional: true, // !! Ключевой фильтр !!
-        email: {
-          not: null, // Убедимся, что email есть
-        },
-      },
-      select: {
-        email: true,
-      }
-    });
-
-    if (usersToEmail.length === 0) {
-      return res.status(200).json({ message: 'Broadcast started, but no users found with consent.' });
+    const { subject, htmlBody, ...scheduleInput } = adminEmailBroadcastSchema.parse(req.body);
+    const schedule = resolveBroadcastSchedule(scheduleInput);
+    if (schedule.error) {
+      return sendScheduleError(res, schedule.error);
     }
 
-    // 4. Готовим все обещания (promises) для отправки
-    const emailPromises = usersToEmail.map(user => 
-      sendPromotionalEmail(user.email, subject, htmlBody)
-    );
-
-    // 5. Запускаем отправку ПАРАЛЛЕЛЬНО
-    // Promise.allSettled ждет, пока ВСЕ выполнятся (успешно или с ошибкой)
-    const results = await Promise.allSettled(emailPromises);
-
-    // 6. Считаем статистику
-    const successfulSends = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-    const failedSends = results.length - successfulSends;
+    if (!isMailConfigured()) {
+      return res.status(500).json({ message: "Отправка email не настроена." });
+    }
 
-    console.log(`Broadcast finished. Sent: ${successfulSends}, Failed: ${failedSends}`);
+    const { recipients, skipped } = await resolveBroadcastRecipients('EMAIL', {});
+    if (recipients.length === 0) {
+      return res.status(200).json({ message: "Нет подписчиков для рассылки.", skipped });
+    }
 
-    res.status(200).json({ 
-      message: `Broadcast complete!`,
-      totalAttempted: usersToEmail.length,
-      successful: successfulSends,
-      failed: failedSends,
+    const message = await queueBroadcast({
+      title: subject,
+      // Текстовая версия письма (и показ в списке рассылок) - HTML без тегов
+      body: htmlBody.replace(/<[^>]+>/g, ''),
+      bodyHtml: htmlBody,
+      channel: 'EMAIL',
+      recipients,
+      ...schedule,
     });
 
+    return sendQueuedBroadcast(res, message, recipients, skipped);
   } catch (error) {
-    console.error('Failed during broadcast preparation:', error);
-    res.status(500).json({ message: 'Server error during broadcast', error: error.message });
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера." });
   }
 });
 
@@ -2255,7 +3354,7 @@ app.post('/api/admin/2fa/login', async (req, res) => {
     if (isValid) {
       // КОД ВЕРНЫЙ! 
       // Теперь мы можем выдать ему JWT-токен и войти
-      const jwtPayload = { id: owner.id, username: owner.username };
+      const jwtPayload = { id: owner.id, username: owner.username, role: TOKEN_ROLES.OWNER };
       const jwtToken = jwt.sign(jwtPayload, process.env.JWT_SECRET, { expiresIn: '1d' });
 
       // (Можно также записать сессию, как вы делали в /login)
@@ -2278,8 +3377,1795 @@ app.post('/api/admin/2fa/login', async (req, res) => {
 
 // --- 🔐 КОНЕЦ БЛОКА 2FA ---
 
+// ===================================================
+// === API: ПОГАШЕНИЕ ПРОМОКОДОВ НА КАССЕ ===
+// ===================================================
+
+// Причины, по которым промокод нельзя погасить (машиночитаемый код -> HTTP статус и текст)
+const PROMO_ERRORS = {
+  CODE_MALFORMED: { status: 400, message: "Промокод введен с ошибкой: проверьте символы." },
+  CODE_NOT_FOUND: { status: 404, message: "Промокод не найден." },
+  CODE_NOT_VERIFIED: { status: 409, message: "Клиент еще не прошел верификацию, промокод не активен." },
+  CODE_ALREADY_REDEEMED: { status: 409, message: "Промокод уже был использован." },
+  CODE_EXPIRED: { status: 410, message: "Срок действия промокода истек." },
+  CAMPAIGN_INACTIVE: { status: 409, message: "Кампания, выдавшая промокод, отключена." },
+  CAMPAIGN_EXHAUSTED: { status: 409, message: "Лимит погашений по кампании исчерпан." },
+};
+
+// Откат транзакции погашения: лимит кампании исчерпан параллельными погашениями
+class CampaignExhaustedError extends Error {}
+
+const promoRedeemSchema = z.object({
+  code: z.string().min(1).max(32),
+  amount: z.number().nonnegative().optional(),
+  location: z.string().min(1).max(100).optional(),
+  staffMember: z.string().min(1).max(100).optional(),
+});
+
+/**
+ * Ищет промокод (основной код клиента или бонусный) и проверяет, можно ли его погасить.
+ * @param {string} code - нормализованный промокод
+ * @returns {Promise<{ customer: object | null, bonusCode?: object | null, redemption: object | null, expiresAt?: Date | null, discount?: object, error: string | null, reason?: string }>}
+ */
+async function resolvePromoCode(code) {
+  // Опечатки отсекаем до запроса к базе: "введен с ошибкой" и "не найден" - разные ответы
+  const format = validatePromoCode(code);
+  if (!format.valid) {
+    return { customer: null, redemption: null, error: "CODE_MALFORMED", reason: format.reason };
+  }
+
+  const include = { redemptions: { where: { code }, take: 1 }, campaign: true };
+  let customer = await prisma.customer.findUnique({ where: { discountCode: code }, include });
+  let bonusCode = null;
+
+  if (!customer) {
+    bonusCode = await prisma.bonusCode.findUnique({ where: { code }, include: { customer: { include } } });
+    customer = bonusCode?.customer ?? null;
+  }
+
+  if (!customer) {
+    return { customer: null, redemption: null, error: "CODE_NOT_FOUND" };
+  }
+
+  // У бонусного кода свои скидка и срок действия, кампания основного кода на него не влияет
+  const expiresAt = bonusCode ? bonusCode.expiresAt : customer.discountCodeExpiresAt;
+  const discount = bonusCode
+    ? { discountType: bonusCode.discountType, discountValue: bonusCode.discountValue }
+    : describeDiscount(customer.campaign);
+  const result = { customer, bonusCode, expiresAt, discount, redemption: customer.redemptions[0] || null };
+
+  if (!customer.isVerified) {
+    return { ...result, error: "CODE_NOT_VERIFIED" };
+  }
+  if (result.redemption) {
+    return { ...result, error: "CODE_ALREADY_REDEEMED" };
+  }
+  // Коды, выданные до появления сроков действия (discountCodeExpiresAt = null), бессрочны
+  if (expiresAt && expiresAt <= new Date()) {
+    return { ...result, error: "CODE_EXPIRED" };
+  }
+
+  const campaign = bonusCode ? null : customer.campaign;
+  if (campaign && !campaign.isActive) {
+    return { ...result, error: "CAMPAIGN_INACTIVE" };
+  }
+  if (campaign && campaign.maxRedemptions !== null) {
+    // Погашения бонусных кодов клиентов кампании (bonusCodeId задан) лимит не расходуют
+    const redeemedCount = await prisma.promoRedemption.count({
+      where: { customer: { campaignId: campaign.id }, bonusCodeId: null },
+    });
+    if (redeemedCount >= campaign.maxRedemptions) {
+      return { ...result, error: "CAMPAIGN_EXHAUSTED" };
+    }
+  }
+  return { ...result, error: null };
+}
+
+/**
+ * Отправляет ответ с ошибкой погашения в едином формате.
+ * @param {import('express').Response} res
+ * @param {{ customer?: object | null, redemption?: object | null, expiresAt?: Date | null, error: string, reason?: string }} result - результат resolvePromoCode
+ */
+function sendPromoError(res, { customer = null, redemption = null, expiresAt = null, error, reason }) {
+  const { status, message } = PROMO_ERRORS[error];
+  return res.status(status).json({
+    message,
+    error,
+    reason,
+    // Кассиру нужно видеть, чей это код, даже если погасить его нельзя
+    customer: customer ? toPromoCustomer(customer) : null,
+    redemption,
+    expiresAt,
+  });
+}
+
+/**
+ * Данные клиента, которые можно показывать на кассе (без контактов и адреса).
+ */
+function toPromoCustomer(customer) {
+  return {
+    id: customer.id,
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    isVerified: customer.isVerified,
+  };
+}
+
+// Проверка промокода перед погашением (для кассира)
+app.get("/api/promo/:code", authenticateStaffToken, async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.params.code);
+    const result = await resolvePromoCode(code);
+    const { customer } = result;
+
+    if (result.error) {
+      return sendPromoError(res, result);
+    }
+
+    return res.status(200).json({
+      code,
+      status: "valid",
+      customer: toPromoCustomer(customer),
+      // Проверка подписи, если код пришел из отсканированного QR
+      signatureValid: req.query.sig ? verifyPromoCodeSignature(code, req.query.sig) : null,
+      campaign: customer.campaign && !result.bonusCode ? { id: customer.campaign.id, name: customer.campaign.name } : null,
+      bonusReason: result.bonusCode?.reason ?? null,
+      expiresAt: result.expiresAt,
+      ...result.discount,
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при проверке промокода." });
+  }
+});
+
+// QR-код промокода (для страницы благодарности и писем). Только для активированных кодов.
+app.get("/api/promo/:code/qr", async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.params.code);
+    const format = req.query.format === "png" ? "png" : "svg";
+
+    if (!validatePromoCode(code).valid) {
+      return res.status(400).json({ message: PROMO_ERRORS.CODE_MALFORMED.message, error: "CODE_MALFORMED" });
+    }
+
+    const customer = await prisma.customer.findUnique({
+      where: { discountCode: code },
+      select: { isVerified: true },
+    }) ?? (await prisma.bonusCode.findUnique({
+      where: { code },
+      select: { customer: { select: { isVerified: true } } },
+    }))?.customer;
+    if (!customer || !customer.isVerified) {
+      return res.status(404).json({ message: PROMO_ERRORS.CODE_NOT_FOUND.message, error: "CODE_NOT_FOUND" });
+    }
+
+    const image = await renderPromoQr(code, format);
+    res.setHeader("Content-Type", format === "png" ? "image/png" : "image/svg+xml");
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    return res.send(image);
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при генерации QR-кода." });
+  }
+});
+
+// Пасс для "кошелька": ?format=pkpass (Apple Wallet) или json (универсальный). Только для действующих кодов.
+app.get("/api/promo/:code/pass", async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.params.code);
+    const format = req.query.format === "json" ? "json" : "pkpass";
+
+    const result = await resolvePromoCode(code);
+    if (result.error) {
+      // Эндпоинт публичный - данные клиента наружу не отдаем
+      const { status, message } = PROMO_ERRORS[result.error];
+      return res.status(status).json({ message, error: result.error });
+    }
+
+    const { customer } = result;
+    const params = {
+      code,
+      // Пасс скачивается по одному коду без входа - полную фамилию не показываем
+      holderName: customer.lastName ? `${customer.firstName} ${customer.lastName[0]}.` : customer.firstName,
+      expiresAt: result.expiresAt,
+      discount: result.discount,
+      barcodeMessage: buildPromoQrPayload(code),
+    };
+
+    if (format === "json") {
+      res.setHeader("Content-Disposition", `attachment; filename="${code}.json"`);
+      return res.json(buildGenericPass(params));
+    }
+
+    const pkpass = await buildPkPass(params);
+    res.setHeader("Content-Type", "application/vnd.apple.pkpass");
+    res.setHeader("Content-Disposition", `attachment; filename="${code}.pkpass"`);
+    return res.send(pkpass);
+  } catch (error) {
+    if (error instanceof WalletPassConfigError) {
+      return res.status(503).json({ message: error.message });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при создании пасса." });
+  }
+});
+
+// Погашение промокода: код можно использовать только один раз
+app.post("/api/promo/redeem", authenticateStaffToken, async (req, res) => {
+  try {
+    const data = promoRedeemSchema.parse(req.body);
+    const code = normalizePromoCode(data.code);
+
+    const result = await resolvePromoCode(code);
+    const { customer } = result;
+    if (result.error) {
+      return sendPromoError(res, result);
+    }
+
+    // Лимит кампании проверяем в той же транзакции: сначала запись (SQLite берет блокировку на запись,
+    // параллельные погашения ждут), потом подсчет с ней; превышение откатывает транзакцию
+    const campaign = result.bonusCode ? null : customer.campaign;
+    const created = await prisma.$transaction(async (tx) => {
+      const redemption = await tx.promoRedemption.create({
+        data: {
+          code,
+          customerId: customer.id,
+          bonusCodeId: result.bonusCode?.id,
+          amount: data.amount,
+          location: data.location || req.staff.location,
+          staffMember: data.staffMember || req.staff.name,
+        },
+      });
+      if (campaign && campaign.maxRedemptions !== null) {
+        const redeemedCount = await tx.promoRedemption.count({
+          where: { customer: { campaignId: campaign.id }, bonusCodeId: null },
+        });
+        if (redeemedCount > campaign.maxRedemptions) throw new CampaignExhaustedError();
+      }
+      return redemption;
+    }).catch((error) => {
+      if (error instanceof CampaignExhaustedError) return null;
+      throw error;
+    });
+    if (!created) {
+      return sendPromoError(res, { ...result, error: "CAMPAIGN_EXHAUSTED" });
+    }
+
+    console.log(`Server: Промокод ${code} погашен (${created.staffMember}, ${req.staff.role})`);
+
+    return res.status(201).json({
+      message: "Промокод успешно погашен.",
+      redemption: created,
+      customer: toPromoCustomer(customer),
+      ...result.discount,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+
+    // Параллельное погашение того же кода упирается в уникальный индекс
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      const redemption = await prisma.promoRedemption.findUnique({
+        where: { code: normalizePromoCode(req.body.code) },
+      });
+      return sendPromoError(res, { error: "CODE_ALREADY_REDEEMED", redemption });
+    }
+
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при погашении промокода." });
+  }
+});
+
+// ===================================================
+// === API: СОТРУДНИКИ КАССЫ ===
+// ===================================================
+
+const staffLoginSchema = z.object({
+  login: z.string().min(3).max(50),
+  password: z.string().min(6).max(100),
+});
+
+const staffCreateSchema = z.object({
+  name: z.string().min(1).max(100),
+  login: z.string().min(3).max(50),
+  password: z.string().min(6).max(100),
+  location: z.string().min(1).max(100).optional(),
+});
+
+const staffUpdateSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  password: z.string().min(6).max(100).optional(),
+  location: z.string().min(1).max(100).nullable().optional(),
+  isActive: z.boolean().optional(),
+});
+
+/**
+ * Хеширует пароль сотрудника (scrypt с солью).
+ * @param {string} password
+ * @returns {string} "salt:hash" в hex
+ */
+function hashStaffPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Сравнивает пароль с сохраненным хешем за постоянное время.
+ * @returns {boolean}
+ */
+function verifyStaffPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function toStaffResponse(staff) {
+  const { passwordHash: _passwordHash, ...rest } = staff;
+  return rest;
+}
+
+// Вход кассира: выдает JWT с ролью CASHIER (только проверка и погашение промокодов)
+app.post("/api/staff/login", async (req, res) => {
+  try {
+    const { login, password } = staffLoginSchema.parse(req.body);
+
+    if (!process.env.JWT_SECRET) {
+      console.error('JWT_SECRET is not defined in .env!');
+      return res.status(500).json({ message: 'Server configuration error' });
+    }
+
+    const staff = await prisma.staffMember.findUnique({ where: { login } });
+    if (!staff || !staff.isActive || !verifyStaffPassword(password, staff.passwordHash)) {
+      return res.status(401).json({ message: "Неверный логин или пароль." });
+    }
+
+    await prisma.staffMember.update({ where: { id: staff.id }, data: { lastLogin: new Date() } });
+
+    const token = jwt.sign(
+      { id: staff.id, name: staff.name, role: staff.role, location: staff.location },
+      process.env.JWT_SECRET,
+      { expiresIn: '12h' } // Одна смена
+    );
+
+    return res.json({ token, staff: { id: staff.id, name: staff.name, role: staff.role, location: staff.location } });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при входе сотрудника." });
+  }
+});
+
+app.get("/api/admin/staff", authenticateOwnerToken, async (_req, res) => {
+  try {
+    const staff = await prisma.staffMember.findMany({ orderBy: { createdAt: "desc" } });
+    return res.json(staff.map(toStaffResponse));
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении сотрудников." });
+  }
+});
+
+app.post("/api/admin/staff", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { password, ...data } = staffCreateSchema.parse(req.body);
+    const staff = await prisma.staffMember.create({
+      data: { ...data, passwordHash: hashStaffPassword(password) },
+    });
+    return res.status(201).json(toStaffResponse(staff));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return res.status(409).json({ message: "Сотрудник с таким логином уже существует." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при создании сотрудника." });
+  }
+});
+
+app.patch("/api/admin/staff/:id", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { password, ...data } = staffUpdateSchema.parse(req.body);
+    const staff = await prisma.staffMember.update({
+      where: { id: req.params.id },
+      data: password ? { ...data, passwordHash: hashStaffPassword(password) } : data,
+    });
+    return res.json(toStaffResponse(staff));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2025") {
+      return res.status(404).json({ message: "Сотрудник не найден." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при обновлении сотрудника." });
+  }
+});
+
+// ===================================================
+// === API: ПРОМО-КАМПАНИИ (АДМИН) ===
+// ===================================================
+
+const campaignSchema = z.object({
+  name: z.string().min(1).max(100),
+  prefix: z.string().regex(/^[A-Z0-9]{2,12}-$/, "Префикс: 2-12 заглавных букв/цифр и дефис в конце"),
+  discountType: z.enum(["PERCENT", "FIXED"]),
+  discountValue: z.number().positive(),
+  startsAt: z.coerce.date().optional(),
+  endsAt: z.coerce.date().nullable().optional(),
+  maxRedemptions: z.number().int().positive().nullable().optional(),
+  codeValidityDays: z.number().int().positive().nullable().optional(),
+  isActive: z.boolean().optional(),
+});
+
+/**
+ * Проверки, которые нельзя выразить в схеме отдельных полей.
+ * @returns {string | null} текст ошибки или null
+ */
+function validateCampaignRules(data) {
+  if (data.discountType === "PERCENT" && data.discountValue > 100) {
+    return "Процентная скидка не может превышать 100%.";
+  }
+  if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+    return "Дата окончания должна быть позже даты начала.";
+  }
+  return null;
+}
+
+app.get("/api/admin/campaigns", authenticateOwnerToken, async (_req, res) => {
+  try {
+    const campaigns = await prisma.campaign.findMany({
+      orderBy: { startsAt: "desc" },
+      include: { _count: { select: { customers: true } } },
+    });
+    const active = await findActiveCampaign();
+
+    return res.json(
+      campaigns.map(({ _count, ...campaign }) => ({
+        ...campaign,
+        issuedCodes: _count.customers,
+        isCurrent: campaign.id === active?.id,
+      }))
+    );
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении кампаний." });
+  }
+});
+
+app.post("/api/admin/campaigns", authenticateOwnerToken, async (req, res) => {
+  try {
+    const data = campaignSchema.parse(req.body);
+    const ruleError = validateCampaignRules(data);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    const campaign = await prisma.campaign.create({ data });
+    return res.status(201).json(campaign);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return res.status(409).json({ message: "Кампания с таким префиксом уже существует." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при создании кампании." });
+  }
+});
+
+app.patch("/api/admin/campaigns/:id", authenticateOwnerToken, async (req, res) => {
+  try {
+    const data = campaignSchema.partial().parse(req.body);
+
+    const existing = await prisma.campaign.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ message: "Кампания не найдена." });
+    }
+
+    // Префикс уже выданных кодов менять нельзя, иначе коды "потеряют" кампанию
+    if (data.prefix && data.prefix !== existing.prefix) {
+      const issued = await prisma.customer.count({ where: { campaignId: existing.id } });
+      if (issued > 0) {
+        return res.status(409).json({ message: "Нельзя менять префикс кампании, по которой уже выданы коды." });
+      }
+    }
+
+    const ruleError = validateCampaignRules({ ...existing, ...data });
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    const campaign = await prisma.campaign.update({ where: { id: existing.id }, data });
+    return res.json(campaign);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return res.status(409).json({ message: "Кампания с таким префиксом уже существует." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при обновлении кампании." });
+  }
+});
+
+app.delete("/api/admin/campaigns/:id", authenticateOwnerToken, async (req, res) => {
+  try {
+    const existing = await prisma.campaign.findUnique({
+      where: { id: req.params.id },
+      include: { _count: { select: { customers: true } } },
+    });
+    if (!existing) {
+      return res.status(404).json({ message: "Кампания не найдена." });
+    }
+
+    // Кампании с выданными кодами только отключаем, чтобы сохранить историю
+    if (existing._count.customers > 0) {
+      return res.status(409).json({
+        message: "По кампании уже выданы промокоды. Отключите ее (isActive: false) вместо удаления.",
+      });
+    }
+
+    await prisma.campaign.delete({ where: { id: existing.id } });
+    return res.json({ success: true });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при удалении кампании." });
+  }
+});
+
+// ===================================================
+// === API: SMS OUTBOX (админ) ===
+// ===================================================
+
+// Сообщения, "отправленные" драйвером outbox. ?to=... - только для одного номера.
+app.get("/api/admin/sms-outbox", authenticateOwnerToken, async (req, res) => {
+  try {
+    const to = typeof req.query.to === "string" && req.query.to.trim() ? req.query.to.trim() : undefined;
+    const messages = await prisma.smsOutboxMessage.findMany({
+      where: to ? { to } : undefined,
+      orderBy: { createdAt: "desc" },
+      take: 200,
+    });
+    return res.json({ provider: smsProvider?.name ?? null, messages });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении SMS outbox." });
+  }
+});
+
+app.delete("/api/admin/sms-outbox", authenticateOwnerToken, async (_req, res) => {
+  try {
+    const { count } = await prisma.smsOutboxMessage.deleteMany();
+    return res.json({ success: true, deleted: count });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при очистке SMS outbox." });
+  }
+});
+
+// ===================================================
+// === API: РАССЫЛКИ (прогресс и запланированные) ===
+// ===================================================
+
+const broadcastListQuerySchema = z.object({
+  status: z.enum(['SCHEDULED', 'QUEUED', 'SENDING', 'COMPLETED', 'CANCELLED', 'FAILED']).optional(),
+});
+
+// Последние рассылки; ?status=SCHEDULED - ожидающие отправки, ближайшие первыми
+app.get("/api/broadcasts", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { status } = broadcastListQuerySchema.parse(req.query);
+    const broadcasts = await prisma.broadcastMessage.findMany({
+      where: status ? { status } : {},
+      orderBy: status === 'SCHEDULED' ? { scheduledFor: "asc" } : { createdAt: "desc" },
+      take: 100,
+      include: { _count: { select: { deliveries: true } }, segment: { select: { id: true, name: true } } },
+    });
+    return res.json(broadcasts.map(({ _count, ...broadcast }) => ({ ...broadcast, total: _count.deliveries })));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении рассылок." });
+  }
+});
+
+const broadcastUpdateSchema = z.object({
+  title: messageTemplateText.optional(),
+  body: messageTemplateText.optional(),
+  htmlBody: messageTemplateText.optional(), // Для письма из POST /api/admin/broadcast/email: body берется из него
+  ...broadcastScheduleFields,
+}).refine((data) => !data.timezone || data.scheduledFor, {
+  message: "Часовой пояс меняется вместе со временем отправки.",
+  path: ["timezone"],
+}).refine((data) => !(data.body && data.htmlBody), {
+  message: "Текст письма с HTML-версией меняется через htmlBody.",
+  path: ["body"],
+});
+
+// Изменение запланированной рассылки (пока она не ушла в очередь)
+app.patch("/api/broadcasts/:id", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { title, body, htmlBody, ...scheduleInput } = broadcastUpdateSchema.parse(req.body);
+    const broadcast = await prisma.broadcastMessage.findUnique({ where: { id: req.params.id } });
+    if (!broadcast) {
+      return res.status(404).json({ message: "Рассылка не найдена." });
+    }
+
+    // Письмо с HTML-версией отправляется по bodyHtml: правка одного body разошлась бы с тем, что уйдет клиентам
+    if (body && broadcast.bodyHtml) {
+      return res.status(409).json({
+        message: "У письма есть HTML-версия: измените htmlBody, текстовая версия обновится вместе с ним.",
+        error: "BROADCAST_HTML_BODY",
+      });
+    }
+    if (htmlBody && broadcast.channel !== 'EMAIL') {
+      return res.status(409).json({ message: "HTML-версия бывает только у письма.", error: "BROADCAST_HTML_BODY" });
+    }
+    const content = htmlBody
+      ? { bodyHtml: htmlBody, body: htmlBody.replace(/<[^>]+>/g, '') } // Как в POST /api/admin/broadcast/email
+      : { body };
+
+    // Новое время без пояса - в том же поясе, в котором рассылку планировали
+    const schedule = resolveBroadcastSchedule({
+      scheduledFor: scheduleInput.scheduledFor,
+      timezone: scheduleInput.timezone ?? broadcast.timezone ?? undefined,
+    });
+    if (schedule.error) {
+      return sendScheduleError(res, schedule.error);
+    }
+
+    // Условие на статус - в самом обновлении: планировщик мог запустить рассылку только что
+    const { count } = await prisma.broadcastMessage.updateMany({
+      where: { id: broadcast.id, status: 'SCHEDULED' },
+      data: { title, ...content, ...schedule },
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        message: "Изменить можно только запланированную рассылку, которая еще не начала отправляться.",
+        error: "BROADCAST_NOT_SCHEDULED",
+      });
+    }
+
+    return res.json(await getBroadcastProgress(prisma, broadcast.id));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при изменении рассылки." });
+  }
+});
+
+// Отмена рассылки: запланированной или идущей (уже отправленное не отзывается)
+app.post("/api/broadcasts/:id/cancel", authenticateOwnerToken, async (req, res) => {
+  try {
+    const cancelled = await cancelBroadcast(prisma, req.params.id);
+    if (!cancelled) {
+      const exists = await prisma.broadcastMessage.count({ where: { id: req.params.id } });
+      return exists
+        ? res.status(409).json({ message: "Рассылка уже завершена или отменена.", error: "BROADCAST_FINISHED" })
+        : res.status(404).json({ message: "Рассылка не найдена." });
+    }
+    return res.json(await getBroadcastProgress(prisma, req.params.id));
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при отмене рассылки." });
+  }
+});
+
+// Статус рассылки из очереди: сколько отправлено, ошибок, пропущено и когда следующий повтор
+app.get("/api/broadcasts/:id", authenticateOwnerToken, async (req, res) => {
+  try {
+    const progress = await getBroadcastProgress(prisma, req.params.id);
+    if (!progress) {
+      return res.status(404).json({ message: "Рассылка не найдена." });
+    }
+    return res.json(progress);
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении статуса рассылки." });
+  }
+});
+
+// ===================================================
+// === API: СЕГМЕНТЫ АУДИТОРИИ (админ) ===
+// ===================================================
+
+const segmentSchema = z.object({
+  name: z.string().min(1).max(100),
+  description: z.string().max(500).nullable().optional(),
+  filters: segmentFiltersSchema,
+});
+
+const segmentUpdateSchema = segmentSchema.partial();
+
+const segmentPreviewSchema = z.object({
+  filters: segmentFiltersSchema,
+});
+
+// Сколько клиентов показывать в примере состава сегмента
+const SEGMENT_SAMPLE_SIZE = 10;
+
+function toSegmentResponse(segment) {
+  return { ...segment, filters: JSON.parse(segment.filters) };
+}
+
+// Состав сегмента на сейчас: сколько клиентов, скольким можно написать на email,
+// сколько получат рассылку по каждому каналу с учетом согласий и подписки, первые из них
+async function previewSegment(filters) {
+  const customers = await findSegmentCustomers(prisma, filters, {
+    select: { ...BROADCAST_CANDIDATE_SELECT, firstName: true, lastName: true, country: true, createdAt: true },
+  });
+  return {
+    count: customers.length,
+    withEmail: customers.filter((c) => c.email).length,
+    eligible: {
+      SMS: selectBroadcastRecipients('SMS', customers).recipients.length,
+      EMAIL: selectBroadcastRecipients('EMAIL', customers).recipients.length,
+    },
+    sample: customers.slice(0, SEGMENT_SAMPLE_SIZE)
+      .map(({ id, firstName, lastName, country, createdAt }) => ({ id, firstName, lastName, country, createdAt })),
+  };
+}
+
+app.get("/api/admin/segments", authenticateOwnerToken, async (_req, res) => {
+  try {
+    const segments = await prisma.audienceSegment.findMany({ orderBy: { name: "asc" } });
+    return res.json(segments.map(toSegmentResponse));
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении сегментов." });
+  }
+});
+
+app.post("/api/admin/segments", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { filters, ...data } = segmentSchema.parse(req.body);
+    const segment = await prisma.audienceSegment.create({
+      data: { ...data, filters: JSON.stringify(filters) },
+    });
+    return res.status(201).json(toSegmentResponse(segment));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return res.status(409).json({ message: "Сегмент с таким названием уже существует.", error: "SEGMENT_NAME_TAKEN" });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при создании сегмента." });
+  }
+});
+
+// Изменение фильтров действует и на запланированные рассылки по сегменту: состав вычисляется при отправке
+app.patch("/api/admin/segments/:id", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { filters, ...data } = segmentUpdateSchema.parse(req.body);
+    const segment = await prisma.audienceSegment.update({
+      where: { id: req.params.id },
+      data: { ...data, ...(filters && { filters: JSON.stringify(filters) }) },
+    });
+    return res.json(toSegmentResponse(segment));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return res.status(409).json({ message: "Сегмент с таким названием уже существует.", error: "SEGMENT_NAME_TAKEN" });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2025") {
+      return res.status(404).json({ message: "Сегмент не найден." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при обновлении сегмента." });
+  }
+});
+
+// Сегмент запланированной рассылки удалить нельзя: ей не по кому будет отправлять
+app.delete("/api/admin/segments/:id", authenticateOwnerToken, async (req, res) => {
+  try {
+    const scheduled = await prisma.broadcastMessage.count({
+      where: { segmentId: req.params.id, status: 'SCHEDULED' },
+    });
+    if (scheduled > 0) {
+      return res.status(409).json({
+        message: "Сегмент используется в запланированных рассылках. Сначала отмените их.",
+        error: "SEGMENT_IN_USE",
+      });
+    }
+
+    await prisma.audienceSegment.delete({ where: { id: req.params.id } });
+    return res.json({ success: true });
+  } catch (error) {
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2025") {
+      return res.status(404).json({ message: "Сегмент не найден." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при удалении сегмента." });
+  }
+});
+
+// Предпросмотр несохраненных фильтров (конструктор сегмента в админке)
+app.post("/api/admin/segments/preview", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { filters } = segmentPreviewSchema.parse(req.body);
+    return res.json(await previewSegment(filters));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при предпросмотре сегмента." });
+  }
+});
+
+app.get("/api/admin/segments/:id/preview", authenticateOwnerToken, async (req, res) => {
+  try {
+    const segment = await prisma.audienceSegment.findUnique({ where: { id: req.params.id } });
+    if (!segment) {
+      return res.status(404).json({ message: "Сегмент не найден." });
+    }
+    return res.json(await previewSegment(parseSegmentFilters(segment.filters)));
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при предпросмотре сегмента." });
+  }
+});
+
+// ===================================================
+// === API: ШАБЛОНЫ РАССЫЛОК (админ) ===
+// ===================================================
+
+const messageTemplateSchema = z.object({
+  name: z.string().min(1).max(100),
+  channel: z.enum(['SMS', 'EMAIL']).nullable().optional(), // null - для любого канала
+  title: messageTemplateText,
+  body: messageTemplateText,
+});
+
+const messageTemplateUpdateSchema = messageTemplateSchema.partial();
+
+const messageTemplatePreviewSchema = z.object({
+  title: messageTemplateText.optional(),
+  body: messageTemplateText,
+  customerId: z.string().optional(), // Данные настоящего клиента вместо тестовых
+});
+
+// Сохраненные шаблоны и переменные, доступные в {{...}}
+app.get("/api/admin/message-templates", authenticateOwnerToken, async (_req, res) => {
+  try {
+    const templates = await prisma.messageTemplate.findMany({ orderBy: { name: "asc" } });
+    return res.json({ variables: TEMPLATE_SAMPLE_VARIABLES, templates });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении шаблонов." });
+  }
+});
+
+app.post("/api/admin/message-templates", authenticateOwnerToken, async (req, res) => {
+  try {
+    const data = messageTemplateSchema.parse(req.body);
+    const template = await prisma.messageTemplate.create({ data });
+    return res.status(201).json(template);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return res.status(409).json({ message: "Шаблон с таким названием уже существует.", error: "TEMPLATE_NAME_TAKEN" });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при создании шаблона." });
+  }
+});
+
+// Уже поставленные рассылки хранят свою копию текста - правка шаблона на них не влияет
+app.patch("/api/admin/message-templates/:id", authenticateOwnerToken, async (req, res) => {
+  try {
+    const data = messageTemplateUpdateSchema.parse(req.body);
+    const template = await prisma.messageTemplate.update({ where: { id: req.params.id }, data });
+    return res.json(template);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return res.status(409).json({ message: "Шаблон с таким названием уже существует.", error: "TEMPLATE_NAME_TAKEN" });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2025") {
+      return res.status(404).json({ message: "Шаблон сообщения не найден." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при обновлении шаблона." });
+  }
+});
+
+app.delete("/api/admin/message-templates/:id", authenticateOwnerToken, async (req, res) => {
+  try {
+    await prisma.messageTemplate.delete({ where: { id: req.params.id } });
+    return res.json({ success: true });
+  } catch (error) {
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2025") {
+      return res.status(404).json({ message: "Шаблон сообщения не найден." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при удалении шаблона." });
+  }
+});
+
+// Предпросмотр текста для одного получателя (тестовые данные или customerId) и длина SMS.
+// Длина у каждого клиента своя: длинное имя или город может добавить SMS часть.
+app.post("/api/admin/message-templates/preview", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { title, body, customerId } = messageTemplatePreviewSchema.parse(req.body);
+
+    let variables = TEMPLATE_SAMPLE_VARIABLES;
+    if (customerId) {
+      const customer = await prisma.customer.findUnique({ where: { id: customerId } });
+      if (!customer) {
+        return res.status(404).json({ message: "Клиент не найден." });
+      }
+      variables = getCustomerTemplateVariables(customer);
+    }
+
+    const renderedBody = renderMessageTemplate(body, variables);
+    return res.json({
+      title: title === undefined ? null : renderMessageTemplate(title, variables),
+      body: renderedBody,
+      variables,
+      // Текст SMS рассылки - это body (заголовок по SMS не уходит)
+      sms: estimateSmsSegments(renderedBody),
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при предпросмотре шаблона." });
+  }
+});
+
+// ===================================================
+// === API: ОТКАЗЫ ДОСТАВКИ EMAIL (админ) ===
+// ===================================================
+
+const emailBounceSchema = z.object({
+  email: z.string().email(),
+  reason: z.string().min(1).max(500),
+});
+
+// Клиенты, которым письма не доставляются
+app.get("/api/admin/email-bounces", authenticateOwnerToken, async (_req, res) => {
+  try {
+    const customers = await prisma.customer.findMany({
+      where: { emailBouncedAt: { not: null } },
+      select: { id: true, firstName: true, lastName: true, email: true, emailBouncedAt: true, emailBounceReason: true },
+      orderBy: { emailBouncedAt: "desc" },
+    });
+    return res.json(customers);
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении отказов доставки." });
+  }
+});
+
+// Отказ, пришедший позже отправки: отчет о недоставке или вебхук почтового сервиса
+app.post("/api/admin/email-bounces", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { email, reason } = emailBounceSchema.parse(req.body);
+    const marked = await recordEmailBounce(email, reason);
+    if (marked === 0) {
+      return res.status(404).json({ message: "Клиенты с таким email не найдены." });
+    }
+    return res.json({ success: true, marked });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при отметке отказа доставки." });
+  }
+});
+
+// Снять отметку вручную (клиент подтвердил, что ящик снова работает)
+app.delete("/api/admin/email-bounces/:customerId", authenticateOwnerToken, async (req, res) => {
+  try {
+    const { count } = await prisma.customer.updateMany({
+      where: { id: req.params.customerId },
+      data: { emailBouncedAt: null, emailBounceReason: null },
+    });
+    if (count === 0) {
+      return res.status(404).json({ message: "Клиент не найден." });
+    }
+    return res.json({ success: true });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при снятии отметки отказа." });
+  }
+});
+
+// ===================================================
+// === API: ПРЕДПРОСМОТР ШАБЛОНОВ ПИСЕМ (админ) ===
+// ===================================================
+
+// Список шаблонов с языками и тестовыми переменными
+app.get("/api/admin/mail/templates", authenticateOwnerToken, (_req, res) => {
+  return res.json({
+    transport: MAIL_TRANSPORT,
+    templates: Object.entries(MAIL_TEMPLATES).map(([name, template]) => ({
+      name,
+      locales: SUPPORTED_LOCALES.filter(hasMessages),
+      sample: template.sample,
+    })),
+  });
+});
+
+const mailPreviewSchema = z.object({
+  locale: z.string().min(2).max(10).optional(),
+  vars: z.record(z.string(), z.any()).optional(),
+  format: z.enum(['json', 'html', 'text']).default('json'),
+});
+
+// Предпросмотр: тестовые переменные шаблона, поверх - переданные в vars.
+// format=html/text отдает готовое письмо, чтобы открыть его прямо в браузере.
+app.post("/api/admin/mail/preview/:template", authenticateOwnerToken, (req, res) => {
+  try {
+    // Только собственные ключи: "constructor", "toString" и т.п. - не шаблоны
+    const template = Object.hasOwn(MAIL_TEMPLATES, req.params.template) ? MAIL_TEMPLATES[req.params.template] : null;
+    if (!template) {
+      return res.status(404).json({ message: "Шаблон не найден." });
+    }
+
+    const { locale, vars, format } = mailPreviewSchema.parse(req.body ?? {});
+    const rendered = renderMailTemplate(req.params.template, { ...template.sample, ...vars }, locale);
+
+    if (format === 'html') return res.type('html').send(rendered.html);
+    if (format === 'text') return res.type('text').send(rendered.text);
+    return res.json(rendered);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при сборке письма." });
+  }
+});
+
+// ===================================================
+// === API: РЕФЕРАЛЫ (админ) ===
+// ===================================================
+
+// Дерево приглашений: корни - клиенты, которых никто не приглашал, но которые приглашали сами.
+// ?rootId=... - поддерево одного клиента.
+app.get("/api/admin/referrals", authenticateOwnerToken, async (req, res) => {
+  try {
+    const customers = await prisma.customer.findMany({
+      where: { OR: [{ referredById: { not: null } }, { referrals: { some: {} } }] },
+      orderBy: { createdAt: "asc" },
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        discountCode: true,
+        isVerified: true,
+        referredById: true,
+        createdAt: true,
+        referralBonus: { select: { code: true, createdAt: true } },
+        _count: { select: { bonusCodes: { where: { reason: "REFERRAL" } } } },
+      },
+    });
+
+    const nodes = new Map(customers.map(({ _count, referralBonus, ...customer }) => [customer.id, {
+      ...customer,
+      // Бонус, выданный пригласившему за этого клиента
+      rewardCode: referralBonus?.code ?? null,
+      rewardedAt: referralBonus?.createdAt ?? null,
+      referralBonusCount: _count.bonusCodes,
+      referralCount: 0,
+      verifiedReferralCount: 0,
+      referrals: [],
+    }]));
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.referredById ? nodes.get(node.referredById) : null;
+      if (parent) {
+        parent.referrals.push(node);
+        parent.referralCount += 1;
+        if (node.isVerified) parent.verifiedReferralCount += 1;
+      } else {
+        roots.push(node);
+      }
+    }
+
+    if (req.query.rootId) {
+      const root = nodes.get(req.query.rootId);
+      if (!root) {
+        return res.status(404).json({ message: "Клиент не участвует в реферальной программе." });
+      }
+      return res.json({ tree: [root] });
+    }
+
+    const topReferrers = [...nodes.values()]
+      .filter((node) => node.referralCount > 0)
+      .sort((a, b) => b.referralCount - a.referralCount)
+      .slice(0, 10)
+      .map(({ referrals, ...node }) => node);
+
+    return res.json({
+      totals: {
+        referredCustomers: customers.filter((customer) => customer.referredById).length,
+        verifiedReferredCustomers: customers.filter((customer) => customer.referredById && customer.isVerified).length,
+        bonusCodesIssued: customers.filter((customer) => customer.referralBonus).length,
+      },
+      topReferrers,
+      tree: roots,
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении рефералов." });
+  }
+});
+
+// ===================================================
+// === API: БАЛЛЫ ЛОЯЛЬНОСТИ ===
+// ===================================================
+
+// Баллы за визит, если кассир не указал другое количество
+const LOYALTY_POINTS_PER_VISIT = Number(process.env.LOYALTY_POINTS_PER_VISIT) || 10;
+
+/**
+ * Уровни программы лояльности: "порог:скидка%" через запятую.
+ * За достижение каждого порога (по сумме всех начисленных баллов) выдается бонусный код.
+ */
+const LOYALTY_TIERS = (process.env.LOYALTY_TIERS || "100:10,250:15,500:20")
+  .split(",")
+  .map((tier) => tier.split(":").map(Number))
+  .filter(([threshold, discountValue]) => threshold > 0 && discountValue > 0)
+  .map(([threshold, discountValue]) => ({ threshold, discountValue }))
+  .sort((a, b) => a.threshold - b.threshold);
+
+const LOYALTY_PROMO_PREFIX = "VIP-";
+
+const pointsCustomerSchema = z.object({
+  phoneNumber: z.string().min(6).max(20).optional(),
+  code: z.string().min(1).max(32).optional(), // Промокод клиента (основной или бонусный)
+}).refine((data) => data.phoneNumber || data.code, { message: "Укажите телефон или промокод клиента." });
+
+const pointsAwardSchema = pointsCustomerSchema.and(z.object({
+  points: z.number().int().positive().max(10000).optional(),
+  reason: z.string().min(1).max(200).optional(),
+}));
+
+const pointsSpendSchema = pointsCustomerSchema.and(z.object({
+  points: z.number().int().positive().max(100000),
+  reason: z.string().min(1).max(200),
+}));
+
+const pointsAdjustSchema = z.object({
+  customerId: z.string().cuid(),
+  points: z.number().int().refine((points) => points !== 0, { message: "Корректировка не может быть нулевой." }),
+  reason: z.string().min(1).max(200),
+});
+
+/**
+ * Находит клиента по телефону или по любому из его промокодов.
+ * @returns {Promise<object | null>}
+ */
+async function findPointsCustomer({ phoneNumber, code }) {
+  if (phoneNumber) {
+    return findCustomerByPhone(phoneNumber);
+  }
+  const normalized = normalizePromoCode(code);
+  const customer = await prisma.customer.findUnique({ where: { discountCode: normalized } });
+  if (customer) return customer;
+  const bonusCode = await prisma.bonusCode.findUnique({ where: { code: normalized }, include: { customer: true } });
+  return bonusCode?.customer ?? null;
+}
+
+/**
+ * Баланс и сумма начисленных баллов клиента.
+ * @returns {Promise<{ balance: number, lifetimeEarned: number }>}
+ */
+async function getPointsSummary(customerId, db = prisma) {
+  const [total, earned] = await Promise.all([
+    db.pointsEntry.aggregate({ where: { customerId }, _sum: { points: true } }),
+    db.pointsEntry.aggregate({ where: { customerId, type: "EARN" }, _sum: { points: true } }),
+  ]);
+  return { balance: total._sum.points ?? 0, lifetimeEarned: earned._sum.points ?? 0 };
+}
+
+/**
+ * Текущий и следующий уровни по сумме начисленных баллов.
+ */
+function describeLoyaltyTier(lifetimeEarned) {
+  const reached = LOYALTY_TIERS.filter((tier) => lifetimeEarned >= tier.threshold);
+  const next = LOYALTY_TIERS.find((tier) => lifetimeEarned < tier.threshold) || null;
+  return {
+    tier: reached.length > 0 ? reached[reached.length - 1] : null,
+    nextTier: next ? { ...next, pointsNeeded: next.threshold - lifetimeEarned } : null,
+  };
+}
+
+/**
+ * Выдает бонусные коды за все достигнутые, но еще не награжденные уровни.
+ * Уникальный индекс (customerId, loyaltyTier) не дает выдать код за уровень дважды.
+ * @returns {Promise<object[]>} новые бонусные коды
+ */
+async function issueLoyaltyTierCodes(customer, lifetimeEarned) {
+  const issued = [];
+  for (const tier of LOYALTY_TIERS.filter(({ threshold }) => lifetimeEarned >= threshold)) {
+    try {
+      const bonusCode = await prisma.bonusCode.create({
+        data: {
+          code: await generateUniqueDiscountCode(LOYALTY_PROMO_PREFIX),
+          customerId: customer.id,
+          reason: "LOYALTY_TIER",
+          loyaltyTier: tier.threshold,
+          discountType: "PERCENT",
+          discountValue: tier.discountValue,
+          expiresAt: new Date(Date.now() + PROMO_CODE_VALIDITY_DAYS * DAY_MS),
+        },
+      });
+      issued.push(bonusCode);
+    } catch (error) {
+      // Код за этот уровень уже выдан раньше
+      if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") continue;
+      throw error;
+    }
+  }
+
+  if (issued.length > 0) {
+    await notifyCustomer(customer, {
+      template: 'promo',
+      vars: {
+        reason: 'LOYALTY_TIER',
+        firstName: customer.firstName,
+        points: lifetimeEarned,
+        // Обычно уровень один, но при крупном начислении можно перескочить несколько
+        code: issued.map((bonusCode) => `${bonusCode.code} (-${bonusCode.discountValue}%)`).join(", "),
+      },
+    });
+  }
+  return issued;
+}
+
+function sendPointsError(res, error) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+  }
+  console.error(error);
+  return res.status(500).json({ message: "Ошибка сервера при работе с баллами." });
+}
+
+// Начисление баллов за визит (кассир): по телефону или промокоду клиента
+app.post("/api/points/award", authenticateStaffToken, async (req, res) => {
+  try {
+    const data = pointsAwardSchema.parse(req.body);
+    const customer = await findPointsCustomer(data);
+    if (!customer) {
+      return res.status(404).json({ message: "Клиент не найден." });
+    }
+    if (!customer.isVerified) {
+      return res.status(409).json({ message: "Клиент еще не прошел верификацию." });
+    }
+
+    const entry = await prisma.pointsEntry.create({
+      data: {
+        customerId: customer.id,
+        type: "EARN",
+        points: data.points ?? LOYALTY_POINTS_PER_VISIT,
+        reason: data.reason || "Визит",
+        staffId: req.staff.id,
+        staffName: req.staff.name,
+      },
+    });
+
+    const summary = await getPointsSummary(customer.id);
+    const issuedCodes = await issueLoyaltyTierCodes(customer, summary.lifetimeEarned);
+
+    return res.status(201).json({
+      message: `Начислено баллов: ${entry.points}.`,
+      entry,
+      customer: toPromoCustomer(customer),
+      ...summary,
+      ...describeLoyaltyTier(summary.lifetimeEarned),
+      issuedCodes: issuedCodes.map(({ code, discountValue, expiresAt }) => ({ code, discountValue, expiresAt })),
+    });
+  } catch (error) {
+    return sendPointsError(res, error);
+  }
+});
+
+// Списание баллов (кассир)
+app.post("/api/points/spend", authenticateStaffToken, async (req, res) => {
+  try {
+    const data = pointsSpendSchema.parse(req.body);
+    const customer = await findPointsCustomer(data);
+    if (!customer) {
+      return res.status(404).json({ message: "Клиент не найден." });
+    }
+
+    // Проверка баланса и списание в одной транзакции, чтобы не уйти в минус при параллельных запросах
+    const entry = await prisma.$transaction(async (tx) => {
+      const { balance } = await getPointsSummary(customer.id, tx);
+      if (balance < data.points) return null;
+      return tx.pointsEntry.create({
+        data: {
+          customerId: customer.id,
+          type: "SPEND",
+          points: -data.points,
+          reason: data.reason,
+          staffId: req.staff.id,
+          staffName: req.staff.name,
+        },
+      });
+    });
+
+    const summary = await getPointsSummary(customer.id);
+    if (!entry) {
+      return res.status(409).json({ message: "Недостаточно баллов.", ...summary });
+    }
+
+    return res.status(201).json({
+      message: `Списано баллов: ${data.points}.`,
+      entry,
+      customer: toPromoCustomer(customer),
+      ...summary,
+    });
+  } catch (error) {
+    return sendPointsError(res, error);
+  }
+});
+
+// Ручная корректировка баланса (администратор)
+app.post("/api/admin/points/adjust", authenticateOwnerToken, async (req, res) => {
+  try {
+    const data = pointsAdjustSchema.parse(req.body);
+    const customer = await prisma.customer.findUnique({ where: { id: data.customerId } });
+    if (!customer) {
+      return res.status(404).json({ message: "Клиент не найден." });
+    }
+
+    const entry = await prisma.pointsEntry.create({
+      data: {
+        customerId: customer.id,
+        type: "ADJUST",
+        points: data.points,
+        reason: data.reason,
+        staffId: req.owner.id,
+        staffName: req.owner.email,
+      },
+    });
+
+    return res.status(201).json({ entry, ...(await getPointsSummary(customer.id)) });
+  } catch (error) {
+    return sendPointsError(res, error);
+  }
+});
+
+// Журнал баллов клиента (администратор)
+app.get("/api/admin/points/:customerId", authenticateOwnerToken, async (req, res) => {
+  try {
+    const entries = await prisma.pointsEntry.findMany({
+      where: { customerId: req.params.customerId },
+      orderBy: { createdAt: "desc" },
+    });
+    const summary = await getPointsSummary(req.params.customerId);
+    return res.json({ entries, ...summary, ...describeLoyaltyTier(summary.lifetimeEarned) });
+  } catch (error) {
+    return sendPointsError(res, error);
+  }
+});
+
+// ===================================================
+// === API: ЛИЧНЫЙ КАБИНЕТ КЛИЕНТА (вход по SMS) ===
+// ===================================================
+
+const ME_LOGIN_MAX_ATTEMPTS = 5;
+// Сколько кодов входа можно отправить на один номер за час (кроме паузы между отправками)
+const ME_LOGIN_MAX_CODES_PER_HOUR = 5;
+
+const isLoginLocked = (customer) => Boolean(customer.loginLockedUntil && customer.loginLockedUntil > new Date());
+
+/**
+ * Резервирует попытку ввода кода входа до его проверки: счетчик увеличивается условным updateMany,
+ * поэтому параллельные неверные коды не обходят лимит.
+ * @param {object} customer
+ * @returns {Promise<boolean>} false - попытки исчерпаны, вход заблокирован
+ */
+async function reserveLoginAttempt(customer) {
+  // Блокировка истекла - считаем попытки заново (условие по старому сроку: сбросит только один запрос)
+  if (customer.loginLockedUntil && !isLoginLocked(customer)) {
+    await prisma.customer.updateMany({
+      where: { id: customer.id, loginLockedUntil: customer.loginLockedUntil },
+      data: { loginLockedUntil: null, loginCodeAttempts: 0 },
+    });
+  }
+
+  const { count } = await prisma.customer.updateMany({
+    where: { id: customer.id, loginCodeAttempts: { lt: ME_LOGIN_MAX_ATTEMPTS } },
+    data: { loginCodeAttempts: { increment: 1 } },
+  });
+  if (count === 0) await lockLogin(customer.id);
+  return count > 0;
+}
+
+// Блокирует вход на VERIFICATION_LOCK_MINUTES и гасит коды. Счетчик не сбрасывается до конца блокировки
+async function lockLogin(customerId) {
+  await prisma.customer.updateMany({
+    where: { id: customerId, loginLockedUntil: null },
+    data: { loginLockedUntil: new Date(Date.now() + VERIFICATION_LOCK_MINUTES * 60 * 1000) },
+  });
+  await revokeVerificationChallenges(customerId, { channel: 'PHONE', purpose: 'LOGIN' });
+}
+
+const meLoginRequestSchema = z.object({
+  phoneNumber: z.string().min(6).max(20),
+  country: z.string().length(2).optional(), // Для номера без кода страны (иначе DEFAULT_PHONE_COUNTRY)
+});
+
+const meLoginConfirmSchema = z.object({
+  phoneNumber: z.string().min(6).max(20),
+  country: z.string().length(2).optional(),
+  code: z.string().length(4),
+});
+
+// Шаг 1: отправка одноразового кода на телефон
+app.post("/api/me/login/request", async (req, res) => {
+  try {
+    const { phoneNumber, country } = meLoginRequestSchema.parse(req.body);
+    const customer = await findCustomerByPhone(phoneNumber, country);
+
+    // Одинаковый ответ, чтобы по эндпоинту нельзя было проверить, зарегистрирован ли номер
+    const response = { message: "Если номер зарегистрирован, на него отправлен код входа." };
+    if (!customer || !customer.isVerified) {
+      return res.status(200).json(response);
+    }
+
+    // Во время паузы между отправками, блокировки входа или сверх лимита за час молча не шлем новый код - ответ тот же
+    if (isLoginLocked(customer) || await getResendCooldown(customer.phoneNumber) > 0) {
+      return res.status(200).json(response);
+    }
+    const sentLastHour = await prisma.verificationChallenge.count({
+      where: {
+        recipient: customer.phoneNumber,
+        purpose: 'LOGIN',
+        createdAt: { gt: new Date(Date.now() - 60 * 60 * 1000) },
+      },
+    });
+    if (sentLastHour >= ME_LOGIN_MAX_CODES_PER_HOUR) {
+      return res.status(200).json(response);
+    }
+
+    const { code } = await issueVerificationChallenge(customer.id, {
+      channel: 'PHONE',
+      purpose: 'LOGIN',
+      recipient: customer.phoneNumber,
+    });
+    await sendVerificationCode('phone', customer.phoneNumber, code, { locale: customer.locale });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные." });
+    }
+    if (error.message === "SMS_NOT_CONFIGURED") {
+      return res.status(500).json({ message: "Ошибка: SMS-шлюз не настроен." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при отправке кода." });
+  }
+});
+
+// Шаг 2: проверка кода и выдача токена клиента
+app.post("/api/me/login/confirm", async (req, res) => {
+  try {
+    const { phoneNumber, country, code } = meLoginConfirmSchema.parse(req.body);
+    const customer = await findCustomerByPhone(phoneNumber, country);
+
+    // Во время блокировки ответ тот же, что и на неверный код: по нему не видно, зарегистрирован ли номер
+    if (!customer || isLoginLocked(customer) || !(await reserveLoginAttempt(customer))) {
+      return res.status(400).json({ message: "Неверный или просроченный код." });
+    }
+
+    const result = await consumeVerificationChallenge(customer.id, { channel: 'PHONE', purpose: 'LOGIN' }, code);
+    if (result !== 'OK') {
+      if (result !== 'CODE_INVALID') {
+        // Код не отправлен или истек - это не попытка подбора, возвращаем ее
+        await prisma.customer.update({ where: { id: customer.id }, data: { loginCodeAttempts: { decrement: 1 } } });
+      } else {
+        // Последняя попытка исчерпана - блокируем вход по времени
+        const { loginCodeAttempts } = await prisma.customer.findUnique({
+          where: { id: customer.id },
+          select: { loginCodeAttempts: true },
+        });
+        if (loginCodeAttempts >= ME_LOGIN_MAX_ATTEMPTS) await lockLogin(customer.id);
+      }
+      return res.status(400).json({ message: "Неверный или просроченный код." });
+    }
+
+    await prisma.customer.update({
+      where: { id: customer.id },
+      data: { loginCodeAttempts: 0, loginLockedUntil: null },
+    });
+
+    const token = jwt.sign({ customerId: customer.id, role: TOKEN_ROLES.CUSTOMER }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    return res.status(200).json({ token, customer: toPromoCustomer(customer) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные." });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при входе." });
+  }
+});
+
+// Баллы клиента: баланс, уровень и последние операции
+app.get("/api/me/points", authenticateCustomerToken, async (req, res) => {
+  try {
+    const [summary, entries, tierCodes] = await Promise.all([
+      getPointsSummary(req.customerId),
+      prisma.pointsEntry.findMany({
+        where: { customerId: req.customerId },
+        orderBy: { createdAt: "desc" },
+        take: 20,
+        select: { type: true, points: true, reason: true, createdAt: true },
+      }),
+      prisma.bonusCode.findMany({
+        where: { customerId: req.customerId, reason: "LOYALTY_TIER" },
+        orderBy: { loyaltyTier: "asc" },
+        select: { code: true, loyaltyTier: true, discountValue: true, expiresAt: true },
+      }),
+    ]);
+
+    return res.json({
+      ...summary,
+      ...describeLoyaltyTier(summary.lifetimeEarned),
+      tiers: LOYALTY_TIERS,
+      tierCodes,
+      entries,
+    });
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении баллов." });
+  }
+});
+
+// ===================================================
+// === API: ПРОФИЛЬ КЛИЕНТА (личный кабинет) ===
+// ===================================================
+
+/**
+ * Профиль клиента для личного кабинета: данные, согласия, статус верификации и промокоды.
+ * @param {string} customerId
+ * @returns {Promise<object | null>}
+ */
+async function getCustomerProfile(customerId) {
+  const customer = await prisma.customer.findUnique({
+    where: { id: customerId },
+    include: {
+      bonusCodes: { orderBy: { createdAt: "desc" } },
+      redemptions: { select: { code: true, redeemedAt: true } },
+    },
+  });
+  if (!customer) return null;
+
+  const promo = await resolvePromoCode(customer.discountCode);
+  const redeemedAt = new Map(customer.redemptions.map((redemption) => [redemption.code, redemption.redeemedAt]));
+
+  return {
+    id: customer.id,
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    phoneNumber: customer.phoneNumber,
+    email: customer.email,
+    country: customer.country,
+    city: customer.city,
+    street: customer.street,
+    postalCode: customer.postalCode,
+    houseNumber: customer.houseNumber,
+    birthDate: customer.birthDate,
+    preferredFood: customer.preferredFood,
+    locale: customer.locale,
+    consentEmail: customer.consentEmail,
+    consentSms: customer.consentSms,
+    consentGivenAt: customer.consentGivenAt,
+    isVerified: customer.isVerified,
+    isPhoneVerified: customer.isPhoneVerified,
+    isEmailVerified: customer.isEmailVerified,
+    emailBounced: Boolean(customer.emailBouncedAt),
+    // Какие каналы нужно подтвердить по текущей политике (после смены телефона/email)
+    verificationChannels: getVerificationChannels(customer),
+    discountCode: {
+      code: customer.discountCode,
+      status: promo.error ?? "VALID",
+      expiresAt: promo.expiresAt ?? null,
+      ...promo.discount,
+      redeemedAt: redeemedAt.get(customer.discountCode) ?? null,
+    },
+    bonusCodes: customer.bonusCodes.map((bonusCode) => ({
+      code: bonusCode.code,
+      reason: bonusCode.reason,
+      discountType: bonusCode.discountType,
+      discountValue: bonusCode.discountValue,
+      expiresAt: bonusCode.expiresAt,
+      redeemedAt: redeemedAt.get(bonusCode.code) ?? null,
+    })),
+    createdAt: customer.createdAt,
+  };
+}
+
+/**
+ * Отправляет код подтверждения нового телефона/email, указанного в личном кабинете.
+ * Подтверждение идет через обычные /api/verify/confirm (и /api/verify/send для повтора).
+ * @param {object} customer - клиент с уже сохраненным новым контактом
+ * @param {'phone' | 'email'} type
+ * @returns {Promise<'SENT' | 'RESEND_COOLDOWN' | 'FAILED'>}
+ */
+async function sendReverificationCode(customer, type) {
+  const fields = VERIFICATION_FIELDS[type];
+  const recipient = customer[fields.recipient];
+
+  if (await getResendCooldown(recipient) > 0) return 'RESEND_COOLDOWN';
+  try {
+    const { code, challenge } = await issueVerificationChallenge(customer.id, { channel: fields.channel, recipient });
+    await sendVerificationCode(type, recipient, code, {
+      verificationLink: type === 'email' ? buildVerificationLink(challenge) : undefined,
+      locale: customer.locale,
+    });
+    return 'SENT';
+  } catch (error) {
+    console.error(`Ошибка отправки кода для ${customer.id} (${type}):`, error.message);
+    return 'FAILED';
+  }
+}
+
+const optionalText = (max) => z.string().max(max).nullable().optional();
+
+const meProfileUpdateSchema = z.object({
+  firstName: z.string().min(1).max(100).optional(),
+  lastName: z.string().min(1).max(100).optional(),
+  phoneNumber: z.string().min(6).max(20).optional(),
+  email: z.string().email().nullable().optional(), // null - удалить email
+  country: z.string().length(2).optional(),
+  city: optionalText(100),
+  street: optionalText(200),
+  postalCode: optionalText(20),
+  houseNumber: optionalText(20),
+  preferredFood: optionalText(500),
+  locale: z.string().max(10).optional(),
+  consentEmail: z.boolean().optional(),
+  consentSms: z.boolean().optional(),
+});
+
+// Профиль текущего клиента
+app.get("/api/me", authenticateCustomerToken, async (req, res) => {
+  try {
+    const profile = await getCustomerProfile(req.customerId);
+    if (!profile) {
+      return res.status(404).json({ message: "Клиент не найден." });
+    }
+    return res.json(profile);
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при получении профиля." });
+  }
+});
+
+// Изменение профиля. Новый телефон или email снова нужно подтвердить кодом:
+// статус канала сбрасывается, код уходит на новый адрес. Промокод при этом остается действующим.
+app.patch("/api/me", authenticateCustomerToken, async (req, res) => {
+  try {
+    const { phoneNumber, email, locale, consentEmail, consentSms, ...fields } = meProfileUpdateSchema.parse(req.body);
+
+    const customer = await prisma.customer.findUnique({ where: { id: req.customerId } });
+    if (!customer) {
+      return res.status(404).json({ message: "Клиент не найден." });
+    }
+
+    const updateData = { ...fields };
+    const changedChannels = [];
+    const warnings = [];
+
+    if (locale !== undefined) {
+      updateData.locale = resolveLocale(locale);
+    }
+
+    if (phoneNumber !== undefined) {
+      const phone = normalizePhoneNumber(phoneNumber, fields.country ?? customer.country);
+      if (!phone) {
+        return res.status(400).json({ message: PHONE_ERRORS.PHONE_INVALID, error: "PHONE_INVALID" });
+      }
+      if (phone.e164 !== customer.phoneNumber) {
+        if (!phone.smsCapable && getVerificationChannels(customer).includes('phone')) {
+          return res.status(400).json({ message: PHONE_ERRORS.PHONE_NOT_MOBILE, error: "PHONE_NOT_MOBILE" });
+        }
+        if (await prisma.customer.findUnique({ where: { phoneNumber: phone.e164 } })) {
+          return res.status(409).json({ message: "Этот номер уже используется другим клиентом.", error: "PHONE_TAKEN" });
+        }
+        Object.assign(updateData, { phoneNumber: phone.e164, isPhoneVerified: false, phoneCodeAttempts: 0 });
+        changedChannels.push('phone');
+      }
+    }
+
+    if (email !== undefined && email !== customer.email) {
+      if (email) {
+        const emailCheck = checkEmailAddress(email);
+        if (emailCheck.error) {
+          return res.status(400).json({ message: EMAIL_ERRORS[emailCheck.error], error: emailCheck.error });
+        }
+        if (emailCheck.suggestion) {
+          warnings.push({
+            field: "email",
+            code: "EMAIL_TYPO",
+            suggestion: emailCheck.suggestion,
+            message: `Возможно, вы имели в виду ${emailCheck.suggestion}?`,
+          });
+        }
+      } else if (VERIFICATION_POLICY === 'email') {
+        return res.status(400).json({ message: "Для верификации требуется email.", error: "EMAIL_REQUIRED" });
+      }
+      Object.assign(updateData, {
+        email,
+        isEmailVerified: false,
+        emailCodeAttempts: 0,
+        emailBouncedAt: null,
+        emailBounceReason: null,
+      });
+      if (email) changedChannels.push('email');
+    }
+
+    if (consentEmail !== undefined) updateData.consentEmail = consentEmail;
+    if (consentSms !== undefined) updateData.consentSms = consentSms;
+    // Новое согласие фиксируем временем его получения
+    if ((consentEmail && !customer.consentEmail) || (consentSms && !customer.consentSms)) {
+      updateData.consentGivenAt = new Date();
+    }
+
+    // Коды, отправленные на прежний номер/email, больше не подтверждают новый
+    for (const type of changedChannels) {
+      await revokeVerificationChallenges(customer.id, { channel: VERIFICATION_FIELDS[type].channel });
+    }
+
+    const updated = await prisma.customer.update({ where: { id: customer.id }, data: updateData });
+
+    const verification = {};
+    for (const type of changedChannels.filter((channel) => getVerificationChannels(updated).includes(channel))) {
+      verification[type] = await sendReverificationCode(updated, type);
+    }
+
+    return res.json({ ...(await getCustomerProfile(customer.id)), verification, warnings });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ message: "Некорректные данные.", errors: error.flatten() });
+    }
+    // Номер успели занять между проверкой и сохранением
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return res.status(409).json({ message: "Этот номер уже используется другим клиентом.", error: "PHONE_TAKEN" });
+    }
+    console.error(error);
+    return res.status(500).json({ message: "Ошибка сервера при обновлении профиля." });
+  }
+});
+
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  // Продолжаем рассылки, прерванные перезапуском
+  broadcastWorker.start().catch((error) => console.error('Ошибка запуска очереди рассылок:', error));
 });
@@ -0,0 +1,105 @@
+// services/audienceSegments.js
+
+// Сегменты аудитории для рассылок: сохраненный набор фильтров по полям Customer.
+// Состав сегмента не хранится - он вычисляется заново при каждом просмотре и при отправке рассылки,
+// поэтому новые клиенты, подходящие под фильтры, попадают и в запланированную заранее рассылку.
+// Большая часть фильтров переводится в условие Prisma; город и диапазон индексов проверяются в коде
+// (SQLite сравнивает строки с учетом регистра, а индексы разных стран по-разному записаны).
+
+import { z } from 'zod';
+
+export const segmentFiltersSchema = z.object({
+  countries: z.array(z.string().length(2)).min(1).optional(), // ISO-коды: ["NL", "BE"]
+  cities: z.array(z.string().min(1)).min(1).optional(), // Без учета регистра и пробелов по краям
+  postalCodeFrom: z.string().regex(/^\d+$/).optional(), // Диапазон по цифрам в начале индекса: "1000"-"1099"
+  postalCodeTo: z.string().regex(/^\d+$/).optional(),
+  preferredFood: z.array(z.string().min(1)).min(1).optional(), // Любое из слов в предпочтениях
+  ageMin: z.number().int().min(0).max(120).optional(), // Возраст по birthDate; без даты рождения клиент не подходит
+  ageMax: z.number().int().min(0).max(120).optional(),
+  registeredAfter: z.coerce.date().optional(), // createdAt >= registeredAfter
+  registeredBefore: z.coerce.date().optional(), // createdAt < registeredBefore
+  isVerified: z.boolean().optional(),
+  consentSms: z.boolean().optional(),
+  consentEmail: z.boolean().optional(),
+}).strict()
+  .refine((filters) => filters.ageMin === undefined || filters.ageMax === undefined || filters.ageMin <= filters.ageMax, {
+    message: "ageMin больше ageMax.",
+    path: ["ageMax"],
+  });
+
+/** Дата, раньше которой (включительно) родились те, кому уже исполнилось years лет. */
+function bornYearsAgo(now, years) {
+  const date = new Date(now);
+  date.setFullYear(date.getFullYear() - years);
+  return date;
+}
+
+/** Условие Prisma по фильтрам, которые умеет база. */
+function buildSegmentWhere(filters, now) {
+  const where = [];
+
+  if (filters.countries) where.push({ country: { in: filters.countries.map((country) => country.toUpperCase()) } });
+  if (filters.isVerified !== undefined) where.push({ isVerified: filters.isVerified });
+  if (filters.consentSms !== undefined) where.push({ consentSms: filters.consentSms });
+  if (filters.consentEmail !== undefined) where.push({ consentEmail: filters.consentEmail });
+  if (filters.registeredAfter) where.push({ createdAt: { gte: filters.registeredAfter } });
+  if (filters.registeredBefore) where.push({ createdAt: { lt: filters.registeredBefore } });
+  if (filters.ageMin !== undefined) where.push({ birthDate: { lte: bornYearsAgo(now, filters.ageMin) } });
+  if (filters.ageMax !== undefined) where.push({ birthDate: { gt: bornYearsAgo(now, filters.ageMax + 1) } });
+  // contains в SQLite - LIKE, для латиницы без учета регистра
+  if (filters.preferredFood) {
+    where.push({ OR: filters.preferredFood.map((word) => ({ preferredFood: { contains: word.trim() } })) });
+  }
+
+  return where.length > 0 ? { AND: where } : {};
+}
+
+/** Числовое начало индекса: "1011 AB" -> 1011; null - индекс не начинается с цифр. */
+function postalCodeNumber(postalCode) {
+  const digits = postalCode?.trim().match(/^\d+/);
+  return digits ? Number(digits[0]) : null;
+}
+
+/** Фильтры, которые проверяются в коде (город, диапазон индексов). */
+function matchesInCode(customer, filters) {
+  if (filters.cities) {
+    const city = customer.city?.trim().toLowerCase();
+    if (!city || !filters.cities.some((name) => name.trim().toLowerCase() === city)) return false;
+  }
+
+  if (filters.postalCodeFrom || filters.postalCodeTo) {
+    const postalCode = postalCodeNumber(customer.postalCode);
+    if (postalCode === null) return false;
+    if (filters.postalCodeFrom && postalCode < Number(filters.postalCodeFrom)) return false;
+    if (filters.postalCodeTo && postalCode > Number(filters.postalCodeTo)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Разбирает фильтры сегмента, сохраненные строкой JSON в AudienceSegment.filters.
+ * @param {string} value
+ * @returns {z.infer<typeof segmentFiltersSchema>}
+ */
+export function parseSegmentFilters(value) {
+  return segmentFiltersSchema.parse(JSON.parse(value));
+}
+
+/**
+ * Клиенты, подходящие под фильтры сегмента, на текущий момент.
+ * @param {import('../generated/prisma/index.js').PrismaClient} prisma
+ * @param {z.infer<typeof segmentFiltersSchema>} filters
+ * @param {{ where?: object, select?: object }} [options]
+ *   where - дополнительное условие (например, есть email для рассылки по почте); select - нужные поля
+ * @returns {Promise<object[]>} клиенты в порядке регистрации
+ */
+export async function findSegmentCustomers(prisma, filters, { where = {}, select } = {}) {
+  const customers = await prisma.customer.findMany({
+    where: { AND: [buildSegmentWhere(filters, new Date()), where] },
+    // Поля для проверки в коде нужны всегда, даже если вызывающему они не интересны
+    ...(select && { select: { ...select, city: true, postalCode: true } }),
+    orderBy: { createdAt: 'asc' },
+  });
+  return customers.filter((customer) => matchesInCode(customer, filters));
+}
@@ -0,0 +1,118 @@
+// services/authTokens.js
+
+// JWT сервера и middleware, которые их проверяют. Все токены подписываются JWT_SECRET, поэтому
+// назначение токена задается явно:
+//   role: OWNER    - администратор (вход в админку)
+//   role: CASHIER  - сотрудник кассы
+//   role: CUSTOMER - клиент (личный кабинет)
+//   aud: email-verification - ссылка подтверждения email; роли нет, как Bearer-токен не принимается
+// Токен без роли (или с чужой ролью) ни один middleware не пропускает.
+
+import jwt from 'jsonwebtoken';
+
+export const TOKEN_ROLES = { OWNER: 'OWNER', CASHIER: 'CASHIER', CUSTOMER: 'CUSTOMER' };
+
+const EMAIL_LINK_AUDIENCE = 'email-verification';
+
+/**
+ * Токен ссылки подтверждения email.
+ * @param {{ challengeId: string, customerId: string }} payload
+ * @param {number} ttlMinutes
+ * @returns {string}
+ */
+export function signEmailLinkToken(payload, ttlMinutes) {
+  return jwt.sign(payload, process.env.JWT_SECRET, { audience: EMAIL_LINK_AUDIENCE, expiresIn: `${ttlMinutes}m` });
+}
+
+/**
+ * Проверяет токен ссылки подтверждения email: токены входа (без aud) здесь не подходят.
+ * @param {string} token
+ * @returns {{ challengeId: string, customerId: string }}
+ * @throws {jwt.JsonWebTokenError | jwt.TokenExpiredError}
+ */
+export function verifyEmailLinkToken(token) {
+  return jwt.verify(token, process.env.JWT_SECRET, { audience: EMAIL_LINK_AUDIENCE });
+}
+
+// Bearer-токен из заголовка Authorization
+const readBearerToken = (req) => req.headers['authorization']?.split(' ')[1];
+
+/**
+ * Middleware авторизации по JWT.
+ * @param {import('../generated/prisma/index.js').PrismaClient} prisma
+ * @returns {{
+ *   authenticateOwnerToken: import('express').RequestHandler,
+ *   authenticateStaffToken: import('express').RequestHandler,
+ *   authenticateCustomerToken: import('express').RequestHandler,
+ * }}
+ *   authenticateOwnerToken - только администратор, данные токена в req.owner;
+ *   authenticateStaffToken - кассир или администратор, в req.staff - кто выполняет действие (для журналов);
+ *   authenticateCustomerToken - клиент, его id в req.customerId
+ */
+export function createAuthMiddlewares(prisma) {
+  // Проверяет подпись и роль; в handler попадает payload токена с одной из ролей roles
+  const withToken = (roles, { invalidStatus = 403 } = {}, handler) => (req, res, next) => {
+    const token = readBearerToken(req);
+    if (token == null) {
+      return res.status(401).json({ message: 'No token provided' }); // Нет токена
+    }
+
+    // Убедитесь, что JWT_SECRET задан в вашем .env
+    if (!process.env.JWT_SECRET) {
+      console.error('JWT_SECRET is not defined in .env!');
+      return res.status(500).json({ message: 'Server configuration error' });
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, (err, payload) => {
+      if (err) {
+        console.error('JWT Error:', err.message);
+        return res.status(invalidStatus).json({ message: 'Invalid token' }); // Неверный токен
+      }
+
+      // Роль обязательна: токен ссылки из письма или токен другой роли сюда не подходит
+      if (!roles.includes(payload.role)) {
+        return res.status(403).json({ message: 'Insufficient privileges' });
+      }
+
+      return handler(payload, req, res, next);
+    });
+  };
+
+  const authenticateOwnerToken = withToken([TOKEN_ROLES.OWNER], {}, (owner, req, _res, next) => {
+    req.owner = owner;
+    next();
+  });
+
+  const authenticateStaffToken = withToken([TOKEN_ROLES.OWNER, TOKEN_ROLES.CASHIER], {}, async (payload, req, res, next) => {
+    // Смена длится 12 часов: деактивированный (или удаленный) кассир теряет доступ сразу, а не по истечении токена
+    if (payload.role === TOKEN_ROLES.CASHIER) {
+      try {
+        const staff = await prisma.staffMember.findUnique({ where: { id: payload.id }, select: { isActive: true } });
+        if (!staff || !staff.isActive) {
+          return res.status(401).json({ message: 'Staff member is inactive' });
+        }
+      } catch (error) {
+        console.error(error);
+        return res.status(500).json({ message: 'Server error' });
+      }
+    }
+
+    req.staff = {
+      id: payload.id,
+      name: payload.name || payload.email || payload.id,
+      role: payload.role,
+      location: payload.location || null,
+    };
+    next();
+  });
+
+  const authenticateCustomerToken = withToken([TOKEN_ROLES.CUSTOMER], { invalidStatus: 401 }, (payload, req, res, next) => {
+    if (!payload.customerId) {
+      return res.status(403).json({ message: 'Insufficient privileges' });
+    }
+    req.customerId = payload.customerId;
+    next();
+  });
+
+  return { authenticateOwnerToken, authenticateStaffToken, authenticateCustomerToken };
+}
@@ -0,0 +1,350 @@
+// services/broadcastQueue.js
+
+// Очередь рассылок в SQLite. Рассылка (BroadcastMessage) ставится в очередь вместе со списком
+// получателей (MessageDelivery, статус PENDING), а фоновый обработчик отправляет их по одному
+// с ограничением скорости. Неудачная отправка повторяется с экспоненциальной паузой.
+// Очередь живет в базе, поэтому после перезапуска сервера отправка продолжается с того же места.
+// Рассчитано на один процесс сервера: при старте "зависшие" взятые в работу записи освобождаются
+// (сообщение, отправленное прямо перед падением, может уйти повторно).
+// Запланированная рассылка (SCHEDULED) ждет, пока планировщик в server.js не переведет ее в QUEUED;
+// у отмененной (CANCELLED) ожидавшие получатели помечаются SKIPPED. Получатели запланированной
+// рассылки по сегменту создаются только в момент запуска - по текущему составу сегмента.
+//   BROADCAST_RATE_PER_SECOND    - сообщений в секунду (по умолчанию 5)
+//   BROADCAST_MAX_ATTEMPTS       - попыток на получателя (по умолчанию 5)
+//   BROADCAST_RETRY_BASE_SECONDS - пауза перед первым повтором, дальше удваивается (по умолчанию 30)
+
+export const BROADCAST_RATE_PER_SECOND = Number(process.env.BROADCAST_RATE_PER_SECOND) || 5;
+export const BROADCAST_MAX_ATTEMPTS = Number(process.env.BROADCAST_MAX_ATTEMPTS) || 5;
+const BROADCAST_RETRY_BASE_SECONDS = Number(process.env.BROADCAST_RETRY_BASE_SECONDS) || 30;
+const BROADCAST_RETRY_MAX_SECONDS = 60 * 60;
+
+// Сколько получателей выбирается из базы за раз и как часто проверять очередь, когда она пуста
+const BATCH_SIZE = 50;
+const IDLE_POLL_MS = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Пауза перед повтором после attempts неудачных попыток. */
+const retryDelaySeconds = (attempts) =>
+  Math.min(BROADCAST_RETRY_BASE_SECONDS * 2 ** (attempts - 1), BROADCAST_RETRY_MAX_SECONDS);
+
+/**
+ * Ставит рассылку в очередь.
+ * @param {import('../generated/prisma/index.js').PrismaClient} prisma
+ * @param {{
+ *   title: string,
+ *   body: string,
+ *   channel: 'SMS' | 'EMAIL',
+ *   recipients: Array<{ recipient: string, customerId?: string, subscriptionId?: string }>,
+ *   scheduledFor?: Date,
+ *   timezone?: string,
+ *   segmentId?: string,
+ *   bodyHtml?: string,
+ * }} broadcast - recipient: телефон или email по каналу;
+ *   scheduledFor - отправить не раньше этого момента; timezone - пояс, в котором админ задал время;
+ *   segmentId - рассылка по сегменту (для запланированной recipients не нужны - см. releaseDueBroadcasts);
+ *   bodyHtml - готовый HTML письма (только для EMAIL)
+ * @returns {Promise<object>} созданная BroadcastMessage
+ */
+export async function enqueueBroadcast(prisma, { title, body, bodyHtml, channel, recipients, scheduledFor, timezone, segmentId }) {
+  // Планировать рассылку без получателей и без сегмента незачем - она завершается сразу
+  const isScheduled = (segmentId || recipients.length > 0) && scheduledFor && scheduledFor > new Date();
+  return prisma.broadcastMessage.create({
+    data: {
+      title,
+      body,
+      bodyHtml,
+      channel,
+      segmentId,
+      ...(isScheduled && { status: 'SCHEDULED', scheduledFor, timezone }),
+      ...(!isScheduled && recipients.length === 0 && { status: 'COMPLETED', completedAt: new Date() }),
+      deliveries: { createMany: { data: recipients } },
+    },
+  });
+}
+
+/**
+ * Переводит наступившие запланированные рассылки в очередь.
+ * Рассылка, которой некому отправлять, сразу завершается (COMPLETED), а рассылка, чей сегмент
+ * больше не существует, - FAILED с failureReason SEGMENT_NOT_FOUND: иначе она навсегда осталась бы QUEUED.
+ * @param {import('../generated/prisma/index.js').PrismaClient} prisma
+ * @param {{ resolveRecipients: (message: object) => Promise<Parameters<typeof enqueueBroadcast>[1]['recipients'] | null> }} options
+ *   resolveRecipients - получатели рассылки по сегменту на момент запуска; null - сегмент не найден
+ * @returns {Promise<number>} сколько рассылок запущено
+ */
+export async function releaseDueBroadcasts(prisma, { resolveRecipients }) {
+  const due = await prisma.broadcastMessage.findMany({
+    where: { status: 'SCHEDULED', scheduledFor: { lte: new Date() } },
+  });
+
+  let released = 0;
+  for (const message of due) {
+    let recipients = [];
+    let failureReason = null;
+    if (message.segmentId) {
+      recipients = await resolveRecipients(message);
+      if (recipients === null) failureReason = 'SEGMENT_NOT_FOUND';
+    } else if (await prisma.messageDelivery.count({ where: { messageId: message.id } }) === 0) {
+      // Получатели не сохранены, значит рассылка была по сегменту, а сегмент удален в обход
+      // DELETE /api/admin/segments/:id (segmentId обнулился по onDelete: SetNull)
+      failureReason = 'SEGMENT_NOT_FOUND';
+    }
+
+    const started = await prisma.$transaction(async (tx) => {
+      // Пока считали сегмент, рассылку могли отменить или перенести
+      const { count } = await tx.broadcastMessage.updateMany({
+        where: { id: message.id, status: 'SCHEDULED', scheduledFor: { lte: new Date() } },
+        data: failureReason
+          ? { status: 'FAILED', failureReason, completedAt: new Date() }
+          : { status: 'QUEUED' },
+      });
+      if (count === 0) return false;
+      if (failureReason) {
+        console.warn(`Рассылка ${message.id} не запущена: ${failureReason}`);
+        return false;
+      }
+
+      if (recipients.length > 0) {
+        await tx.messageDelivery.createMany({ data: recipients.map((recipient) => ({ ...recipient, messageId: message.id })) });
+      }
+      // Никого не осталось (сегмент пуст) - в очереди рассылке делать нечего
+      const total = await tx.messageDelivery.count({ where: { messageId: message.id } });
+      if (total === 0) {
+        await tx.broadcastMessage.update({ where: { id: message.id }, data: { status: 'COMPLETED', completedAt: new Date() } });
+      }
+      return true;
+    });
+    if (started) released += 1;
+  }
+  return released;
+}
+
+/**
+ * Отменяет рассылку, которая еще не завершена: ожидающие получатели помечаются SKIPPED.
+ * Уже отправленные сообщения (если рассылка шла) остаются как есть.
+ * @param {import('../generated/prisma/index.js').PrismaClient} prisma
+ * @param {string} id
+ * @returns {Promise<boolean>} false - рассылка уже завершена или отменена
+ */
+export async function cancelBroadcast(prisma, id) {
+  const { count } = await prisma.broadcastMessage.updateMany({
+    where: { id, status: { in: ['SCHEDULED', 'QUEUED', 'SENDING'] } },
+    data: { status: 'CANCELLED', completedAt: new Date() },
+  });
+  if (count === 0) return false;
+
+  await prisma.messageDelivery.updateMany({
+    where: { messageId: id, status: 'PENDING' },
+    data: { status: 'SKIPPED', errorMessage: 'CANCELLED' },
+  });
+  return true;
+}
+
+/**
+ * Состояние рассылки для админки: счетчики по статусам, причины пропусков и последние ошибки.
+ * @param {import('../generated/prisma/index.js').PrismaClient} prisma
+ * @param {string} id
+ * @returns {Promise<object | null>} null - рассылка не найдена
+ */
+export async function getBroadcastProgress(prisma, id) {
+  const message = await prisma.broadcastMessage.findUnique({ where: { id } });
+  if (!message) return null;
+
+  const [groups, skippedGroups, nextRetry, recentErrors] = await Promise.all([
+    prisma.messageDelivery.groupBy({ by: ['status'], where: { messageId: id }, _count: { _all: true } }),
+    prisma.messageDelivery.groupBy({ by: ['errorMessage'], where: { messageId: id, status: 'SKIPPED' }, _count: { _all: true } }),
+    prisma.messageDelivery.findFirst({
+      where: { messageId: id, status: 'PENDING', attempts: { gt: 0 } },
+      orderBy: { nextAttemptAt: 'asc' },
+      select: { nextAttemptAt: true },
+    }),
+    prisma.messageDelivery.findMany({
+      where: { messageId: id, errorMessage: { not: null } },
+      orderBy: { updatedAt: 'desc' },
+      take: 10,
+      select: { recipient: true, status: true, attempts: true, errorMessage: true, nextAttemptAt: true },
+    }),
+  ]);
+
+  const counts = { PENDING: 0, SENT: 0, FAILED: 0, SKIPPED: 0 };
+  groups.forEach((group) => { counts[group.status] = group._count._all; });
+  // У пропущенных в errorMessage - код причины (NO_CONSENT, UNSUBSCRIBED, CANCELLED...)
+  const skippedReasons = Object.fromEntries(skippedGroups.map((group) => [group.errorMessage, group._count._all]));
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return {
+    ...message,
+    total,
+    counts,
+    skippedReasons,
+    processed: total - counts.PENDING,
+    percent: total === 0 ? 100 : Math.round(((total - counts.PENDING) / total) * 100),
+    nextRetryAt: nextRetry?.nextAttemptAt ?? null,
+    recentErrors,
+  };
+}
+
+/**
+ * Фоновый обработчик очереди рассылок.
+ * @param {import('../generated/prisma/index.js').PrismaClient} prisma
+ * @param {{
+ *   send: (delivery: object) => Promise<{ sentAt?: Date } | { skipped: string } | { deferUntil: Date }>,
+ *   isPermanentError?: (error: Error, delivery: object) => boolean,
+ *   ratePerSecond?: number,
+ *   maxAttempts?: number,
+ * }} options
+ *   send - отправляет одному получателю (delivery с include: message, customer + customer.subscriptions);
+ *          { skipped } - получатель выбыл, повторять не нужно;
+ *          { deferUntil } - сейчас отправлять нельзя (тихие часы), попытка не засчитывается;
+ *          исключение - ошибка отправки.
+ *   isPermanentError - ошибка, которую бессмысленно повторять (несуществующий номер или ящик)
+ * @returns {{ start: () => Promise<void>, stop: () => void, wake: () => void }}
+ */
+export function createBroadcastWorker(prisma, {
+  send,
+  isPermanentError = () => false,
+  ratePerSecond = BROADCAST_RATE_PER_SECOND,
+  maxAttempts = BROADCAST_MAX_ATTEMPTS,
+}) {
+  const intervalMs = 1000 / ratePerSecond;
+  let timer = null;
+  let running = false;
+  let stopped = true;
+  let wakeRequested = false;
+
+  function schedule(delayMs) {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(tick, delayMs);
+  }
+
+  // Рассылка завершена, когда у нее не осталось ожидающих получателей
+  async function completeIfDone(messageId) {
+    const pending = await prisma.messageDelivery.count({ where: { messageId, status: 'PENDING' } });
+    if (pending > 0) return;
+    await prisma.broadcastMessage.updateMany({
+      where: { id: messageId, status: { in: ['QUEUED', 'SENDING'] } },
+      data: { status: 'COMPLETED', completedAt: new Date() },
+    });
+  }
+
+  // false - отправки не было (запись уже взята или отложена), паузу для ограничения скорости можно не делать
+  async function processDelivery(delivery) {
+    // Берем запись в работу атомарно: ее не должен отправить кто-то еще
+    const { count } = await prisma.messageDelivery.updateMany({
+      where: { id: delivery.id, status: 'PENDING', lockedAt: null },
+      data: { lockedAt: new Date() },
+    });
+    if (count === 0) return false;
+
+    // Запись освобождается в finally: при любой ошибке (статус рассылки, isPermanentError) она
+    // не должна оставаться взятой до перезапуска сервера
+    let attempts = delivery.attempts;
+    let data = {};
+    try {
+      await prisma.broadcastMessage.updateMany({
+        where: { id: delivery.messageId, status: 'QUEUED' },
+        data: { status: 'SENDING', startedAt: new Date() },
+      });
+
+      attempts += 1;
+      try {
+        const result = await send(delivery);
+        if ('deferUntil' in result) {
+          attempts = delivery.attempts;
+          data = { nextAttemptAt: result.deferUntil };
+        } else if ('skipped' in result) {
+          data = { status: 'SKIPPED', errorMessage: result.skipped };
+        } else {
+          data = { status: 'SENT', sentAt: result.sentAt ?? new Date(), errorMessage: null };
+        }
+      } catch (error) {
+        const retry = attempts < maxAttempts && !isPermanentError(error, delivery);
+        data = {
+          errorMessage: String(error.message).slice(0, 500),
+          ...(retry
+            ? { nextAttemptAt: new Date(Date.now() + retryDelaySeconds(attempts) * 1000) }
+            : { status: 'FAILED' }),
+        };
+      }
+    } finally {
+      await prisma.messageDelivery.update({ where: { id: delivery.id }, data: { ...data, attempts, lockedAt: null } });
+    }
+    await completeIfDone(delivery.messageId);
+    return attempts > delivery.attempts;
+  }
+
+  async function tick() {
+    timer = null;
+    running = true;
+    wakeRequested = false;
+    let processed = 0;
+
+    try {
+      const batch = await prisma.messageDelivery.findMany({
+        where: {
+          status: 'PENDING',
+          lockedAt: null,
+          nextAttemptAt: { lte: new Date() },
+          message: { status: { in: ['QUEUED', 'SENDING'] } },
+        },
+        // Подписки клиента - чтобы перед отправкой проверить, не отписался ли он
+        include: { message: true, customer: { include: { subscriptions: { select: { id: true, subscribed: true } } } } },
+        orderBy: [{ nextAttemptAt: 'asc' }, { createdAt: 'asc' }],
+        take: BATCH_SIZE,
+      });
+
+      for (const delivery of batch) {
+        if (stopped) break;
+        const startedAt = Date.now();
+        const attempted = await processDelivery(delivery);
+        processed += 1;
+        // Не быстрее ratePerSecond сообщений в секунду
+        if (attempted) await sleep(Math.max(0, intervalMs - (Date.now() - startedAt)));
+      }
+    } catch (error) {
+      console.error('Ошибка обработчика очереди рассылок:', error);
+    } finally {
+      running = false;
+    }
+
+    schedule(processed > 0 || wakeRequested ? 0 : IDLE_POLL_MS);
+  }
+
+  return {
+    async start() {
+      if (!stopped) return;
+      stopped = false;
+      // После падения сервера: освобождаем взятые в работу записи и закрываем рассылки, у которых все обработано
+      await prisma.messageDelivery.updateMany({
+        where: { status: 'PENDING', lockedAt: { not: null } },
+        data: { lockedAt: null },
+      });
+      const unfinished = await prisma.broadcastMessage.findMany({
+        where: { status: { in: ['QUEUED', 'SENDING'] } },
+        select: { id: true },
+      });
+      for (const { id } of unfinished) {
+        await completeIfDone(id);
+      }
+      console.log(`📨 Очередь рассылок запущена: до ${ratePerSecond} сообщений/с, попыток: ${maxAttempts}`);
+      schedule(0);
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+    },
+
+    // Новая рассылка в очереди - не ждем следующей проверки
+    wake() {
+      if (stopped) return;
+      if (running) {
+        wakeRequested = true;
+      } else {
+        schedule(0);
+      }
+    },
+  };
+}
@@ -0,0 +1,135 @@
+// services/emailCheck.js
+
+// Проверка email при регистрации без сетевых запросов:
+//   - одноразовые ящики (список в disposableEmailDomains.json) не принимаются;
+//   - домен должен выглядеть так, чтобы у него вообще мог быть почтовый сервер (MX):
+//     корректные метки, буквенная зона, не IP и не зарезервированные example/test/localhost;
+//   - опечатки в популярных доменах (gmial.com -> gmail.com) не блокируют регистрацию,
+//     а возвращаются подсказкой.
+
+import fs from 'fs';
+import { domainToASCII } from 'url';
+
+const DISPOSABLE_DOMAINS = new Set(
+  JSON.parse(fs.readFileSync(new URL('./disposableEmailDomains.json', import.meta.url), 'utf8'))
+);
+
+// Домены и зоны, зарезервированные под примеры и тесты (RFC 2606, RFC 6761)
+const RESERVED_DOMAINS = new Set(['example.com', 'example.net', 'example.org']);
+const RESERVED_TLDS = new Set(['example', 'invalid', 'localhost', 'local', 'test']);
+
+// Популярные почтовые домены наших клиентов: с ними сравниваются опечатки.
+// Похожие друг на друга настоящие домены (gmx.de / gmx.at, mail.com / gmail.com) должны быть здесь оба,
+// иначе один "исправится" в другой.
+const COMMON_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'mail.com', 'email.com', 'gmx.com',
+  'hotmail.nl', 'live.nl', 'outlook.nl', 'ziggo.nl', 'kpnmail.nl', 'planet.nl', 'home.nl', 'xs4all.nl', 'telfort.nl',
+  'hotmail.be', 'live.be', 'telenet.be', 'skynet.be',
+  'gmx.de', 'gmx.net', 'gmx.at', 'web.de', 't-online.de', 'hotmail.de', 'yahoo.de', 'outlook.de',
+  'hotmail.fr', 'yahoo.fr', 'orange.fr', 'free.fr', 'hotmail.it', 'yahoo.it', 'hotmail.es', 'yahoo.es',
+  'hotmail.co.uk', 'yahoo.co.uk', 'btinternet.com',
+  'mail.ru', 'yandex.ru', 'yandex.ua', 'yandex.com', 'ya.ru', 'rambler.ru', 'bk.ru', 'list.ru', 'inbox.ru',
+  'ukr.net', 'i.ua',
+];
+const COMMON_DOMAIN_SET = new Set(COMMON_DOMAINS);
+
+const LABEL_PATTERN = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+const TLD_PATTERN = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+/** Расстояние Дамерау-Левенштейна (перестановка соседних букв - одна правка: gmial -> gmail). */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/** Домен или любой его родитель (mx.mailinator.com -> mailinator.com) есть в списке одноразовых. */
+function isDisposableDomain(domain) {
+  const labels = domain.split('.');
+  return labels.some((_, index) => DISPOSABLE_DOMAINS.has(labels.slice(index).join('.')));
+}
+
+function isPlausibleMailDomain(domain) {
+  if (!domain || domain.length > 253) return false;
+  // IP вместо домена ([127.0.0.1] или голые цифры) у обычных почтовых ящиков не бывает
+  if (domain.startsWith('[') || /^[\d.]+$/.test(domain)) return false;
+  if (RESERVED_DOMAINS.has(domain)) return false;
+
+  const labels = domain.split('.');
+  const tld = labels[labels.length - 1];
+  return labels.length >= 2
+    && labels.every((label) => LABEL_PATTERN.test(label))
+    && TLD_PATTERN.test(tld)
+    && !RESERVED_TLDS.has(tld);
+}
+
+// "gmail.co.uk" -> ["gmail", "co.uk"]
+const splitDomain = (domain) => {
+  const dot = domain.indexOf('.');
+  return [domain.slice(0, dot), domain.slice(dot + 1)];
+};
+
+// Зоны популярных доменов: в них опечатка в зоне не ищется
+const COMMON_SUFFIXES = new Set(COMMON_DOMAINS.map((domain) => splitDomain(domain)[1]));
+
+/**
+ * Сколько правок в зоне считать опечаткой. Двухбуквенная зона - почти наверняка настоящая страна
+ * (yahoo.fr, yandex.ua), ее не "исправляем"; опечаткой считаем только несуществующее вроде .con или .cmo.
+ */
+const maxSuffixDistance = (suffix) => (suffix.length === 2 || COMMON_SUFFIXES.has(suffix) ? 0 : 1);
+
+/**
+ * Ближайший популярный домен, если введенный похож на опечатку в нем.
+ * Опечатка ищется либо в имени при той же зоне (gmial.com), либо в зоне при том же имени (gmail.con).
+ */
+function suggestDomain(domain) {
+  if (COMMON_DOMAIN_SET.has(domain)) return null;
+
+  const [name, suffix] = splitDomain(domain);
+  let best = null;
+  for (const candidate of COMMON_DOMAINS) {
+    const [candidateName, candidateSuffix] = splitDomain(candidate);
+    let distance = null;
+    if (suffix === candidateSuffix) {
+      // В коротких именах две правки - это уже другой домен (gmx.de / gm.de)
+      const nameDistance = editDistance(name, candidateName);
+      if (nameDistance <= (candidateName.length < 6 ? 1 : 2)) distance = nameDistance;
+    } else if (name === candidateName) {
+      const suffixDistance = editDistance(suffix, candidateSuffix);
+      if (suffixDistance <= maxSuffixDistance(suffix)) distance = suffixDistance;
+    }
+    if (distance !== null && (!best || distance < best.distance)) {
+      best = { domain: candidate, distance };
+    }
+  }
+  return best?.domain ?? null;
+}
+
+/**
+ * Проверяет адрес, уже прошедший синтаксическую проверку (z.string().email()).
+ * @param {string} email
+ * @returns {{ error?: 'EMAIL_DISPOSABLE' | 'EMAIL_DOMAIN_INVALID', suggestion?: string }}
+ *   error - адрес не принимается; suggestion - вероятно, имелся в виду этот адрес
+ */
+export function checkEmailAddress(email) {
+  const at = email.lastIndexOf('@');
+  const local = email.slice(0, at);
+  const domain = domainToASCII(email.slice(at + 1).trim().toLowerCase().replace(/\.$/, ''));
+
+  if (!isPlausibleMailDomain(domain)) return { error: 'EMAIL_DOMAIN_INVALID' };
+  if (isDisposableDomain(domain)) return { error: 'EMAIL_DISPOSABLE' };
+
+  const suggestedDomain = suggestDomain(domain);
+  return suggestedDomain ? { suggestion: `${local}@${suggestedDomain}` } : {};
+}
@@ -1,47 +1,119 @@
 // services/emailService.js
 
-// Было 'require'
+// Единая почтовая служба: один транспорт на все письма (коды, промокоды, поздравления, рассылки).
+// MAIL_TRANSPORT:
+//   smtp - SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS (отправитель - SMTP_FROM)
+//   json - письма не отправляются, а печатаются в лог
+//   file - письма сохраняются в MAIL_OUTBOX_DIR как .eml (открываются любым почтовым клиентом)
+// Без MAIL_TRANSPORT выбирается smtp, если он настроен, иначе отправка писем не настроена.
+// json и file включаются только явно: они сохраняют коды и ссылки подтверждения, а не отправляют их.
+
+import fs from 'fs';
+import path from 'path';
 import dotenv from 'dotenv';
 import nodemailer from 'nodemailer';
+import { renderMailTemplate } from './mailTemplates.js';
 
 dotenv.config();
 
-// 1. Создаем "транспортер"
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: false, 
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+// Старые EMAIL_* переменные (раньше ими настраивалась рекламная рассылка) читаются как запасной вариант
+const LEGACY_SMTP_ENV = { SMTP_HOST: 'EMAIL_HOST', SMTP_PORT: 'EMAIL_PORT', SMTP_USER: 'EMAIL_USER', SMTP_PASS: 'EMAIL_PASS' };
+
+function readSmtpEnv(name) {
+  if (process.env[name]) return process.env[name];
+  const legacyValue = process.env[LEGACY_SMTP_ENV[name]];
+  if (legacyValue) {
+    console.warn(`⚠️ ${LEGACY_SMTP_ENV[name]} устарела - используйте ${name}.`);
+  }
+  return legacyValue;
+}
+
+const smtpConfig = {
+  host: readSmtpEnv('SMTP_HOST'),
+  port: Number(readSmtpEnv('SMTP_PORT')),
+  user: readSmtpEnv('SMTP_USER'),
+  pass: readSmtpEnv('SMTP_PASS'),
+};
+const smtpConfigured = Boolean(smtpConfig.host && smtpConfig.port && smtpConfig.user && smtpConfig.pass);
+
+export const MAIL_FROM = process.env.SMTP_FROM || (smtpConfig.user ? `"Sushi Icon" <${smtpConfig.user}>` : 'Sushi Icon <no-reply@localhost>');
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+
+function resolveTransportName() {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return smtpConfigured ? 'smtp' : null;
+}
+
+function createTransport(name) {
+  switch (name) {
+    case 'smtp':
+      if (!smtpConfigured) {
+        console.warn('⚠️ MAIL_TRANSPORT=smtp, но SMTP_* не заданы - отправка писем отключена.');
+        return null;
+      }
+      return nodemailer.createTransport({
+        host: smtpConfig.host,
+        port: smtpConfig.port,
+        secure: smtpConfig.port === 465,
+        auth: { user: smtpConfig.user, pass: smtpConfig.pass },
+      });
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    case 'file':
+      fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case null:
+      return null;
+    default:
+      console.warn(`⚠️ Неизвестный MAIL_TRANSPORT "${name}" - отправка писем отключена.`);
+      return null;
+  }
+}
+
+export const MAIL_TRANSPORT = resolveTransportName();
+const transporter = createTransport(MAIL_TRANSPORT);
+
+/** Настроена ли отправка писем. */
+export const isMailConfigured = () => transporter !== null;
 
 /**
- * Отправляет одно рекламное письмо.
- * @param {string} to - Email получателя
- * @param {string} subject - Тема письма
- * @param {string} htmlBody - Тело письма (в формате HTML)
+ * Отправляет письмо через общий транспорт.
+ * @param {{ to: string, subject: string, text: string, html?: string, attachments?: object[] }} message
+ * @returns {Promise<{ messageId: string }>}
+ * @throws {Error} EMAIL_NOT_CONFIGURED, если транспорт не настроен
  */
+export async function sendMail({ to, subject, text, html, attachments = [] }) {
+  if (!transporter) {
+    throw new Error('EMAIL_NOT_CONFIGURED');
+  }
+
+  const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, text, html, attachments });
 
-// Было 'module.exports', стало 'export' прямо здесь
-export const sendPromotionalEmail = async (to, subject, htmlBody) => {
-  try {
-    const mailOptions = {
-      from: `"Sushi Icon Promo" <${process.env.EMAIL_USER}>`, 
-      to: to, 
-      subject: subject, 
-      html: htmlBody, 
-    };
-
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`Email sent successfully to ${to}. Message ID: ${info.messageId}`);
-    return { success: true, messageId: info.messageId };
-
-  } catch (error) {
-    console.error(`Error sending email to ${to}:`, error);
-    return { success: false, error: error.message };
+  if (MAIL_TRANSPORT === 'file') {
+    const fileName = `${Date.now()}-${to.replace(/[^a-z0-9@._-]/gi, '_')}.eml`;
+    await fs.promises.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), info.message);
+    console.log(`📥 Письмо "${subject}" для ${to} сохранено в ${fileName}`);
+  } else if (MAIL_TRANSPORT === 'json') {
+    console.log(`📥 Письмо "${subject}" для ${to} (MAIL_TRANSPORT=json):\n${text}`);
   }
-};
 
-// 'module.exports = { ... }' - БОЛЬШЕ НЕ НУЖЕН
\ No newline at end of file
+  return { messageId: info.messageId };
+}
+
+/**
+ * Отказ сервера получателя, который не пройдет при повторе (несуществующий ящик, домен не принимает почту).
+ * Временные ошибки (4xx, сеть) отказом не считаются.
+ * @param {Error & { responseCode?: number, code?: string }} error - ошибка sendMail
+ */
+export const isHardBounce = (error) =>
+  (error.responseCode >= 500 && error.responseCode < 600) || error.code === 'EENVELOPE';
+
+/**
+ * Собирает письмо из шаблона (services/mailTemplates.js) и отправляет его.
+ * @param {{ to: string, template: string, vars: object, locale?: string, attachments?: object[] }} params
+ * @returns {Promise<{ messageId: string }>}
+ */
+export async function sendTemplatedMail({ to, template, vars, locale, attachments }) {
+  const { subject, text, html } = renderMailTemplate(template, vars, locale);
+  return sendMail({ to, subject, text, html, attachments });
+}
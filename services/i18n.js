@@ -0,0 +1,83 @@
+// services/i18n.js
+
+// Серверный каталог переводов для сообщений клиентам (SMS и письма).
+// Используются те же файлы, что и во фронтенде (frontend/src/i18n/locales/*.json):
+// тексты сообщений лежат в ветке "messages", остальные ключи (app.title и т.п.) тоже доступны.
+// Если ключа нет в языке клиента, берется базовый язык (pt-br -> pt), затем английский.
+
+import fs from 'fs';
+import path from 'path';
+
+export const FALLBACK_LOCALE = 'en';
+
+const LOCALES_DIR = process.env.I18N_LOCALES_DIR
+  || path.join(process.cwd(), 'frontend', 'src', 'i18n', 'locales');
+
+/** @type {Map<string, object>} */
+const catalogue = new Map();
+for (const file of fs.existsSync(LOCALES_DIR) ? fs.readdirSync(LOCALES_DIR) : []) {
+  if (!file.endsWith('.json')) continue;
+  try {
+    catalogue.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8')));
+  } catch (error) {
+    console.error(`Ошибка чтения перевода ${file}:`, error.message);
+  }
+}
+if (!catalogue.has(FALLBACK_LOCALE)) {
+  console.warn(`⚠️ Не найден ${path.join(LOCALES_DIR, `${FALLBACK_LOCALE}.json`)} - сообщения клиентам будут без перевода.`);
+}
+
+/** Языки, для которых есть файл перевода. */
+export const SUPPORTED_LOCALES = [...catalogue.keys()].sort();
+
+/**
+ * Приводит язык из браузера ("pt-BR", "ru_RU", "de") к поддерживаемому коду.
+ * @param {string | null | undefined} locale
+ * @returns {string} код языка из каталога или FALLBACK_LOCALE
+ */
+export function resolveLocale(locale) {
+  if (typeof locale !== 'string' || !locale) return FALLBACK_LOCALE;
+  const normalized = locale.trim().toLowerCase().replace('_', '-');
+  if (catalogue.has(normalized)) return normalized;
+  const base = normalized.split('-')[0];
+  return catalogue.has(base) ? base : FALLBACK_LOCALE;
+}
+
+function lookup(locale, key) {
+  const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue.get(locale));
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Перевод по ключу с подстановкой {{переменных}} (как в i18next).
+ * @param {string} locale - код языка (лучше уже прошедший resolveLocale)
+ * @param {string} key - например "messages.verification.code"
+ * @param {Record<string, unknown>} [vars]
+ * @returns {string} перевод или сам ключ, если его нет даже в английском
+ */
+export function translate(locale, key, vars = {}) {
+  const chain = [locale, locale.split('-')[0], FALLBACK_LOCALE];
+  const template = chain.map((candidate) => lookup(candidate, key)).find((value) => value !== undefined);
+  if (template === undefined) return key;
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (vars[name] ?? match).toString());
+}
+
+/**
+ * Есть ли в языке собственные тексты сообщений (иначе клиенту уйдет английский).
+ * @param {string} locale
+ */
+export const hasMessages = (locale) => Boolean(catalogue.get(locale)?.messages);
+
+/**
+ * Форматирует дату для сообщения на языке клиента.
+ * @param {string} locale
+ * @param {Date} date
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export function formatDate(locale, date, options) {
+  try {
+    return date.toLocaleDateString(locale, options);
+  } catch {
+    return date.toLocaleDateString(FALLBACK_LOCALE, options);
+  }
+}
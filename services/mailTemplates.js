@@ -0,0 +1,138 @@
+// services/mailTemplates.js
+
+// Шаблоны сообщений клиентам: тема, текстовая версия (она же текст SMS) и HTML.
+// Тексты берутся из каталога переводов (services/i18n.js, ветка "messages") на языке клиента.
+// sample - тестовые переменные для предпросмотра в админке.
+
+import { resolveLocale, translate, formatDate } from './i18n.js';
+
+const BRAND = 'Sushi Icon';
+
+/** Экранирует значение для вставки в HTML. */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Общая HTML-обертка в фирменных цветах (как на странице благодарности)
+function layout(t, content) {
+  return `<div style="background:#1a1a2e;padding:24px;font-family:Arial,sans-serif;color:#ffffff">`
+    + `<div style="max-width:560px;margin:0 auto">`
+    + `<h1 style="color:#4ecdc4;font-size:22px;margin:0 0 16px">${escapeHtml(t('app.title'))}</h1>`
+    + content
+    + `</div></div>`;
+}
+
+const paragraph = (text) => `<p>${escapeHtml(text)}</p>`;
+
+const codeBadge = (code) =>
+  `<p style="font-size:24px;font-weight:bold;letter-spacing:2px;color:#4ecdc4">${escapeHtml(code)}</p>`;
+
+const qrImage = (code) =>
+  `<p><img src="cid:promo-qr" alt="${escapeHtml(code)}" width="240" height="240" /></p>`;
+
+const button = (href, label) =>
+  `<p><a href="${escapeHtml(href)}" style="display:inline-block;padding:12px 24px;background:#4ecdc4;color:#1a1a2e;border-radius:6px;text-decoration:none;font-weight:bold">${escapeHtml(label)}</a></p>`;
+
+// Ключи промо-сообщений по поводу выдачи кода
+const PROMO_REASON_KEYS = {
+  REFERRAL: 'messages.promo.referral',
+  LOYALTY_TIER: 'messages.promo.loyaltyTier',
+  EXPIRY_REMINDER: 'messages.promo.expiryReminder',
+};
+
+// Даты приходят объектами Date, а из предпросмотра в админке - строками
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+export const MAIL_TEMPLATES = {
+  // Код подтверждения (+ ссылка в один клик и QR промокода, если это последний шаг)
+  verification: {
+    sample: { code: '1234', ttlMinutes: 5, verificationLink: 'https://example.com/api/verify/email/TOKEN', linkTtlMinutes: 30, discountCode: 'RC10-ABCD2345' },
+    render: (t, { code, ttlMinutes, verificationLink, linkTtlMinutes, discountCode }) => ({
+      subject: t('messages.verification.subject'),
+      text: t('messages.verification.code', { code })
+        + (verificationLink ? `\n${t('messages.verification.linkText', { link: verificationLink })}` : ''),
+      html: layout(t,
+        paragraph(t('messages.verification.code', { code }))
+        + paragraph(t('messages.verification.ttl', { minutes: ttlMinutes }))
+        + (verificationLink
+          ? paragraph(t('messages.verification.linkIntro'))
+            + button(verificationLink, t('messages.verification.linkButton'))
+            + paragraph(t('messages.verification.linkTtl', { minutes: linkTtlMinutes }))
+          : '')
+        + (discountCode ? paragraph(t('messages.verification.promoQr', { code: discountCode })) + qrImage(discountCode) : '')
+      ),
+    }),
+  },
+
+  // Выдача или напоминание о промокоде: reason = REFERRAL | LOYALTY_TIER | EXPIRY_REMINDER
+  promo: {
+    sample: { firstName: 'Anna', reason: 'REFERRAL', friendName: 'Ivan', code: 'REF-ABCD2345', discount: '10%' },
+    render: (t, vars, locale) => {
+      const key = PROMO_REASON_KEYS[vars.reason];
+      const intro = t(`${key}.intro`, {
+        ...vars,
+        date: vars.expiresAt ? formatDate(locale, toDate(vars.expiresAt)) : undefined,
+      });
+      const discount = vars.discount ? ` (-${vars.discount})` : '';
+      return {
+        subject: t(`${key}.subject`),
+        text: `${vars.firstName}, ${intro}: ${vars.code}${discount}.`,
+        html: layout(t,
+          paragraph(`${vars.firstName}, ${intro}:`)
+          + codeBadge(vars.code)
+          + (vars.discount ? paragraph(`${t('messages.promo.discount')}: ${vars.discount}`) : '')
+        ),
+      };
+    },
+  },
+
+  birthday: {
+    sample: { firstName: 'Anna', code: 'BDAY-ABCD2345', discount: '15%', birthday: '2026-10-21T00:00:00.000Z', isToday: false, validityDays: 14 },
+    render: (t, { firstName, code, discount, birthday, isToday, validityDays }, locale) => {
+      const date = formatDate(locale, toDate(birthday), { day: 'numeric', month: 'long', timeZone: 'UTC' });
+      const greeting = t(isToday ? 'messages.birthday.today' : 'messages.birthday.upcoming', { firstName, date });
+      const offer = t('messages.birthday.offer', { discount, code });
+      const validity = t('messages.birthday.validity', { count: validityDays });
+      return {
+        subject: t('messages.birthday.subject'),
+        text: `${greeting} ${offer} ${validity}`,
+        html: layout(t, paragraph(`${greeting} 🎂`) + paragraph(offer) + codeBadge(code) + paragraph(validity)),
+      };
+    },
+  },
+
+  // Рассылка: текст от админа. bodyHtml - готовый HTML (только из админки), иначе body экранируется
+  broadcast: {
+    sample: { title: 'Новое меню', body: 'Попробуйте наши новые роллы!\nСкидка 20% до конца недели.' },
+    render: (t, { title, body, bodyHtml }) => ({
+      subject: title,
+      text: body,
+      html: layout(t,
+        `<h2 style="font-size:18px">${escapeHtml(title)}</h2>`
+        + (bodyHtml || `<p>${escapeHtml(body).replace(/\n/g, '<br />')}</p>`)
+        + `<p style="color:#888;font-size:12px">${escapeHtml(t('messages.broadcast.footer'))}</p>`
+      ),
+    }),
+  },
+};
+
+/**
+ * Собирает сообщение из шаблона на языке клиента (с откатом на английский).
+ * @param {keyof typeof MAIL_TEMPLATES} name
+ * @param {object} vars
+ * @param {string | null} [locale] - язык клиента (Customer.locale)
+ * @returns {{ subject: string, text: string, html: string, locale: string }}
+ */
+export function renderMailTemplate(name, vars, locale) {
+  const template = Object.hasOwn(MAIL_TEMPLATES, name) ? MAIL_TEMPLATES[name] : null;
+  if (!template) throw new Error(`Неизвестный шаблон письма: ${name}`);
+
+  const resolvedLocale = resolveLocale(locale);
+  const t = (key, params = {}) => translate(resolvedLocale, key, { brand: BRAND, ...params });
+  return { ...template.render(t, vars, resolvedLocale), locale: resolvedLocale };
+}
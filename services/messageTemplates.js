@@ -0,0 +1,134 @@
+// services/messageTemplates.js
+
+// Шаблоны текста рассылок с подстановкой данных клиента. Текст собирается отдельно для каждого
+// получателя в момент отправки (services/broadcastQueue.js -> sendBroadcastDelivery в server.js).
+// Синтаксис:
+//   {{firstName}}                        - значение поля клиента (нет значения - пусто)
+//   {{firstName|друг}}                   - значение или запасной текст, если его нет
+//   {{#if discountCode}}...{{else}}...{{/if}} - блок, если значение есть (else необязателен, вложенность допустима)
+// Неизвестное имя переменной или незакрытый блок - ошибка TemplateSyntaxError при сохранении шаблона
+// или постановке рассылки в очередь, а не пустое место в уже отправленных сообщениях.
+
+import { resolveLocale, formatDate } from './i18n.js';
+
+export class TemplateSyntaxError extends Error {}
+
+// Доступные переменные и их значения для предпросмотра
+export const TEMPLATE_SAMPLE_VARIABLES = {
+  firstName: 'Anna',
+  lastName: 'de Vries',
+  city: 'Amsterdam',
+  country: 'NL',
+  discountCode: 'RC10-ABCD2345',
+  discountCodeExpiresAt: '31.12.2026',
+};
+
+const VARIABLE_NAMES = new Set(Object.keys(TEMPLATE_SAMPLE_VARIABLES));
+const TAG_PATTERN = /\{\{([^{}]*)\}\}/g;
+
+function checkVariable(name, position) {
+  if (!VARIABLE_NAMES.has(name)) {
+    throw new TemplateSyntaxError(
+      `Неизвестная переменная "${name}" (позиция ${position}). Доступны: ${[...VARIABLE_NAMES].join(', ')}.`
+    );
+  }
+}
+
+/**
+ * Разбирает шаблон в дерево: text / var / if.
+ * @param {string} source
+ * @returns {Array<object>}
+ * @throws {TemplateSyntaxError}
+ */
+export function parseTemplate(source) {
+  const root = [];
+  // Открытые блоки {{#if}}: куда сейчас добавляются узлы и где блок начался
+  const stack = [{ nodes: root }];
+  const current = () => stack[stack.length - 1];
+  let lastIndex = 0;
+
+  // Текст между подстановками; "{{" в нем - подстановка, которую забыли закрыть
+  const pushText = (end) => {
+    const value = source.slice(lastIndex, end);
+    if (value.includes('{{')) {
+      throw new TemplateSyntaxError(`Незакрытая подстановка "{{" (позиция ${lastIndex + value.indexOf('{{') + 1}).`);
+    }
+    if (value) current().nodes.push({ type: 'text', value });
+  };
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    pushText(match.index);
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1].trim();
+    const position = match.index + 1;
+
+    if (tag.startsWith('#if ')) {
+      const name = tag.slice(4).trim();
+      checkVariable(name, position);
+      const node = { type: 'if', name, then: [], else: null };
+      current().nodes.push(node);
+      stack.push({ node, nodes: node.then, position });
+    } else if (tag === 'else') {
+      const block = current();
+      if (!block.node) throw new TemplateSyntaxError(`{{else}} вне блока {{#if}} (позиция ${position}).`);
+      if (block.node.else) throw new TemplateSyntaxError(`Второй {{else}} в одном блоке {{#if}} (позиция ${position}).`);
+      block.node.else = [];
+      block.nodes = block.node.else;
+    } else if (tag === '/if') {
+      if (stack.length === 1) throw new TemplateSyntaxError(`Лишний {{/if}} (позиция ${position}).`);
+      stack.pop();
+    } else {
+      const separator = tag.indexOf('|');
+      const name = (separator === -1 ? tag : tag.slice(0, separator)).trim();
+      if (!name) throw new TemplateSyntaxError(`Пустая подстановка {{}} (позиция ${position}).`);
+      checkVariable(name, position);
+      current().nodes.push({ type: 'var', name, fallback: separator === -1 ? '' : tag.slice(separator + 1).trim() });
+    }
+  }
+
+  if (stack.length > 1) throw new TemplateSyntaxError(`Блок {{#if}} не закрыт (позиция ${current().position}).`);
+  pushText(source.length);
+  return root;
+}
+
+const hasValue = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+function renderNodes(nodes, vars, escape) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'var') return hasValue(vars[node.name]) ? escape(String(vars[node.name])) : node.fallback;
+    return renderNodes(hasValue(vars[node.name]) ? node.then : node.else ?? [], vars, escape);
+  }).join('');
+}
+
+/**
+ * Собирает текст по шаблону.
+ * @param {string} source
+ * @param {Record<string, unknown>} vars - см. getCustomerTemplateVariables
+ * @param {{ escape?: (value: string) => string }} [options]
+ *   escape - обработка подставляемых значений (для HTML-писем - экранирование); текст шаблона не меняется
+ * @returns {string}
+ * @throws {TemplateSyntaxError}
+ */
+export function renderMessageTemplate(source, vars, { escape = (value) => value } = {}) {
+  return renderNodes(parseTemplate(source), vars, escape);
+}
+
+/**
+ * Переменные шаблона для клиента: даты - в формате его языка.
+ * @param {object | null} customer - Customer (без клиента все переменные пустые)
+ * @returns {Record<string, string | null>}
+ */
+export function getCustomerTemplateVariables(customer) {
+  if (!customer) return {};
+  const locale = resolveLocale(customer.locale);
+  return {
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    city: customer.city,
+    country: customer.country,
+    discountCode: customer.discountCode,
+    discountCodeExpiresAt: customer.discountCodeExpiresAt ? formatDate(locale, customer.discountCodeExpiresAt) : null,
+  };
+}
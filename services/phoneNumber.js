@@ -0,0 +1,41 @@
+// services/phoneNumber.js
+
+// Приведение телефонов к E.164 (+31612345678) с учетом страны из формы.
+// "+31 6 1234 5678", "0612345678" (NL) и "+31612345678" - один и тот же клиент.
+
+import parsePhoneNumberFromString from 'libphonenumber-js/max';
+
+// Страна для номеров без кода страны, если ее не прислали (кассир, вход в личный кабинет)
+export const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'NL').toUpperCase();
+
+// Типы номеров, на которые SMS заведомо не доходят
+const NON_SMS_TYPES = new Set(['FIXED_LINE', 'TOLL_FREE', 'PREMIUM_RATE', 'SHARED_COST', 'VOICEMAIL', 'UAN', 'PAGER']);
+
+/**
+ * Разбирает и нормализует номер телефона.
+ * @param {string} input - номер в любом виде
+ * @param {string} [country] - ISO-код страны (из формы регистрации) для номеров без "+"
+ * @returns {{ e164: string, country: string | undefined, type: string | undefined, smsCapable: boolean } | null}
+ *   null - номер некорректен для этой страны
+ */
+export function normalizePhoneNumber(input, country) {
+  if (typeof input !== 'string' || !input.trim()) return null;
+
+  const defaultCountry = (country || DEFAULT_PHONE_COUNTRY).toUpperCase();
+  let phone;
+  try {
+    phone = parsePhoneNumberFromString(input.trim(), { defaultCountry, extract: false });
+  } catch {
+    return null;
+  }
+  if (!phone || !phone.isValid()) return null;
+
+  const type = phone.getType();
+  return {
+    e164: phone.number,
+    country: phone.country,
+    type,
+    // Тип неизвестен (часть стран не различает мобильные) - даем попробовать
+    smsCapable: !NON_SMS_TYPES.has(type),
+  };
+}
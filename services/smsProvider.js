@@ -0,0 +1,112 @@
+// services/smsProvider.js
+
+// Отправка SMS через сменный драйвер (SMS_PROVIDER):
+//   twilio - Twilio Messaging Service (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_MESSAGING_SERVICE_SID)
+//   http   - REST-шлюз в стиле MessageBird (SMS_HTTP_URL, SMS_HTTP_ACCESS_KEY, SMS_HTTP_ORIGINATOR)
+//   outbox - ничего не отправляет: сообщения пишутся в таблицу SmsOutboxMessage (видна в админке)
+//            и, если задан SMS_OUTBOX_DIR, в .json-файлы - для разработки и автотестов без шлюза
+// Без SMS_PROVIDER выбирается twilio, если он настроен, иначе отправка SMS не настроена.
+// outbox включается только явно (SMS_PROVIDER=outbox): иначе забытая настройка на боевом сервере
+// молча складывала бы коды верификации в базу вместо отправки.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import twilio from 'twilio';
+
+dotenv.config();
+
+/**
+ * @typedef {object} SmsProvider
+ * @property {string} name - имя драйвера (пишется в логи и ответы админки)
+ * @property {(message: { to: string, body: string }) => Promise<{ id: string, sentAt: Date }>} send
+ */
+
+/** @returns {SmsProvider | null} */
+function createTwilioProvider() {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_MESSAGING_SERVICE_SID } = process.env;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_MESSAGING_SERVICE_SID) return null;
+
+  const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+  return {
+    name: 'twilio',
+    async send({ to, body }) {
+      const result = await client.messages.create({ to, messagingServiceSid: TWILIO_MESSAGING_SERVICE_SID, body });
+      return { id: result.sid, sentAt: result.dateCreated ? new Date(result.dateCreated) : new Date() };
+    },
+  };
+}
+
+/** @returns {SmsProvider | null} */
+function createHttpProvider() {
+  const url = process.env.SMS_HTTP_URL || 'https://rest.messagebird.com/messages';
+  const { SMS_HTTP_ACCESS_KEY, SMS_HTTP_ORIGINATOR } = process.env;
+  if (!SMS_HTTP_ACCESS_KEY || !SMS_HTTP_ORIGINATOR) return null;
+
+  return {
+    name: 'http',
+    async send({ to, body }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `AccessKey ${SMS_HTTP_ACCESS_KEY}` },
+        body: JSON.stringify({ originator: SMS_HTTP_ORIGINATOR, recipients: [to], body }),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const reason = result.errors?.map((error) => error.description).join('; ') || `HTTP ${response.status}`;
+        throw Object.assign(new Error(`SMS-шлюз отклонил сообщение: ${reason}`), { status: response.status });
+      }
+      return { id: String(result.id ?? ''), sentAt: result.createdDatetime ? new Date(result.createdDatetime) : new Date() };
+    },
+  };
+}
+
+/**
+ * @param {import('../generated/prisma/index.js').PrismaClient} prisma
+ * @returns {SmsProvider}
+ */
+function createOutboxProvider(prisma) {
+  const outboxDir = process.env.SMS_OUTBOX_DIR;
+  if (outboxDir) fs.mkdirSync(outboxDir, { recursive: true });
+
+  return {
+    name: 'outbox',
+    async send({ to, body }) {
+      const message = await prisma.smsOutboxMessage.create({ data: { to, body } });
+      if (outboxDir) {
+        const fileName = `${message.createdAt.getTime()}-${crypto.randomBytes(3).toString('hex')}.json`;
+        await fs.promises.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+      }
+      // Текст не логируем: в нем коды верификации и входа
+      console.log(`📥 SMS для ${to} сохранено в outbox (${message.id})`);
+      return { id: message.id, sentAt: message.createdAt };
+    },
+  };
+}
+
+/**
+ * Шлюз отклонил само сообщение (неверный номер, запрещенный получатель) - повтор не поможет.
+ * Ошибки сети, 5xx и превышение лимита (429) считаются временными.
+ * @param {Error & { status?: number }} error - ошибка send(); у Twilio и http-драйвера есть HTTP-статус
+ */
+export const isPermanentSmsError = (error) => error.status >= 400 && error.status < 500 && error.status !== 429;
+
+/**
+ * Создает драйвер SMS по настройкам окружения.
+ * @param {import('../generated/prisma/index.js').PrismaClient} prisma - нужен драйверу outbox
+ * @returns {SmsProvider | null} null - отправка SMS не настроена
+ */
+export function createSmsProvider(prisma) {
+  switch (process.env.SMS_PROVIDER) {
+    case 'twilio': return createTwilioProvider();
+    case 'http': return createHttpProvider();
+    case 'outbox': return createOutboxProvider(prisma);
+    case undefined:
+    case '':
+      return createTwilioProvider();
+    default:
+      console.warn(`⚠️ Неизвестный SMS_PROVIDER "${process.env.SMS_PROVIDER}" - отправка SMS отключена.`);
+      return null;
+  }
+}
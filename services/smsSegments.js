@@ -0,0 +1,51 @@
+// services/smsSegments.js
+
+// Оценка длины SMS в частях (сегментах) - от нее зависит стоимость рассылки.
+// Текст только из символов GSM-7 кодируется по 7 бит: 160 символов в одной SMS, 153 в каждой части
+// длинной. Символы из таблицы расширения (€, [, ] и т.п.) занимают по два места.
+// Любой другой символ (кириллица, эмодзи) переводит все сообщение в UCS-2: 70 символов / 67 в части,
+// эмодзи - два символа UTF-16.
+
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?'
+  + '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+const GSM_EXTENDED = new Set('^{}\\[~]|€\f');
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 },
+};
+
+/**
+ * @param {string} text
+ * @returns {{
+ *   encoding: 'GSM-7' | 'UCS-2',
+ *   length: number,
+ *   segments: number,
+ *   perSegment: number,
+ *   nonGsmCharacters: string[],
+ * }} length - занятые места (септеты GSM-7 или символы UTF-16); nonGsmCharacters - из-за каких символов UCS-2
+ */
+export function estimateSmsSegments(text) {
+  let septets = 0;
+  const nonGsm = new Set();
+  for (const char of text) {
+    if (GSM_BASIC.has(char)) septets += 1;
+    else if (GSM_EXTENDED.has(char)) septets += 2;
+    else nonGsm.add(char);
+  }
+
+  const encoding = nonGsm.size === 0 ? 'GSM-7' : 'UCS-2';
+  const length = encoding === 'GSM-7' ? septets : text.length;
+  const { single, multipart } = LIMITS[encoding];
+  const segments = length <= single ? (length === 0 ? 0 : 1) : Math.ceil(length / multipart);
+
+  return {
+    encoding,
+    length,
+    segments,
+    perSegment: segments > 1 ? multipart : single,
+    nonGsmCharacters: [...nonGsm].slice(0, 10),
+  };
+}
@@ -0,0 +1,133 @@
+// services/timezone.js
+
+// Часовые пояса без сторонних библиотек (через Intl): время рассылок, заданное админом
+// в его поясе, и "тихие часы" - SMS не отправляются ночью по местному времени клиента.
+//   DEFAULT_TIMEZONE - пояс клиентов, для которых он неизвестен (по умолчанию Europe/Amsterdam)
+//   QUIET_HOURS      - ночное окно "ЧЧ:ММ-ЧЧ:ММ" (по умолчанию 21:00-09:00), пустое значение отключает
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Amsterdam';
+
+// Пояс по стране клиента, если браузер его не сообщил (для стран с несколькими поясами - основной)
+const COUNTRY_TIMEZONES = {
+  NL: 'Europe/Amsterdam', BE: 'Europe/Brussels', DE: 'Europe/Berlin', FR: 'Europe/Paris', ES: 'Europe/Madrid',
+  IT: 'Europe/Rome', AT: 'Europe/Vienna', CH: 'Europe/Zurich', PL: 'Europe/Warsaw', GB: 'Europe/London',
+  IE: 'Europe/Dublin', PT: 'Europe/Lisbon', UA: 'Europe/Kyiv', RU: 'Europe/Moscow', BY: 'Europe/Minsk',
+  TR: 'Europe/Istanbul', US: 'America/New_York', CA: 'America/Toronto',
+};
+
+/** Известен ли пояс движку Intl ("Europe/Amsterdam"). */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Пояс клиента: сохраненный при регистрации, иначе по стране, иначе DEFAULT_TIMEZONE.
+ * @param {{ timezone?: string | null, country?: string | null } | null | undefined} customer
+ */
+export function resolveCustomerTimeZone(customer) {
+  if (isValidTimeZone(customer?.timezone)) return customer.timezone;
+  return COUNTRY_TIMEZONES[customer?.country?.toUpperCase()] ?? DEFAULT_TIMEZONE;
+}
+
+// Местные дата и время момента date в поясе timeZone
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: value('year'), month: value('month'), day: value('day'),
+    hour: value('hour'), minute: value('minute'), second: value('second'),
+  };
+}
+
+// Смещение пояса от UTC в момент date (мс)
+function getOffsetMs(date, timeZone) {
+  const local = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Переводит время в поясе в момент UTC.
+ * "2026-10-20T18:00" + "Europe/Amsterdam" -> 2026-10-20T16:00:00.000Z.
+ * Строка со смещением или Z ("2026-10-20T18:00+02:00") уже однозначна - пояс не используется.
+ * @param {string} value - ISO-дата и время
+ * @param {string} timeZone
+ * @returns {Date | null} null - строка не разбирается или такой даты нет ("2026-13-45T18:00", "2026-02-30T18:00")
+ */
+export function zonedTimeToUtc(value, timeZone) {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = 0] = match.slice(0, 7).map((part) => part && Number(part));
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Date.UTC (как и new Date) переносит лишнее в старшие разряды: 13-й месяц становится январем
+  // следующего года. Такие даты отклоняем - компоненты должны совпасть после обратного разбора
+  const parsed = new Date(asUtc);
+  if (
+    parsed.getUTCFullYear() !== year || parsed.getUTCMonth() + 1 !== month || parsed.getUTCDate() !== day ||
+    parsed.getUTCHours() !== hour || parsed.getUTCMinutes() !== minute || parsed.getUTCSeconds() !== second
+  ) {
+    return null;
+  }
+
+  if (match[7]) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  // Смещение берем на предполагаемый момент и уточняем: рядом с переводом часов оно другое
+  const firstGuess = asUtc - getOffsetMs(new Date(asUtc), timeZone);
+  return new Date(asUtc - getOffsetMs(new Date(firstGuess), timeZone));
+}
+
+/**
+ * Разбирает окно тихих часов "21:00-09:00" (может переходить через полночь).
+ * @param {string | undefined} value
+ * @returns {{ start: number, end: number } | null} минуты от полуночи; null - тихие часы отключены
+ */
+export function parseQuietHours(value) {
+  const match = value?.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  return start === end ? null : { start, end };
+}
+
+export const QUIET_HOURS = parseQuietHours(process.env.QUIET_HOURS ?? '21:00-09:00');
+
+/**
+ * Если в поясе клиента сейчас тихие часы - когда они закончатся.
+ * @param {Date} date - момент отправки
+ * @param {string} timeZone - пояс клиента
+ * @param {{ start: number, end: number } | null} [quietHours]
+ * @returns {Date | null} null - отправлять можно
+ */
+export function getQuietHoursEnd(date, timeZone, quietHours = QUIET_HOURS) {
+  if (!quietHours) return null;
+
+  const local = getZonedParts(date, timeZone);
+  const minutes = local.hour * 60 + local.minute;
+  const { start, end } = quietHours;
+  const isQuiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!isQuiet) return null;
+
+  // Конец окна - по местным часам (сегодня или, если окно переходит через полночь, завтра).
+  // Не "сейчас + минуты до конца": в ночь перевода часов окно на час длиннее или короче
+  const endDay = new Date(Date.UTC(local.year, local.month - 1, local.day + (minutes >= end ? 1 : 0)));
+  const pad = (value) => String(value).padStart(2, '0');
+  const localEnd = `${endDay.getUTCFullYear()}-${pad(endDay.getUTCMonth() + 1)}-${pad(endDay.getUTCDate())}`
+    + `T${pad(Math.floor(end / 60))}:${pad(end % 60)}`;
+  return zonedTimeToUtc(localEnd, timeZone);
+}
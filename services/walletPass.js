@@ -0,0 +1,184 @@
+// services/walletPass.js
+
+// Выгрузка промокода в "кошелек": .pkpass (структура Apple Wallet) и универсальный JSON-пасс.
+// Оба формата подписываются локальным сертификатом - для тестов хватает самоподписанного:
+//   openssl req -x509 -newkey rsa:2048 -nodes -keyout pass.key -out pass.pem -days 365 -subj "/CN=Sushi Icon Pass"
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import forge from 'node-forge';
+import JSZip from 'jszip';
+
+dotenv.config();
+
+const ORGANIZATION_NAME = process.env.WALLET_ORGANIZATION_NAME || 'SUSHI ICON';
+const PASS_TYPE_IDENTIFIER = process.env.WALLET_PASS_TYPE_ID || 'pass.com.sushiicon.promo';
+const TEAM_IDENTIFIER = process.env.WALLET_TEAM_ID || 'SUSHIICON0';
+// Картинки пасса (icon.png обязателен для Apple Wallet, logo.png/strip.png и @2x - по желанию)
+const ASSETS_DIR = process.env.WALLET_ASSETS_DIR || path.join(process.cwd(), 'assets', 'wallet');
+const PASS_IMAGES = ['icon.png', 'icon@2x.png', 'logo.png', 'logo@2x.png', 'strip.png', 'strip@2x.png'];
+
+// Фирменные цвета (как на странице благодарности)
+const COLORS = {
+  backgroundColor: 'rgb(26, 26, 46)',
+  foregroundColor: 'rgb(255, 255, 255)',
+  labelColor: 'rgb(78, 205, 196)',
+};
+
+export class WalletPassConfigError extends Error {}
+
+let cachedSigner = null;
+
+/**
+ * Загружает сертификат и ключ подписи из WALLET_CERT_PATH / WALLET_KEY_PATH (PEM).
+ * WALLET_WWDR_PATH - промежуточный сертификат Apple, для самоподписанного не нужен.
+ * @returns {{ cert: forge.pki.Certificate, key: forge.pki.PrivateKey, keyPem: string, chain: forge.pki.Certificate[], fingerprint: string }}
+ */
+function loadSigner() {
+  if (cachedSigner) return cachedSigner;
+
+  const { WALLET_CERT_PATH, WALLET_KEY_PATH, WALLET_KEY_PASSPHRASE, WALLET_WWDR_PATH } = process.env;
+  if (!WALLET_CERT_PATH || !WALLET_KEY_PATH) {
+    throw new WalletPassConfigError('Не настроен сертификат для подписи пассов (WALLET_CERT_PATH, WALLET_KEY_PATH).');
+  }
+
+  const certPem = fs.readFileSync(WALLET_CERT_PATH, 'utf8');
+  const keyPem = fs.readFileSync(WALLET_KEY_PATH, 'utf8');
+  const key = WALLET_KEY_PASSPHRASE
+    ? forge.pki.decryptRsaPrivateKey(keyPem, WALLET_KEY_PASSPHRASE)
+    : forge.pki.privateKeyFromPem(keyPem);
+  if (!key) {
+    throw new WalletPassConfigError('Не удалось прочитать ключ подписи пассов (проверьте WALLET_KEY_PASSPHRASE).');
+  }
+
+  const cert = forge.pki.certificateFromPem(certPem);
+  const chain = WALLET_WWDR_PATH ? [forge.pki.certificateFromPem(fs.readFileSync(WALLET_WWDR_PATH, 'utf8'))] : [];
+  const fingerprint = crypto.createHash('sha256')
+    .update(Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes(), 'binary'))
+    .digest('hex');
+
+  cachedSigner = { cert, key, keyPem: forge.pki.privateKeyToPem(key), chain, fingerprint };
+  return cachedSigner;
+}
+
+/**
+ * Текст скидки для пасса.
+ * @param {{ discountType: 'PERCENT' | 'FIXED', discountValue: number }} discount
+ */
+function formatDiscount({ discountType, discountValue }) {
+  return discountType === 'FIXED' ? `€${discountValue}` : `${discountValue}%`;
+}
+
+/**
+ * Общие данные пасса для обоих форматов.
+ * @param {object} params
+ * @param {string} params.code - промокод
+ * @param {string} params.holderName - имя клиента
+ * @param {Date | null} params.expiresAt - срок действия кода
+ * @param {{ discountType: 'PERCENT' | 'FIXED', discountValue: number }} params.discount
+ * @param {string} params.barcodeMessage - содержимое штрихкода (та же ссылка, что в QR)
+ */
+function describePass({ code, holderName, expiresAt, discount, barcodeMessage }) {
+  return {
+    serialNumber: code,
+    title: `${ORGANIZATION_NAME} -${formatDiscount(discount)}`,
+    description: `Промокод ${ORGANIZATION_NAME} на скидку ${formatDiscount(discount)}`,
+    holderName,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    barcode: { format: 'QR', message: barcodeMessage, altText: code },
+  };
+}
+
+/**
+ * Собирает .pkpass: pass.json + картинки, manifest.json с SHA-1 файлов
+ * и отсоединенная PKCS#7-подпись манифеста.
+ * @param {Parameters<typeof describePass>[0]} params
+ * @returns {Promise<Buffer>} zip-архив
+ */
+export async function buildPkPass(params) {
+  const signer = loadSigner();
+  const pass = describePass(params);
+
+  const passJson = {
+    formatVersion: 1,
+    passTypeIdentifier: PASS_TYPE_IDENTIFIER,
+    teamIdentifier: TEAM_IDENTIFIER,
+    serialNumber: pass.serialNumber,
+    organizationName: ORGANIZATION_NAME,
+    description: pass.description,
+    logoText: ORGANIZATION_NAME,
+    ...COLORS,
+    ...(pass.expiresAt && { expirationDate: pass.expiresAt }),
+    barcodes: [{ format: 'PKBarcodeFormatQR', message: pass.barcode.message, messageEncoding: 'utf-8', altText: pass.barcode.altText }],
+    coupon: {
+      primaryFields: [{ key: 'discount', label: 'СКИДКА', value: formatDiscount(params.discount) }],
+      secondaryFields: [{ key: 'holder', label: 'КЛИЕНТ', value: pass.holderName }],
+      auxiliaryFields: [
+        { key: 'code', label: 'ПРОМОКОД', value: params.code },
+        ...(pass.expiresAt ? [{ key: 'expires', label: 'ДЕЙСТВУЕТ ДО', value: pass.expiresAt, dateStyle: 'PKDateStyleMedium' }] : []),
+      ],
+      backFields: [{ key: 'terms', label: 'Условия', value: 'Промокод одноразовый. Покажите его на кассе до оплаты заказа.' }],
+    },
+  };
+
+  const files = { 'pass.json': Buffer.from(JSON.stringify(passJson, null, 2)) };
+  for (const image of PASS_IMAGES) {
+    const imagePath = path.join(ASSETS_DIR, image);
+    if (fs.existsSync(imagePath)) files[image] = fs.readFileSync(imagePath);
+  }
+  if (!files['icon.png']) {
+    console.warn(`⚠️ ${path.join(ASSETS_DIR, 'icon.png')} не найден - Apple Wallet не примет такой пасс.`);
+  }
+
+  const manifest = Object.fromEntries(
+    Object.entries(files).map(([name, content]) => [name, crypto.createHash('sha1').update(content).digest('hex')])
+  );
+  const manifestBuffer = Buffer.from(JSON.stringify(manifest));
+
+  const signedData = forge.pkcs7.createSignedData();
+  signedData.content = forge.util.createBuffer(manifestBuffer.toString('binary'));
+  signedData.addCertificate(signer.cert);
+  signer.chain.forEach((cert) => signedData.addCertificate(cert));
+  signedData.addSigner({
+    key: signer.key,
+    certificate: signer.cert,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() },
+    ],
+  });
+  signedData.sign({ detached: true });
+  const signature = Buffer.from(forge.asn1.toDer(signedData.toAsn1()).getBytes(), 'binary');
+
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  zip.file('manifest.json', manifestBuffer);
+  zip.file('signature', signature);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Универсальный JSON-пасс для Google Wallet-подобных приложений и собственных клиентов.
+ * Подпись RSA-SHA256 считается по JSON без поля signature.
+ * @param {Parameters<typeof describePass>[0]} params
+ * @returns {object}
+ */
+export function buildGenericPass(params) {
+  const signer = loadSigner();
+  const pass = {
+    format: 'generic-pass',
+    version: 1,
+    issuer: ORGANIZATION_NAME,
+    ...describePass(params),
+    discount: params.discount,
+    colors: COLORS,
+    issuedAt: new Date().toISOString(),
+  };
+
+  const signature = crypto.sign('sha256', Buffer.from(JSON.stringify(pass)), signer.keyPem).toString('base64');
+  return { ...pass, signature: { algorithm: 'RS256', certificateSha256: signer.fingerprint, value: signature } };
+}
@@ -0,0 +1,11 @@
+export declare const PROMO_CODE_ALPHABET: string;
+export declare const PROMO_CODE_MIN_LENGTH: number;
+export declare const PROMO_CODE_MAX_LENGTH: number;
+
+export type PromoCodeValidation =
+  | { valid: true; code: string; prefix: string; legacy: boolean }
+  | { valid: false; code: string; reason: "EMPTY" | "BAD_FORMAT" | "BAD_CHECKSUM" };
+
+export declare function computeCheckCharacter(body: string): string;
+export declare function normalizePromoCode(raw: string): string;
+export declare function validatePromoCode(raw: string): PromoCodeValidation;
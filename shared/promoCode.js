@@ -0,0 +1,79 @@
+// shared/promoCode.js
+// Формат промокодов, общий для сервера (server.js) и фронтенда (frontend/src/lib/promoCode.ts).
+// Без зависимостей от Node, чтобы модуль можно было собрать в браузерный бандл.
+
+/**
+ * Алфавит тела промокода: без 0/O и 1/I, которые кассиры путают на слух и на глаз.
+ * Ровно 32 символа - на нем считается контрольный символ (Luhn mod N).
+ */
+export const PROMO_CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+/** Допустимая длина тела кода (включая контрольный символ). */
+export const PROMO_CODE_MIN_LENGTH = 6;
+export const PROMO_CODE_MAX_LENGTH = 16;
+
+// Префикс кампании, например "RC10-"
+const PREFIX_PATTERN = "[A-Z0-9]{2,12}-";
+const CODE_REGEX = new RegExp(`^(${PREFIX_PATTERN})([${PROMO_CODE_ALPHABET}]+)$`);
+
+// Коды, выданные до появления контрольного символа: RC10- + 6 символов base36
+const LEGACY_CODE_REGEX = /^RC10-[A-Z0-9]{6}$/;
+
+/**
+ * Вычисляет контрольный символ для тела кода (алгоритм Luhn mod N).
+ * Обнаруживает любую одиночную опечатку и большинство перестановок соседних символов.
+ * @param {string} body - тело кода из символов PROMO_CODE_ALPHABET
+ * @returns {string}
+ */
+export function computeCheckCharacter(body) {
+  const n = PROMO_CODE_ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = body.length - 1; i >= 0; i -= 1) {
+    let addend = factor * PROMO_CODE_ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+
+  return PROMO_CODE_ALPHABET[(n - (sum % n)) % n];
+}
+
+/**
+ * Приводит введенный код к каноничному виду: верхний регистр, без пробелов.
+ * @param {string} raw
+ * @returns {string}
+ */
+export function normalizePromoCode(raw) {
+  return String(raw || "").replace(/\s+/g, "").toUpperCase();
+}
+
+/**
+ * Проверяет формат промокода без обращения к базе данных.
+ * @param {string} raw - код в том виде, как его ввели
+ * @returns {{ valid: true, code: string, prefix: string, legacy: boolean } | { valid: false, code: string, reason: "EMPTY" | "BAD_FORMAT" | "BAD_CHECKSUM" }}
+ */
+export function validatePromoCode(raw) {
+  const code = normalizePromoCode(raw);
+  if (!code) {
+    return { valid: false, code, reason: "EMPTY" };
+  }
+
+  const match = CODE_REGEX.exec(code);
+  if (match) {
+    const [, prefix, bodyWithCheck] = match;
+    const body = bodyWithCheck.slice(0, -1);
+    const lengthOk = bodyWithCheck.length >= PROMO_CODE_MIN_LENGTH && bodyWithCheck.length <= PROMO_CODE_MAX_LENGTH;
+    if (lengthOk && computeCheckCharacter(body) === bodyWithCheck.slice(-1)) {
+      return { valid: true, code, prefix, legacy: false };
+    }
+  }
+
+  // Старые коды без контрольного символа проверить на опечатки нельзя - только формат
+  if (LEGACY_CODE_REGEX.test(code)) {
+    return { valid: true, code, prefix: "RC10-", legacy: true };
+  }
+
+  return { valid: false, code, reason: match ? "BAD_CHECKSUM" : "BAD_FORMAT" };
+}
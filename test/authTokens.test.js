@@ -0,0 +1,83 @@
+// Токены сервера: ссылка подтверждения email и токены других ролей не открывают админку и кассу
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { createAuthMiddlewares, signEmailLinkToken, verifyEmailLinkToken, TOKEN_ROLES } from '../services/authTokens.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const staffMembers = new Map([
+  ['cashier-active', { isActive: true }],
+  ['cashier-inactive', { isActive: false }],
+]);
+const prisma = {
+  staffMember: { findUnique: async ({ where }) => staffMembers.get(where.id) ?? null },
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const { authenticateOwnerToken, authenticateStaffToken, authenticateCustomerToken } = createAuthMiddlewares(prisma);
+  const app = express();
+  app.get('/api/admin/segments', authenticateOwnerToken, (req, res) => res.json({ owner: req.owner.id }));
+  app.get('/api/promo/:code', authenticateStaffToken, (req, res) => res.json({ staff: req.staff }));
+  app.get('/api/me', authenticateCustomerToken, (req, res) => res.json({ customerId: req.customerId }));
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const request = (path, token) => fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+const sign = (payload) => jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+test('токен ссылки подтверждения email получает 403 в админке и на кассе', async () => {
+  const linkToken = signEmailLinkToken({ challengeId: 'challenge-1', customerId: 'customer-1' }, 30);
+
+  assert.equal((await request('/api/admin/segments', linkToken)).status, 403);
+  assert.equal((await request('/api/promo/RC10-ABCD2345', linkToken)).status, 403);
+  assert.equal((await request('/api/me', linkToken)).status, 403);
+});
+
+test('токен без роли (выданный до появления ролей) не считается администраторским', async () => {
+  const token = sign({ id: 'owner-1', email: 'owner@example.com' });
+
+  assert.equal((await request('/api/admin/segments', token)).status, 403);
+  assert.equal((await request('/api/promo/RC10-ABCD2345', token)).status, 403);
+});
+
+test('администратор проходит в админку и на кассу', async () => {
+  const token = sign({ id: 'owner-1', email: 'owner@example.com', role: TOKEN_ROLES.OWNER });
+
+  const admin = await request('/api/admin/segments', token);
+  assert.equal(admin.status, 200);
+  assert.deepEqual(await admin.json(), { owner: 'owner-1' });
+
+  const cashier = await request('/api/promo/RC10-ABCD2345', token);
+  assert.equal(cashier.status, 200);
+  assert.equal((await cashier.json()).staff.role, TOKEN_ROLES.OWNER);
+});
+
+test('кассир проходит на кассу, но не в админку; деактивированный - никуда', async () => {
+  const active = sign({ id: 'cashier-active', name: 'Anna', role: TOKEN_ROLES.CASHIER });
+  assert.equal((await request('/api/promo/RC10-ABCD2345', active)).status, 200);
+  assert.equal((await request('/api/admin/segments', active)).status, 403);
+
+  const inactive = sign({ id: 'cashier-inactive', name: 'Piet', role: TOKEN_ROLES.CASHIER });
+  assert.equal((await request('/api/promo/RC10-ABCD2345', inactive)).status, 401);
+});
+
+test('токен входа не подходит как ссылка подтверждения email', () => {
+  const ownerToken = sign({ id: 'owner-1', role: TOKEN_ROLES.OWNER });
+
+  assert.throws(() => verifyEmailLinkToken(ownerToken), jwt.JsonWebTokenError);
+  assert.equal(
+    verifyEmailLinkToken(signEmailLinkToken({ challengeId: 'challenge-1', customerId: 'customer-1' }, 30)).challengeId,
+    'challenge-1'
+  );
+});
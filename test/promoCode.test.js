@@ -0,0 +1,48 @@
+// Формат промокодов: контрольный символ ловит опечатки до запроса к базе
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROMO_CODE_ALPHABET, computeCheckCharacter, normalizePromoCode, validatePromoCode } from '../shared/promoCode.js';
+
+const withCheck = (prefix, body) => `${prefix}${body}${computeCheckCharacter(body)}`;
+const CODE = withCheck('RC10-', 'ABCD2345');
+
+test('код с верным контрольным символом проходит проверку', () => {
+  assert.deepEqual(validatePromoCode(CODE), { valid: true, code: CODE, prefix: 'RC10-', legacy: false });
+  assert.equal(validatePromoCode(withCheck('BDAY-', 'XYZ789')).valid, true);
+});
+
+test('ввод нормализуется: регистр и пробелы не важны', () => {
+  assert.equal(normalizePromoCode(' rc10-abcd 2345 '), 'RC10-ABCD2345');
+  assert.equal(validatePromoCode(` ${CODE.toLowerCase()} `).valid, true);
+});
+
+test('любая одиночная опечатка в теле или контрольном символе отклоняется', () => {
+  const body = CODE.slice('RC10-'.length);
+  for (let position = 0; position < body.length; position += 1) {
+    for (const char of PROMO_CODE_ALPHABET) {
+      if (char === body[position]) continue;
+      const typo = `RC10-${body.slice(0, position)}${char}${body.slice(position + 1)}`;
+      assert.deepEqual(validatePromoCode(typo), { valid: false, code: typo, reason: 'BAD_CHECKSUM' }, typo);
+    }
+  }
+});
+
+test('перестановка соседних символов отклоняется', () => {
+  const typo = withCheck('RC10-', 'ABCD2345').replace('AB', 'BA');
+  assert.equal(validatePromoCode(typo).reason, 'BAD_CHECKSUM');
+});
+
+test('символы вне алфавита, пустой ввод и неверная длина', () => {
+  assert.equal(validatePromoCode('').reason, 'EMPTY');
+  assert.equal(validatePromoCode('RC10-ABCD0O1I').reason, 'BAD_FORMAT'); // 0, O, 1, I в алфавит не входят
+  assert.equal(validatePromoCode('ABCD2345').reason, 'BAD_FORMAT'); // без префикса
+  assert.equal(validatePromoCode(withCheck('RC10-', 'ABCD')).valid, false); // короче PROMO_CODE_MIN_LENGTH
+  assert.equal(validatePromoCode(withCheck('RC10-', 'ABCD2345ABCD2345')).valid, false); // длиннее максимума
+});
+
+test('старые коды без контрольного символа принимаются только в прежнем формате', () => {
+  assert.deepEqual(validatePromoCode('RC10-A1B2C3'), { valid: true, code: 'RC10-A1B2C3', prefix: 'RC10-', legacy: true });
+  assert.equal(validatePromoCode('RC10-A1B2C').valid, false);
+  assert.equal(validatePromoCode('VIP1-A1B2C3').valid, false);
+});
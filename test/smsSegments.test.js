@@ -0,0 +1,51 @@
+// Длина SMS в частях: GSM-7 или UCS-2, символы таблицы расширения занимают два места
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateSmsSegments } from '../services/smsSegments.js';
+
+test('латиница укладывается в 160 символов GSM-7', () => {
+  assert.deepEqual(estimateSmsSegments('a'.repeat(160)), {
+    encoding: 'GSM-7', length: 160, segments: 1, perSegment: 160, nonGsmCharacters: [],
+  });
+  assert.equal(estimateSmsSegments('').segments, 0);
+});
+
+test('длинное сообщение GSM-7 делится на части по 153 символа', () => {
+  const result = estimateSmsSegments('a'.repeat(161));
+  assert.equal(result.segments, 2);
+  assert.equal(result.perSegment, 153);
+  assert.equal(estimateSmsSegments('a'.repeat(306)).segments, 2);
+  assert.equal(estimateSmsSegments('a'.repeat(307)).segments, 3);
+});
+
+test('символы таблицы расширения занимают по два места', () => {
+  const result = estimateSmsSegments(`${'a'.repeat(158)}€`);
+  assert.equal(result.encoding, 'GSM-7');
+  assert.equal(result.length, 160);
+  assert.equal(result.segments, 1);
+  assert.equal(estimateSmsSegments(`${'a'.repeat(159)}[`).segments, 2);
+});
+
+test('один символ вне GSM-7 переводит все сообщение в UCS-2 (70/67)', () => {
+  const single = estimateSmsSegments(`${'a'.repeat(69)}ж`);
+  assert.equal(single.encoding, 'UCS-2');
+  assert.equal(single.length, 70);
+  assert.equal(single.segments, 1);
+  assert.equal(single.perSegment, 70);
+  assert.deepEqual(single.nonGsmCharacters, ['ж']);
+
+  const multipart = estimateSmsSegments(`${'a'.repeat(70)}ж`);
+  assert.equal(multipart.segments, 2);
+  assert.equal(multipart.perSegment, 67);
+  assert.equal(estimateSmsSegments(`${'a'.repeat(133)}ж`).segments, 2);
+  assert.equal(estimateSmsSegments(`${'a'.repeat(134)}ж`).segments, 3);
+});
+
+test('эмодзи в UCS-2 занимает два символа UTF-16', () => {
+  const result = estimateSmsSegments(`${'a'.repeat(68)}🍣`);
+  assert.equal(result.encoding, 'UCS-2');
+  assert.equal(result.length, 70);
+  assert.equal(result.segments, 1);
+  assert.equal(estimateSmsSegments(`${'a'.repeat(69)}🍣`).segments, 2);
+});
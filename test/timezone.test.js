@@ -0,0 +1,56 @@
+// Часовые пояса: время рассылки, заданное в поясе админа, и тихие часы по местному времени клиента
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToUtc, parseQuietHours, getQuietHoursEnd, resolveCustomerTimeZone, isValidTimeZone } from '../services/timezone.js';
+
+const AMSTERDAM = 'Europe/Amsterdam';
+const NIGHT = parseQuietHours('21:00-09:00');
+
+test('местное время переводится в UTC с учетом летнего и зимнего времени', () => {
+  assert.equal(zonedTimeToUtc('2026-07-01T18:00', AMSTERDAM).toISOString(), '2026-07-01T16:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-12-01T18:00', AMSTERDAM).toISOString(), '2026-12-01T17:00:00.000Z');
+  // Строка со смещением однозначна - пояс не используется
+  assert.equal(zonedTimeToUtc('2026-10-20T18:00+02:00', 'America/New_York').toISOString(), '2026-10-20T16:00:00.000Z');
+});
+
+test('несуществующие даты отклоняются, а не переносятся на следующий месяц', () => {
+  for (const value of ['2026-13-45T18:00', '2026-02-30T18:00', '2026-02-28T24:00', '2026-10-20T18:60', '2026-02-30T18:00Z']) {
+    assert.equal(zonedTimeToUtc(value, AMSTERDAM), null, value);
+  }
+  assert.equal(zonedTimeToUtc('20.10.2026 18:00', AMSTERDAM), null);
+  assert.ok(zonedTimeToUtc('2028-02-29T18:00', AMSTERDAM)); // високосный год
+});
+
+test('тихие часы через полночь: конец окна - 09:00 следующего утра', () => {
+  // 23:30 по Амстердаму (UTC+2)
+  assert.equal(getQuietHoursEnd(new Date('2026-10-20T21:30:00Z'), AMSTERDAM, NIGHT).toISOString(), '2026-10-21T07:00:00.000Z');
+  // 05:30 - окно началось вчера, заканчивается сегодня
+  assert.equal(getQuietHoursEnd(new Date('2026-10-20T03:30:00Z'), AMSTERDAM, NIGHT).toISOString(), '2026-10-20T07:00:00.000Z');
+  // Днем и ровно в момент окончания отправлять можно
+  assert.equal(getQuietHoursEnd(new Date('2026-10-20T10:00:00Z'), AMSTERDAM, NIGHT), null);
+  assert.equal(getQuietHoursEnd(new Date('2026-10-20T07:00:00Z'), AMSTERDAM, NIGHT), null);
+});
+
+test('тихие часы в ночь перевода часов заканчиваются в 09:00 по новому времени', () => {
+  // 25.10.2026 часы переводятся назад: 22:00 CEST (UTC+2) -> 09:00 CET (UTC+1), окно на час длиннее
+  assert.equal(getQuietHoursEnd(new Date('2026-10-24T20:00:00Z'), AMSTERDAM, NIGHT).toISOString(), '2026-10-25T08:00:00.000Z');
+  // 29.03.2026 часы переводятся вперед: 22:00 CET -> 09:00 CEST, окно на час короче
+  assert.equal(getQuietHoursEnd(new Date('2026-03-28T21:00:00Z'), AMSTERDAM, NIGHT).toISOString(), '2026-03-29T07:00:00.000Z');
+});
+
+test('окно без перехода через полночь и отключенные тихие часы', () => {
+  const early = parseQuietHours('01:00-06:00');
+  assert.equal(getQuietHoursEnd(new Date('2026-10-20T02:00:00Z'), AMSTERDAM, early).toISOString(), '2026-10-20T04:00:00.000Z');
+  assert.equal(getQuietHoursEnd(new Date('2026-10-20T21:30:00Z'), AMSTERDAM, early), null);
+
+  assert.equal(parseQuietHours(''), null);
+  assert.equal(parseQuietHours('09:00-09:00'), null);
+  assert.equal(getQuietHoursEnd(new Date('2026-10-20T21:30:00Z'), AMSTERDAM, null), null);
+});
+
+test('пояс клиента: сохраненный, иначе по стране', () => {
+  assert.equal(resolveCustomerTimeZone({ timezone: 'Europe/Kyiv', country: 'NL' }), 'Europe/Kyiv');
+  assert.equal(resolveCustomerTimeZone({ timezone: 'Mars/Olympus', country: 'de' }), 'Europe/Berlin');
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});